@@ -0,0 +1,95 @@
+/**
+ * Lofi FM Babylon 适配器
+ * 把 JSAR 场景中的动画组包装成播放器核心（src/player-core.js）使用的动画接口。
+ * 动画组名称带模型前缀（例如 model.stylus_On），核心使用不带前缀的名称。
+ */
+
+/**
+ * 创建动画适配器
+ * @param animationGroups 场景中的动画组
+ * @param prefix 模型前缀，例如 'model.'
+ * @param onFinished 动画自然播放完成时的回调，参数为不带前缀的名称
+ */
+export function createBabylonAnimator(
+  animationGroups: BABYLON.AnimationGroup[],
+  prefix: string,
+  onFinished: (name: string) => void
+) {
+  // Babylon 在主动 stop() 时也会触发结束事件，此时不算播放完成
+  let stopping = false;
+
+  const find = (name: string) => animationGroups.find(group => group.name === prefix + name);
+
+  animationGroups.forEach(group => {
+    if (!group.name.startsWith(prefix)) return;
+    group.onAnimationGroupEndObservable.add(() => {
+      if (!stopping) {
+        onFinished(group.name.slice(prefix.length));
+      }
+    });
+  });
+
+  /**
+   * 停止一组动画，不存在或未启动的动画直接跳过
+   */
+  function stop(names: string[]) {
+    stopping = true;
+    try {
+      names.forEach(name => {
+        const group = find(name);
+        if (group && group.isStarted) {
+          group.stop();
+        }
+      });
+    } finally {
+      stopping = false;
+    }
+  }
+
+  /**
+   * 播放动画，startProgress 为起始进度 0~1（反向过渡时从对应位置开始）
+   */
+  function play(name: string, { loop = false, startProgress = 0 } = {}) {
+    const group = find(name);
+    if (!group) {
+      console.warn('动画不存在:', name);
+      return;
+    }
+    stop([name]); // 已启动的动画组不会重新开始
+    group.start(loop);
+    if (startProgress > 0) {
+      group.goToFrame(group.from + (group.to - group.from) * Math.min(1, startProgress));
+    }
+  }
+
+  /**
+   * 暂停或继续动画，停在当前帧
+   */
+  function setPaused(name: string, paused: boolean) {
+    const group = find(name);
+    if (!group || !group.isStarted) return;
+    if (paused) {
+      group.pause();
+    } else {
+      group.play(group.loopAnimation);
+    }
+  }
+
+  /**
+   * 获取动画当前进度 0~1，动画不存在或未在播放时为0
+   */
+  function getProgress(name: string) {
+    const group = find(name);
+    if (!group || !group.isPlaying || group.animatables.length === 0 || group.to === group.from) return 0;
+    const frame = group.animatables[0].masterFrame;
+    return Math.max(0, Math.min(1, (frame - group.from) / (group.to - group.from)));
+  }
+
+  return {
+    has: (name: string) => !!find(name),
+    play,
+    stop,
+    setPaused,
+    getProgress
+  };
+}
@@ -1,16 +1,69 @@
+import { createPlayerCore } from '../src/player-core.js';
+import { createButtonRegistry } from '../src/button-registry.js';
+import { createFocusTimer, FOCUS_PHASES, formatCountdown, isBreakPhase } from '../src/focus-timer.js';
+import { createBabylonAnimator } from './babylon-adapter';
+
 const { scene } = spatialDocument;
 
-let playing = false;
-let stylusOnVinyl = false;
+let stylusOnVinyl = false; // 由播放器核心维护
+
+// 唱盘：可选转速 33⅓ / 45 RPM，启停带惯性
+const TURNTABLE_SPEEDS = [100 / 3, 45];
+const RECORD_RPM = 100 / 3; // 唱片录制转速，以该转速旋转时原速播放
+const SPIN_UP_TIME = 0.8;   // 从静止加速到额定转速的时间（秒）
+const SPIN_DOWN_TIME = 2.0; // 从额定转速减速到静止的时间（秒）
+let turntableRpm = RECORD_RPM;
+let motorOn = false;
+let angularVelocity = 0; // rad/s
 
 let musicAudio: HTMLAudioElement;
 let playMusic: (volume?: number) => HTMLAudioElement;
 let playButtonClickSound: (volume?: number) => HTMLAudioElement;
 
+function rpmToRadians(rpm: number) {
+  return rpm * Math.PI * 2 / 60;
+}
+
+/**
+ * 设置唱盘转速，音乐的播放速率和音高随之改变
+ */
+function setTurntableSpeed(rpm: number) {
+  const speed = Math.abs(rpm - 100 / 3) < 0.5 ? 100 / 3 : rpm;
+  if (!TURNTABLE_SPEEDS.includes(speed)) {
+    console.warn('不支持的转速:', rpm);
+    return false;
+  }
+  turntableRpm = speed;
+  return true;
+}
+
+/**
+ * 暂停音乐，保留音频元素和播放位置
+ */
 function pauseMusic() {
   if (musicAudio) {
     musicAudio.pause();
-    musicAudio = null;
+  }
+}
+
+/**
+ * 继续播放：已有音频元素时从暂停位置继续，否则从头开始
+ */
+function resumeMusic() {
+  if (musicAudio) {
+    musicAudio.play();
+  } else {
+    musicAudio = playMusic();
+  }
+}
+
+/**
+ * 停止音乐并回到开头
+ */
+function stopMusic() {
+  if (musicAudio) {
+    musicAudio.pause();
+    musicAudio.currentTime = 0;
   }
 }
 
@@ -20,9 +73,6 @@ spatialDocument.addEventListener('spaceReady', async () => {
   const stylus_parts = model.getChildren().find(child => child.name === 'model.__root__').getChildren().find(child => child.name === 'model.record_player').getChildren().find(child => child.name === 'model.stylus_parts');
   // 获取动画组
   const animationGroups = scene.animationGroups;
-  const stylusOff_Animation = animationGroups.find(group => group.name === "model.stylus_Off");
-  const stylusOn_Animation = animationGroups.find(group => group.name === "model.stylus_On");
-  const stylusPlaying_Animation = animationGroups.find(group => group.name === "model.stylus_playing");
   const buttonDown_Animation = animationGroups.find(group => group.name === "model.button_down");
   const buttonUp_Animation = animationGroups.find(group => group.name === "model.button_up");
 
@@ -30,32 +80,134 @@ spatialDocument.addEventListener('spaceReady', async () => {
   playButtonClickSound = await createAudioPlayer('button-click.wav');
   playMusic = await createAudioPlayer('lofi.mp3');
 
-  // 更新循环
-  const update = () => {
-    if (playing) {
-      rotateVinyl();
+  // 播放器核心（与 Three.js 入口共用）：播放状态机、唱针动画与音乐的时序，
+  // 唱针落下 / 抬起由动画组的结束事件推进
+  const core = createPlayerCore({
+    animator: createBabylonAnimator(animationGroups, 'model.', name => core.animationFinished(name)),
+    audio: {
+      isReady: () => !!playMusic,
+      isPlaying: () => !!musicAudio && !musicAudio.paused,
+      play: () => resumeMusic(),
+      pause: () => pauseMusic(),
+      stop: () => stopMusic()
+    },
+    tracks: [{ title: 'Lofi', artist: '', file: 'lofi.mp3' }],
+    hooks: {
+      setMotor: (on: boolean) => { motorOn = on; },
+      setStylusOnVinyl: (onVinyl: boolean) => { stylusOnVinyl = onVinyl; }
     }
+  });
+
+  // 更新循环，按实际帧间隔计算
+  let lastUpdate = Date.now();
+  const update = () => {
+    const now = Date.now();
+    const delta = Math.min((now - lastUpdate) / 1000, 0.1);
+    lastUpdate = now;
+    rotateVinyl(delta);
     setTimeout(update, 1000 / 60);
   };
 
+  const rotateVinyl = (delta: number) => { // 旋转黑胶唱片，电机启停带惯性
+    const ratedVelocity = rpmToRadians(turntableRpm);
+    const targetVelocity = motorOn ? ratedVelocity : 0;
+    if (angularVelocity < targetVelocity) {
+      angularVelocity = Math.min(targetVelocity, angularVelocity + ratedVelocity / SPIN_UP_TIME * delta);
+    } else if (angularVelocity > targetVelocity) {
+      angularVelocity = Math.max(targetVelocity, angularVelocity - ratedVelocity / SPIN_DOWN_TIME * delta);
+    }
+
+    if (angularVelocity > 0 && vinyl instanceof BABYLON.TransformNode) {
+      vinyl.rotate(new BABYLON.Vector3(0, 0, -1), angularVelocity * delta, BABYLON.Space.LOCAL);
+    }
+
+    // 音高跟随唱盘实际转速
+    if (stylusOnVinyl && musicAudio) {
+      musicAudio.playbackRate = Math.max(0.0625, angularVelocity / rpmToRadians(RECORD_RPM));
+    }
+  };
+
   update();
 
-  const rotateVinyl = () => { // 旋转黑胶唱片
-    if (vinyl instanceof BABYLON.TransformNode) {
-      vinyl.rotate(new BABYLON.Vector3(0, 0, -1), 0.01, BABYLON.Space.LOCAL);
+  // 专注计时（与 Three.js 入口共用）：唱片机旁的时钟面板（main.xsml 中的 #gui），
+  // 未开始时显示时钟，计时中显示阶段和倒计时；休息时抬起唱针，休息结束后重新落下
+  const FOCUS_LABELS = { [FOCUS_PHASES.WORK]: '专注', [FOCUS_PHASES.SHORT_BREAK]: '短休息', [FOCUS_PHASES.LONG_BREAK]: '长休息' };
+  const gui = spatialDocument.getSpatialObjectById('gui');
+  const clock = gui && gui.shadowRoot.getElementById('clock');
+  let resumeAfterBreak = false;
+
+  const updateClock = () => {
+    if (!clock) return;
+    const state = focusTimer.getState();
+    if (state.phase === FOCUS_PHASES.IDLE) {
+      const now = new Date();
+      clock.textContent = [now.getHours(), now.getMinutes(), now.getSeconds()].map(value => String(value).padStart(2, '0')).join(':');
+    } else {
+      clock.textContent = `${FOCUS_LABELS[state.phase]}${state.paused ? '（暂停）' : ''} ${formatCountdown(state.remaining)} · ${state.sessions}`;
     }
   };
 
+  const focusTimer = createFocusTimer({
+    onPhaseChange: (phase: string, previous: string, { completed }: { completed: boolean }) => {
+      console.log('专注计时:', previous, '→', phase);
+      if (completed) {
+        playButtonClickSound(); // 到点提示
+      }
+      if (isBreakPhase(phase)) {
+        if (core.isPlaying()) {
+          resumeAfterBreak = true;
+          core.playback.send('stop');
+        }
+      } else {
+        if (resumeAfterBreak && phase === FOCUS_PHASES.WORK && !core.isPlaying()) {
+          core.playback.send('play');
+        }
+        resumeAfterBreak = false;
+      }
+      updateClock();
+    }
+  });
 
+  if (gui) {
+    ((gui as any).asNativeType() as BABYLON.AbstractMesh).isPickable = true;
+    gui.addEventListener('rayup', () => { // 点击面板：开始 / 暂停 / 继续
+      playButtonClickSound();
+      focusTimer.toggle();
+      updateClock();
+    });
+  }
+  updateClock();
+  setInterval(updateClock, 1000);
 
-  // 获取按钮
+  // 获取按钮：播放&暂停单独处理，其余按按钮注册表（与 Three.js 入口共用）匹配名称
   const buttons = document.querySelectorAll('ref');
+  const registry = createButtonRegistry();
+  const buttonActions: Record<string, () => void> = {
+    previous: () => core.previous(),
+    next: () => core.next(),
+    speed: () => setTurntableSpeed(turntableRpm === 45 ? 100 / 3 : 45) // 转速切换 33⅓ / 45
+  };
   let button_play;
 
   for (const button of buttons) {
     if (button.id === 'model.pause_play.pause_play') {
       button_play = button;  // 获取按钮_播放&暂停
+      continue;
     }
+
+    const entry = registry.bind({ name: button.id });
+    const action = entry && buttonActions[entry.definition.action];
+    if (!action) continue;
+
+    ((button as any).asNativeType() as BABYLON.AbstractMesh).isPickable = true; // ref 元素的 asNativeType 不在 DOM 类型中
+    button.addEventListener('rayup', () => {
+      if (!registry.press(entry)) return; // 防抖
+      registry.release(entry);
+      if (entry.definition.sound) {
+        playButtonClickSound();
+      }
+      action();
+    });
   }
 
 
@@ -83,20 +235,7 @@ spatialDocument.addEventListener('spaceReady', async () => {
 
     button_play.addEventListener('rayup', () => {
       buttonUp_Animation.start(false);
-      if (playing) {
-        playing = false;
-        stylusPlaying_Animation.stop();
-        stylusOff_Animation.start(false);
-        pauseMusic();
-      } else {
-        stylusOn_Animation.start(false);
-        setTimeout(() => {
-          playing = true;
-          stylusPlaying_Animation.start(true); // 模拟唱针抖动
-          musicAudio = playMusic();
-        }, 1110);
-
-      }
+      core.toggle(); // 落下或抬起唱针，过渡中按下则反向
     });
   }
 });
@@ -107,6 +246,7 @@ async function createAudioPlayer(name: string) : Promise<(volume?: number) => HT
   const objectUrl = URL.createObjectURL(blob);
   return function playAudio(volume?: number) {
     const audio = new Audio(objectUrl);
+    audio.preservesPitch = false; // 变速时像唱机一样同时改变音高
     if (volume) {
       audio.volume = volume;
     }
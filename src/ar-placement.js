@@ -0,0 +1,172 @@
+/**
+ * Lofi FM AR放置
+ * 用 WebXR hit-test 在真实平面上显示准星，选择后把模型放在准星处，并创建锚点让模型固定在桌面上。
+ * 只依赖 WebXR 接口（会话、参考空间、帧），与渲染引擎无关；会话由调用方传入，可以换成模拟的会话驱动，
+ * 不支持 hit-test 时返回null，由入口把模型放在固定位置。仓库没有测试框架，目前没有模拟会话的自动化测试。
+ * 位姿以 4x4 列主序矩阵（Float32Array）给出，由入口应用到模型。
+ */
+
+// 放置状态
+export const PLACEMENT_STATES = {
+  SEARCHING: 'searching', // 还没有检测到平面
+  READY: 'ready',         // 准星在平面上，可以放置
+  PLACED: 'placed',       // 已放置，位姿固定在参考空间中（锚点创建中或不支持锚点）
+  ANCHORED: 'anchored'    // 已放置，位姿由锚点跟踪
+};
+
+const { SEARCHING, READY, PLACED, ANCHORED } = PLACEMENT_STATES;
+
+/**
+ * 会话是否支持 hit-test
+ * @param {XRSession} session XR会话
+ * @returns {boolean}
+ */
+export function isHitTestSupported(session) {
+  return !!session && typeof session.requestHitTestSource === 'function';
+}
+
+/**
+ * 创建AR放置流程
+ * @param {XRSession} session XR会话，请求时需包含 hit-test 特性，锚点需要 anchors 特性
+ * @param {XRReferenceSpace} referenceSpace 渲染使用的参考空间，准星和模型位姿在其中给出
+ * @param {Object} options 选项
+ * @param {Function} options.onStateChange 状态变化回调 (state, previous)
+ * @returns {Promise<Object|null>} 放置接口 { update(frame), place(), reset(), getState(), dispose() }，
+ *   不支持 hit-test 或请求失败时为null
+ */
+export async function createARPlacement(session, referenceSpace, { onStateChange = () => {} } = {}) {
+  if (!isHitTestSupported(session)) return null;
+
+  let hitTestSource;
+  try {
+    const viewerSpace = await session.requestReferenceSpace('viewer');
+    hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
+  } catch (error) {
+    console.warn('hit-test 不可用，模型放在固定位置:', error);
+    return null;
+  }
+
+  const state = {
+    current: SEARCHING,
+    hit: null,        // 最近一帧的命中结果，放置时用它创建锚点
+    reticle: null,    // 准星位姿
+    pose: null,       // 模型位姿
+    anchor: null,
+    placement: 0,     // 放置次数，重新放置后丢弃上一次迟到的锚点
+    disposed: false
+  };
+
+  /**
+   * 切换状态
+   * @param {string} next 新状态
+   */
+  function setState(next) {
+    if (next === state.current) return;
+    const previous = state.current;
+    state.current = next;
+    onStateChange(next, previous);
+  }
+
+  /**
+   * 删除锚点
+   */
+  function deleteAnchor() {
+    if (state.anchor) {
+      state.anchor.delete();
+      state.anchor = null;
+    }
+  }
+
+  /**
+   * 当前结果
+   * @returns {{state: string, reticle: Float32Array|null, pose: Float32Array|null}}
+   */
+  function getState() {
+    return { state: state.current, reticle: state.reticle, pose: state.pose };
+  }
+
+  /**
+   * 每帧更新：放置前跟踪准星，锚定后跟踪锚点
+   * @param {XRFrame} frame XR帧
+   * @returns {{state: string, reticle: Float32Array|null, pose: Float32Array|null}}
+   */
+  function update(frame) {
+    if (state.disposed) return getState();
+
+    if (state.current === SEARCHING || state.current === READY) {
+      const results = frame.getHitTestResults(hitTestSource);
+      const pose = results.length > 0 ? results[0].getPose(referenceSpace) : null;
+      if (pose) {
+        state.hit = results[0];
+        state.reticle = new Float32Array(pose.transform.matrix);
+        setState(READY);
+      } else {
+        state.hit = null;
+        state.reticle = null;
+        setState(SEARCHING);
+      }
+    } else if (state.current === ANCHORED) {
+      // 锚点暂时不被跟踪时保持最后的位姿
+      if (!frame.trackedAnchors || frame.trackedAnchors.has(state.anchor)) {
+        const pose = frame.getPose(state.anchor.anchorSpace, referenceSpace);
+        if (pose) {
+          state.pose = new Float32Array(pose.transform.matrix);
+        }
+      }
+    }
+
+    return getState();
+  }
+
+  /**
+   * 把模型放在准星处，并尝试创建锚点
+   * @returns {boolean} 准星不在平面上时为 false
+   */
+  function place() {
+    if (state.disposed || state.current !== READY) return false;
+
+    const hit = state.hit;
+    const placement = ++state.placement;
+    state.pose = state.reticle;
+    state.reticle = null;
+    state.hit = null;
+    setState(PLACED);
+
+    if (typeof hit.createAnchor === 'function') {
+      hit.createAnchor().then((anchor) => {
+        if (state.disposed || placement !== state.placement || state.current !== PLACED) {
+          anchor.delete();
+          return;
+        }
+        state.anchor = anchor;
+        setState(ANCHORED);
+      }).catch((error) => {
+        console.warn('创建锚点失败，模型固定在参考空间中:', error);
+      });
+    }
+    return true;
+  }
+
+  /**
+   * 重新放置：删除锚点，回到寻找平面
+   */
+  function reset() {
+    if (state.disposed) return;
+    state.placement++;
+    deleteAnchor();
+    state.pose = null;
+    setState(SEARCHING);
+  }
+
+  /**
+   * 结束放置流程（会话结束时）
+   */
+  function dispose() {
+    if (state.disposed) return;
+    state.disposed = true;
+    deleteAnchor();
+    hitTestSource.cancel();
+  }
+
+  return { update, place, reset, getState, dispose };
+}
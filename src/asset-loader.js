@@ -0,0 +1,240 @@
+/**
+ * Lofi FM 资源加载
+ * 下载模型和音轨：按字节报告进度（服务器没有给出 Content-Length 时只报告已下载字节数），
+ * 失败时按指数退避重试，下载结果按地址和版本缓存在 IndexedDB 中，再次访问时直接从本地读取。
+ */
+
+const DB_NAME = 'lofi-fm-assets';
+const DB_VERSION = 1;
+const STORE_NAME = 'assets';
+
+// 超过此大小的资源不缓存（字节）
+const MAX_CACHED_SIZE = 64 * 1024 * 1024;
+
+let databasePromise = null;
+
+/**
+ * 把 IDBRequest 包装为 Promise
+ * @param {IDBRequest} request 请求
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 打开缓存数据库，不支持 IndexedDB（或隐私模式下被禁用）时为null
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      let request;
+      try {
+        request = window.indexedDB && window.indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (error) {
+        request = null;
+      }
+      if (!request) {
+        resolve(null);
+        return;
+      }
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'url' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('资源缓存不可用:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * 读取缓存的资源
+ * @param {string} url 资源地址
+ * @param {string} version 资源版本，与缓存的版本不同时视为未缓存
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+export async function readCachedAsset(url, version) {
+  try {
+    const database = await openDatabase();
+    if (!database) return null;
+
+    const store = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const record = await promisify(store.get(url));
+    if (!record || record.version !== version) return null;
+    return await record.blob.arrayBuffer();
+  } catch (error) {
+    console.warn('读取资源缓存失败:', url, error);
+    return null;
+  }
+}
+
+/**
+ * 缓存资源，同一地址只保留最新的版本
+ * @param {string} url 资源地址
+ * @param {string} version 资源版本
+ * @param {Blob} blob 资源内容
+ * @returns {Promise<boolean>} 是否缓存成功
+ */
+export async function writeCachedAsset(url, version, blob) {
+  if (blob.size > MAX_CACHED_SIZE) return false;
+  try {
+    const database = await openDatabase();
+    if (!database) return false;
+
+    const store = database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await promisify(store.put({ url, version, blob, size: blob.size, savedAt: Date.now() }));
+    return true;
+  } catch (error) {
+    // 存储空间不足等情况下只是不缓存
+    console.warn('写入资源缓存失败:', url, error);
+    return false;
+  }
+}
+
+/**
+ * 清空资源缓存
+ * @returns {Promise<boolean>} 是否清空成功
+ */
+export async function clearAssetCache() {
+  try {
+    const database = await openDatabase();
+    if (!database) return false;
+
+    const store = database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await promisify(store.clear());
+    return true;
+  } catch (error) {
+    console.warn('清空资源缓存失败:', error);
+    return false;
+  }
+}
+
+/**
+ * 字节数格式化为便于阅读的大小
+ * @param {number} bytes 字节数
+ * @returns {string} 例如 "1.2 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(0) + ' KB';
+  return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+}
+
+/**
+ * 下载资源，逐块读取以报告进度
+ * @param {string} url 资源地址
+ * @param {Function} onProgress 进度回调 (loaded, total)，total 未知时为0
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function download(url, onProgress) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    const error = new Error(`资源请求失败: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  // 压缩传输时 Content-Length 是压缩后的大小，已下载字节数超过它时按未知处理
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    const data = await response.arrayBuffer();
+    onProgress(data.byteLength, data.byteLength);
+    return data;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress(loaded, total >= loaded ? total : 0);
+  }
+
+  const data = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    data.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return data.buffer;
+}
+
+/**
+ * 失败是否值得重试：网络错误、超时、限流和服务器错误重试，其他 4xx 不重试
+ * @param {Error} error 错误
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = error.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * 等待一段时间
+ * @param {number} ms 毫秒
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 加载资源：先读缓存，没有时下载（失败按指数退避重试）并写入缓存
+ * @param {string} url 资源地址
+ * @param {Object} options 选项
+ * @param {string} options.version 资源版本，改变后重新下载
+ * @param {boolean} options.cache 是否使用 IndexedDB 缓存
+ * @param {number} options.retries 失败后的重试次数
+ * @param {number} options.retryDelay 第一次重试前的等待时间（毫秒），之后每次翻倍
+ * @param {Function} options.onProgress 进度回调 (loaded, total)，total 未知时为0
+ * @param {Function} options.onRetry 重试回调 (attempt, error, delay)
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function fetchAsset(url, options = {}) {
+  const {
+    version = '1',
+    cache = true,
+    retries = 2,
+    retryDelay = 500,
+    onProgress = () => {},
+    onRetry = () => {}
+  } = options;
+
+  if (cache) {
+    const cached = await readCachedAsset(url, version);
+    if (cached) {
+      console.log('从缓存读取资源:', url, formatBytes(cached.byteLength));
+      onProgress(cached.byteLength, cached.byteLength);
+      return cached;
+    }
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await download(url, onProgress);
+      if (cache) {
+        // 先复制一份再缓存，调用方解码音频时会转移 ArrayBuffer
+        writeCachedAsset(url, version, new Blob([data]));
+      }
+      return data;
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const delay = retryDelay * Math.pow(2, attempt);
+      console.warn(`资源加载失败，${delay}ms 后重试 (${attempt + 1}/${retries}):`, url, error);
+      onRetry(attempt + 1, error, delay);
+      await wait(delay);
+    }
+  }
+}
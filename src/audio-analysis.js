@@ -0,0 +1,189 @@
+/**
+ * Lofi FM 实时音频分析
+ * 基于 AnalyserNode 计算频段能量、频谱条、节拍和 BPM 估计
+ */
+
+// 节拍检测参数
+const BEAT_HISTORY_SECONDS = 1.2; // 自适应阈值的能量历史窗口
+const BEAT_SENSITIVITY = 1.4;     // 超过均值多少个标准差视为节拍
+const BEAT_MIN_INTERVAL = 0.28;   // 两次节拍的最小间隔（秒），约 214 BPM
+const BEAT_MIN_ENERGY = 0.08;     // 低于此能量不检测节拍
+
+// BPM 估计范围
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+const BPM_INTERVAL_COUNT = 16;    // 参与估计的最近节拍间隔数量
+
+// 超过此时长没有信号则视为分析不可用（例如跨域音频被静音）
+const SIGNAL_TIMEOUT = 3;
+
+/**
+ * 计算频率区间内的平均幅值（0~1）
+ * @param {Uint8Array} data 频率数据
+ * @param {number} binWidth 每个频点的带宽（Hz）
+ * @param {number} from 起始频率（Hz）
+ * @param {number} to 结束频率（Hz）
+ * @returns {number}
+ */
+function averageRange(data, binWidth, from, to) {
+  const start = Math.max(0, Math.floor(from / binWidth));
+  const end = Math.min(data.length - 1, Math.ceil(to / binWidth));
+  if (end < start) return 0;
+
+  let sum = 0;
+  for (let i = start; i <= end; i++) {
+    sum += data[i];
+  }
+  return sum / ((end - start + 1) * 255);
+}
+
+/**
+ * 由节拍间隔估计 BPM：将每个间隔折叠到 MIN_BPM~MAX_BPM 后做直方图投票
+ * @param {Array<number>} intervals 节拍间隔（秒）
+ * @returns {number} BPM，数据不足时为0
+ */
+function estimateBpm(intervals) {
+  if (intervals.length < 4) return 0;
+
+  const votes = {};
+  intervals.forEach(interval => {
+    let bpm = 60 / interval;
+    while (bpm < MIN_BPM) bpm *= 2;
+    while (bpm > MAX_BPM) bpm /= 2;
+    const rounded = Math.round(bpm);
+    // 相邻的 BPM 也获得部分票数，容忍抖动
+    votes[rounded] = (votes[rounded] || 0) + 1;
+    votes[rounded - 1] = (votes[rounded - 1] || 0) + 0.5;
+    votes[rounded + 1] = (votes[rounded + 1] || 0) + 0.5;
+  });
+
+  let best = 0;
+  let bestVotes = 0;
+  Object.keys(votes).forEach(key => {
+    if (votes[key] > bestVotes) {
+      bestVotes = votes[key];
+      best = Number(key);
+    }
+  });
+  return best;
+}
+
+/**
+ * 创建音频分析器
+ * @param {AnalyserNode} analyserNode Web Audio 分析节点
+ * @param {Object} options 选项
+ * @param {number} options.bandCount 频谱条数量
+ * @returns {Object} 分析器接口
+ */
+export function createAudioAnalyser(analyserNode, { bandCount = 32 } = {}) {
+  analyserNode.fftSize = 2048;
+  analyserNode.smoothingTimeConstant = 0.6;
+
+  const frequencyData = new Uint8Array(analyserNode.frequencyBinCount);
+  const binWidth = analyserNode.context.sampleRate / analyserNode.fftSize;
+
+  // 对数分布的频谱条边界，40Hz ~ 12kHz
+  const bandEdges = [];
+  for (let i = 0; i <= bandCount; i++) {
+    bandEdges.push(40 * Math.pow(12000 / 40, i / bandCount));
+  }
+
+  const frame = {
+    bass: 0,
+    mid: 0,
+    high: 0,
+    level: 0,
+    bands: new Float32Array(bandCount),
+    beat: false,
+    bpm: 0,
+    active: false
+  };
+
+  const state = {
+    history: [],         // [{ time, energy }]
+    lastBeatTime: -Infinity,
+    beatIntervals: [],
+    lastSignalTime: -Infinity
+  };
+
+  /**
+   * 检测节拍并更新 BPM
+   * @param {number} time 当前时间（秒）
+   * @param {number} energy 低频能量
+   * @returns {boolean} 本帧是否为节拍
+   */
+  function detectBeat(time, energy) {
+    state.history.push({ time, energy });
+    while (state.history.length && time - state.history[0].time > BEAT_HISTORY_SECONDS) {
+      state.history.shift();
+    }
+
+    const count = state.history.length;
+    const mean = state.history.reduce((sum, h) => sum + h.energy, 0) / count;
+    const variance = state.history.reduce((sum, h) => sum + (h.energy - mean) * (h.energy - mean), 0) / count;
+    const threshold = mean + BEAT_SENSITIVITY * Math.sqrt(variance);
+
+    if (energy < BEAT_MIN_ENERGY || energy <= threshold || time - state.lastBeatTime < BEAT_MIN_INTERVAL) {
+      return false;
+    }
+
+    const interval = time - state.lastBeatTime;
+    state.lastBeatTime = time;
+
+    // 间隔过长说明中间有停顿，不参与 BPM 估计
+    if (interval < 2) {
+      state.beatIntervals.push(interval);
+      if (state.beatIntervals.length > BPM_INTERVAL_COUNT) {
+        state.beatIntervals.shift();
+      }
+
+      const estimate = estimateBpm(state.beatIntervals);
+      if (estimate) {
+        frame.bpm = frame.bpm ? frame.bpm + (estimate - frame.bpm) * 0.2 : estimate;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 读取一帧分析数据
+   * @param {number} time 当前时间（秒）
+   * @returns {Object} 分析结果（同一个对象会在每帧复用）
+   */
+  function update(time = performance.now() / 1000) {
+    analyserNode.getByteFrequencyData(frequencyData);
+
+    frame.bass = averageRange(frequencyData, binWidth, 20, 150);
+    frame.mid = averageRange(frequencyData, binWidth, 150, 2000);
+    frame.high = averageRange(frequencyData, binWidth, 2000, 8000);
+    frame.level = (frame.bass + frame.mid + frame.high) / 3;
+
+    for (let i = 0; i < bandCount; i++) {
+      frame.bands[i] = averageRange(frequencyData, binWidth, bandEdges[i], bandEdges[i + 1]);
+    }
+
+    if (frame.level > 0.01) {
+      state.lastSignalTime = time;
+    }
+    frame.active = time - state.lastSignalTime < SIGNAL_TIMEOUT;
+    frame.beat = frame.active && detectBeat(time, frame.bass);
+
+    return frame;
+  }
+
+  /**
+   * 清空节拍历史（例如切换音轨后）
+   */
+  function reset() {
+    state.history = [];
+    state.beatIntervals = [];
+    state.lastBeatTime = -Infinity;
+    frame.bpm = 0;
+  }
+
+  return {
+    update,
+    reset,
+    bandCount
+  };
+}
@@ -0,0 +1,295 @@
+/**
+ * Lofi FM 音效链
+ * 均衡器、磁带"温暖"（低通+饱和）、Wow & Flutter 音高抖动和程序生成的黑胶底噪
+ *
+ * 信号流:
+ *   input -> wow/flutter(DelayNode) -> 低音 -> 中音 -> 高音 -> 温暖(干/湿) -> output
+ *   底噪(循环噪声缓冲) -> crackleGain -> output
+ */
+
+// 均衡器预设（dB）
+export const EQ_PRESETS = {
+  flat: { low: 0, mid: 0, high: 0 },
+  lofi: { low: 3, mid: -1, high: -5 },
+  warm: { low: 4, mid: 1, high: -3 },
+  bright: { low: -1, mid: 1, high: 4 },
+  bass: { low: 7, mid: 0, high: -1 },
+  vocal: { low: -2, mid: 4, high: 1 }
+};
+
+// 基础延迟，为音高调制留出余量
+const BASE_DELAY = 0.012;
+// Wow（慢速）和 Flutter（快速）的最大延迟调制深度（秒）
+const MAX_WOW_DEPTH = 0.0025;
+const MAX_FLUTTER_DEPTH = 0.0004;
+// 底噪缓冲长度（秒），循环播放
+const CRACKLE_LOOP_SECONDS = 6;
+
+/**
+ * 生成 tanh 饱和曲线
+ * @param {number} drive 驱动量
+ * @param {number} samples 采样点数
+ * @returns {Float32Array}
+ */
+function createSaturationCurve(drive, samples = 1024) {
+  const curve = new Float32Array(samples);
+  const norm = Math.tanh(drive);
+  for (let i = 0; i < samples; i++) {
+    const x = (i / (samples - 1)) * 2 - 1;
+    curve[i] = Math.tanh(drive * x) / norm;
+  }
+  return curve;
+}
+
+/**
+ * 程序生成黑胶底噪缓冲：持续的细微嘶声 + 随机的噼啪爆点
+ * @param {AudioContext} context 音频上下文
+ * @returns {AudioBuffer}
+ */
+function createCrackleBuffer(context) {
+  const sampleRate = context.sampleRate;
+  const length = Math.floor(sampleRate * CRACKLE_LOOP_SECONDS);
+  const buffer = context.createBuffer(2, length, sampleRate);
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    let lowpassed = 0;
+
+    for (let i = 0; i < length; i++) {
+      // 嘶声：一阶低通后的白噪声，削弱刺耳的高频
+      lowpassed += 0.35 * ((Math.random() * 2 - 1) - lowpassed);
+      data[i] = lowpassed * 0.06;
+    }
+
+    // 爆点：每秒约 8 个，带指数衰减
+    const popCount = Math.floor(CRACKLE_LOOP_SECONDS * 8);
+    for (let p = 0; p < popCount; p++) {
+      const start = Math.floor(Math.random() * length);
+      const amplitude = (Math.random() < 0.15 ? 0.9 : 0.3) * (Math.random() * 0.6 + 0.4);
+      const decaySamples = Math.floor(sampleRate * (0.0005 + Math.random() * 0.002));
+      const polarity = Math.random() < 0.5 ? -1 : 1;
+
+      for (let j = 0; j < decaySamples * 4 && start + j < length; j++) {
+        data[start + j] += polarity * amplitude * Math.exp(-j / decaySamples) * (Math.random() * 0.5 + 0.5);
+      }
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * 创建音效链
+ * @param {AudioContext} context 音频上下文
+ * @param {Object} options 初始设置
+ * @param {string} options.eqPreset 均衡器预设名称
+ * @param {number} options.warmth 温暖度 0~1
+ * @param {number} options.wowFlutter Wow & Flutter 强度 0~1
+ * @param {number} options.crackle 底噪强度 0~1
+ * @returns {Object} 音效链接口 { input, output, ... }
+ */
+export function createEffectsChain(context, options = {}) {
+  const settings = {
+    eqPreset: 'lofi',
+    warmth: 0.4,
+    wowFlutter: 0.3,
+    crackle: 0.5,
+    ...options
+  };
+  const state = {
+    stylusDown: false
+  };
+
+  const input = context.createGain();
+  const output = context.createGain();
+
+  // Wow & Flutter：用低频振荡器调制延迟时间，产生音高抖动
+  const pitchDelay = context.createDelay(0.05);
+  pitchDelay.delayTime.value = BASE_DELAY;
+
+  const wowLfo = context.createOscillator();
+  wowLfo.frequency.value = 0.55;
+  const wowDepth = context.createGain();
+  wowLfo.connect(wowDepth).connect(pitchDelay.delayTime);
+
+  const flutterLfo = context.createOscillator();
+  flutterLfo.frequency.value = 6.5;
+  const flutterDepth = context.createGain();
+  flutterLfo.connect(flutterDepth).connect(pitchDelay.delayTime);
+
+  // 三段均衡器
+  const lowBand = context.createBiquadFilter();
+  lowBand.type = 'lowshelf';
+  lowBand.frequency.value = 250;
+
+  const midBand = context.createBiquadFilter();
+  midBand.type = 'peaking';
+  midBand.frequency.value = 1200;
+  midBand.Q.value = 0.8;
+
+  const highBand = context.createBiquadFilter();
+  highBand.type = 'highshelf';
+  highBand.frequency.value = 4500;
+
+  // 温暖：低通 + 饱和的湿信号与干信号混合
+  const warmthFilter = context.createBiquadFilter();
+  warmthFilter.type = 'lowpass';
+  warmthFilter.Q.value = 0.5;
+
+  const saturator = context.createWaveShaper();
+  saturator.oversample = '2x';
+
+  const dryGain = context.createGain();
+  const wetGain = context.createGain();
+
+  input.connect(pitchDelay);
+  pitchDelay.connect(lowBand);
+  lowBand.connect(midBand);
+  midBand.connect(highBand);
+  highBand.connect(dryGain).connect(output);
+  highBand.connect(warmthFilter);
+  warmthFilter.connect(saturator);
+  saturator.connect(wetGain).connect(output);
+
+  // 黑胶底噪
+  const crackleSource = context.createBufferSource();
+  crackleSource.buffer = createCrackleBuffer(context);
+  crackleSource.loop = true;
+
+  const crackleFilter = context.createBiquadFilter();
+  crackleFilter.type = 'bandpass';
+  crackleFilter.frequency.value = 2500;
+  crackleFilter.Q.value = 0.4;
+
+  const crackleGain = context.createGain();
+  crackleGain.gain.value = 0;
+
+  crackleSource.connect(crackleFilter);
+  crackleFilter.connect(crackleGain).connect(output);
+
+  wowLfo.start();
+  flutterLfo.start();
+  crackleSource.start();
+
+  /**
+   * 平滑设置参数
+   * @param {AudioParam} param 参数
+   * @param {number} value 目标值
+   * @param {number} timeConstant 时间常数（秒）
+   */
+  function smoothSet(param, value, timeConstant = 0.05) {
+    param.setTargetAtTime(value, context.currentTime, timeConstant);
+  }
+
+  /**
+   * 设置均衡器增益（dB）
+   * @param {number} low 低音
+   * @param {number} mid 中音
+   * @param {number} high 高音
+   */
+  function setEq(low, mid, high) {
+    smoothSet(lowBand.gain, low);
+    smoothSet(midBand.gain, mid);
+    smoothSet(highBand.gain, high);
+  }
+
+  /**
+   * 应用均衡器预设
+   * @param {string} name 预设名称
+   * @returns {boolean} 预设是否存在
+   */
+  function setEqPreset(name) {
+    const preset = EQ_PRESETS[name];
+    if (!preset) {
+      console.warn('均衡器预设不存在:', name, '可用预设:', Object.keys(EQ_PRESETS));
+      return false;
+    }
+    settings.eqPreset = name;
+    setEq(preset.low, preset.mid, preset.high);
+    console.log('应用均衡器预设:', name);
+    return true;
+  }
+
+  /**
+   * 设置温暖度：越高低通截止频率越低、饱和越明显
+   * @param {number} amount 0~1
+   */
+  function setWarmth(amount) {
+    settings.warmth = Math.max(0, Math.min(1, amount));
+    const cutoff = 20000 * Math.pow(3200 / 20000, settings.warmth);
+    smoothSet(warmthFilter.frequency, cutoff);
+    saturator.curve = createSaturationCurve(1 + settings.warmth * 4);
+    smoothSet(dryGain.gain, 1 - settings.warmth);
+    smoothSet(wetGain.gain, settings.warmth);
+  }
+
+  /**
+   * 设置 Wow & Flutter 强度
+   * @param {number} amount 0~1
+   */
+  function setWowFlutter(amount) {
+    settings.wowFlutter = Math.max(0, Math.min(1, amount));
+    smoothSet(wowDepth.gain, MAX_WOW_DEPTH * settings.wowFlutter);
+    smoothSet(flutterDepth.gain, MAX_FLUTTER_DEPTH * settings.wowFlutter);
+  }
+
+  /**
+   * 更新底噪音量：只有唱针落在唱片上时才有底噪
+   */
+  function updateCrackleLevel() {
+    const level = state.stylusDown ? settings.crackle * 0.5 : 0;
+    smoothSet(crackleGain.gain, level, 0.15);
+  }
+
+  /**
+   * 设置底噪强度
+   * @param {number} amount 0~1
+   */
+  function setCrackle(amount) {
+    settings.crackle = Math.max(0, Math.min(1, amount));
+    updateCrackleLevel();
+  }
+
+  /**
+   * 唱针落下/抬起
+   * @param {boolean} down 唱针是否在唱片上
+   */
+  function setStylusDown(down) {
+    state.stylusDown = !!down;
+    updateCrackleLevel();
+  }
+
+  /**
+   * 释放音效链
+   */
+  function dispose() {
+    [wowLfo, flutterLfo, crackleSource].forEach(node => {
+      try {
+        node.stop();
+      } catch (e) {
+        // 节点可能已停止
+      }
+    });
+    [input, pitchDelay, wowDepth, flutterDepth, lowBand, midBand, highBand, warmthFilter,
+      saturator, dryGain, wetGain, crackleFilter, crackleGain, output].forEach(node => node.disconnect());
+  }
+
+  // 应用初始设置
+  setEqPreset(settings.eqPreset) || setEqPreset('flat');
+  setWarmth(settings.warmth);
+  setWowFlutter(settings.wowFlutter);
+  updateCrackleLevel();
+
+  return {
+    input,
+    output,
+    setEq,
+    setEqPreset,
+    setWarmth,
+    setWowFlutter,
+    setCrackle,
+    setStylusDown,
+    getSettings: () => ({ ...settings }),
+    dispose
+  };
+}
@@ -0,0 +1,954 @@
+/**
+ * Lofi FM 音频引擎
+ * 基于 AudioContext 的音乐播放：交叉淡入淡出、无缝衔接（gapless）和下一首预缓冲
+ */
+
+const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+
+// 暂停/恢复时使用的短淡入淡出，避免爆音
+const CLICK_FREE_FADE = 0.05;
+// 主音量变化（音量旋钮、静音）的平滑过渡时长（秒）
+const VOLUME_RAMP = 0.08;
+// 播放速率变化后重新调度下一首的防抖时间（毫秒）
+const RESCHEDULE_DELAY = 250;
+// HTMLMediaElement 支持的播放速率范围
+const MIN_ELEMENT_RATE = 0.0625;
+const MAX_ELEMENT_RATE = 16;
+
+/**
+ * 当前环境是否支持 Web Audio 引擎
+ * @returns {boolean}
+ */
+export function isAudioEngineSupported() {
+  return !!AudioContextClass;
+}
+
+/**
+ * 生成从 from 到 to 的等功率增益曲线
+ * @param {number} from 起始增益
+ * @param {number} to 目标增益
+ * @param {number} steps 采样点数
+ * @returns {Float32Array} 增益曲线
+ */
+function createFadeCurve(from, to, steps = 64) {
+  const curve = new Float32Array(steps);
+  for (let i = 0; i < steps; i++) {
+    const angle = (i / (steps - 1)) * Math.PI / 2;
+    curve[i] = from * Math.cos(angle) + to * Math.sin(angle);
+  }
+  return curve;
+}
+
+/**
+ * 生成倒序的音频缓冲（用于倒放/搓碟）
+ * @param {AudioContext} context 音频上下文
+ * @param {AudioBuffer} buffer 原始缓冲
+ * @returns {AudioBuffer}
+ */
+function createReversedBuffer(context, buffer) {
+  const reversed = context.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = reversed.getChannelData(channel);
+    data.set(buffer.getChannelData(channel));
+    data.reverse();
+  }
+  return reversed;
+}
+
+/**
+ * 下载音轨数据
+ * @param {string} url 音轨地址
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchArrayBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`音频请求失败: ${response.status}`);
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * 创建音频引擎
+ * @param {Object} options 引擎选项
+ * @param {number} options.crossfadeDuration 音轨切换时的交叉淡入淡出时长（秒）
+ * @param {boolean} options.gapless 是否无缝衔接（专辑模式，关闭交叉淡入淡出）
+ * @param {number} options.volume 主音量 0~1
+ * @param {boolean} options.muted 是否静音（保留主音量）
+ * @param {number} options.streamThreshold 超过该时长（秒）的音轨使用流式播放而不是整体解码
+ * @param {Function} options.fetchData 下载音轨数据 (url) => Promise<ArrayBuffer>，默认直接 fetch（可替换为带缓存和重试的加载）
+ * @param {Function} options.onTrackStart 音轨开始播放回调（包括自动衔接的下一首）
+ * @param {Function} options.onEnded 队列播放完毕回调
+ * @param {Function} options.onError 播放错误回调
+ * @returns {Object} 引擎接口
+ */
+export function createAudioEngine(options = {}) {
+  const settings = {
+    crossfadeDuration: 2.0,
+    gapless: false,
+    volume: 1.0,
+    muted: false,
+    streamThreshold: 600,
+    fetchData: fetchArrayBuffer,
+    onTrackStart: null,
+    onEnded: null,
+    onError: null,
+    ...options
+  };
+
+  const state = {
+    context: null,
+    masterGain: null,
+    fadeGain: null,    // masterGain 之后的淡入淡出（睡眠定时、定时播放），与主音量分开
+    musicBus: null,
+    insert: null,      // musicBus 与 masterGain 之间的处理链
+    analyser: null,    // 从 musicBus 旁路引出的分析节点
+    current: null,     // 当前播放的声部
+    next: null,        // 已经调度好的下一首声部
+    nextTrack: null,   // 队列中的下一首音轨
+    paused: false,
+    pausedTrack: null,
+    pausedOffset: 0,
+    pausedDuration: 0,
+    buffers: new Map(), // 文件地址 -> Promise<AudioBuffer|null>
+    reversedBuffers: new WeakMap(), // 原始缓冲 -> 倒序缓冲，倒放时按需生成
+    playToken: 0,       // 用于丢弃过期的异步播放请求
+    promoteTimer: null,
+    playbackRate: 1,    // 全局播放速率（唱盘转速），同时改变音高；负值为倒放
+    rescheduleTimer: null
+  };
+
+  // ==================== 音频图 ====================
+
+  /**
+   * 获取（必要时创建）AudioContext 和主输出链路
+   * musicBus -> masterGain -> fadeGain -> destination
+   * @returns {AudioContext}
+   */
+  function getContext() {
+    if (!state.context) {
+      state.context = new AudioContextClass();
+      state.fadeGain = state.context.createGain();
+      state.fadeGain.connect(state.context.destination);
+      state.masterGain = state.context.createGain();
+      state.masterGain.gain.value = settings.muted ? 0 : settings.volume;
+      state.masterGain.connect(state.fadeGain);
+      state.musicBus = state.context.createGain();
+      state.musicBus.connect(state.masterGain);
+      console.log('创建AudioContext，采样率:', state.context.sampleRate);
+    }
+    return state.context;
+  }
+
+  /**
+   * 在音乐总线和主音量之间插入处理链（如音效链）
+   * musicBus -> insert.input ... insert.output -> masterGain
+   * @param {{input: AudioNode, output: AudioNode}|null} insert 处理链，为空时直连
+   */
+  function setInsert(insert) {
+    getContext();
+    state.musicBus.disconnect();
+    if (state.insert) {
+      state.insert.output.disconnect(state.masterGain);
+    }
+
+    state.insert = insert;
+    if (insert) {
+      state.musicBus.connect(insert.input);
+      insert.output.connect(state.masterGain);
+    } else {
+      state.musicBus.connect(state.masterGain);
+    }
+    if (state.analyser) {
+      state.musicBus.connect(state.analyser);
+    }
+  }
+
+  /**
+   * 获取音乐分析节点（旁路连接在 musicBus 上，不受音效链和主音量影响）
+   * @returns {AnalyserNode}
+   */
+  function getAnalyser() {
+    getContext();
+    if (!state.analyser) {
+      state.analyser = state.context.createAnalyser();
+      state.musicBus.connect(state.analyser);
+    }
+    return state.analyser;
+  }
+
+  /**
+   * 恢复被浏览器自动播放策略挂起的 AudioContext
+   */
+  function resumeContext() {
+    const context = getContext();
+    if (context.state === 'suspended') {
+      context.resume().catch(err => console.warn('AudioContext恢复失败:', err));
+    }
+    return context;
+  }
+
+  /**
+   * 在指定时间把增益平滑过渡到目标值
+   * @param {AudioParam} param 增益参数
+   * @param {number} target 目标值
+   * @param {number} startTime 开始时间（AudioContext时间）
+   * @param {number} duration 过渡时长（秒）
+   */
+  function rampGain(param, target, startTime, duration) {
+    const from = param.value;
+    if (param.cancelAndHoldAtTime) {
+      param.cancelAndHoldAtTime(startTime);
+    } else {
+      param.cancelScheduledValues(startTime);
+    }
+
+    if (duration <= 0) {
+      param.setValueAtTime(target, startTime);
+      return;
+    }
+
+    try {
+      param.setValueCurveAtTime(createFadeCurve(from, target), startTime, duration);
+    } catch (e) {
+      // 与已有的曲线重叠时退化为线性过渡
+      param.setValueAtTime(from, startTime);
+      param.linearRampToValueAtTime(target, startTime + duration);
+    }
+  }
+
+  // ==================== 缓冲加载 ====================
+
+  /**
+   * 音轨是否使用流式播放（MediaElementSource）
+   * @param {Object} track 音轨
+   * @returns {boolean}
+   */
+  function shouldStream(track) {
+    return typeof track.duration === 'number' && track.duration > settings.streamThreshold;
+  }
+
+  /**
+   * 加载并解码音轨，结果按文件地址缓存
+   * 解码失败时返回 null，由调用方改用流式播放
+   * @param {Object} track 音轨
+   * @returns {Promise<AudioBuffer|null>}
+   */
+  function loadBuffer(track) {
+    if (shouldStream(track)) {
+      return Promise.resolve(null);
+    }
+
+    let pending = state.buffers.get(track.file);
+    if (!pending) {
+      const context = getContext();
+      console.log('开始缓冲音轨:', track.title || track.file);
+      pending = settings.fetchData(track.file)
+        .then(data => context.decodeAudioData(data))
+        .then(buffer => {
+          console.log('音轨缓冲完成:', track.title || track.file, '时长:', buffer.duration.toFixed(1) + 's');
+          return buffer;
+        })
+        .catch(error => {
+          console.warn('音轨解码失败，改用流式播放:', track.file, error);
+          return null;
+        });
+      state.buffers.set(track.file, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * 只保留当前、已调度和下一首音轨的缓冲，释放其余内存
+   */
+  function pruneBuffers() {
+    const keep = new Set();
+    [state.current, state.next].forEach(voice => voice && keep.add(voice.track.file));
+    if (state.nextTrack) keep.add(state.nextTrack.file);
+    if (state.pausedTrack) keep.add(state.pausedTrack.file);
+
+    Array.from(state.buffers.keys()).forEach(file => {
+      if (!keep.has(file)) state.buffers.delete(file);
+    });
+  }
+
+  // ==================== 声部管理 ====================
+
+  /**
+   * 创建一个播放声部（音源 -> 声部增益 -> musicBus）
+   * @param {Object} track 音轨
+   * @param {AudioBuffer|null} buffer 解码后的缓冲，为空时使用流式播放
+   * @returns {Object} 声部
+   */
+  function createVoice(track, buffer) {
+    const context = getContext();
+    const gain = context.createGain();
+    gain.connect(state.musicBus);
+
+    const voice = {
+      track,
+      buffer,
+      gain,
+      source: null,
+      element: null,
+      duration: buffer ? buffer.duration : (track.duration || 0),
+      anchorTime: 0,   // 最近一次速率变化的 AudioContext 时间
+      anchorOffset: 0, // anchorTime 时刻的音轨位置（秒）
+      reversed: false, // 是否正在播放倒序缓冲
+      reverseEnded: false, // 倒放已到音轨开头，音源已结束
+      started: false,
+      stopped: false,
+      released: false,
+      timer: null
+    };
+
+    if (buffer) {
+      voice.source = context.createBufferSource();
+      voice.source.buffer = buffer;
+      voice.source.onended = () => onVoiceEnded(voice);
+    } else {
+      voice.element = new Audio();
+      voice.element.crossOrigin = 'anonymous';
+      voice.element.preload = 'auto';
+      voice.element.src = track.file;
+      // 变速时像唱机一样同时改变音高
+      voice.element.preservesPitch = false;
+      voice.element.mozPreservesPitch = false;
+      voice.element.webkitPreservesPitch = false;
+      voice.element.addEventListener('loadedmetadata', () => {
+        if (isFinite(voice.element.duration)) {
+          voice.duration = voice.element.duration;
+        }
+      });
+      voice.element.addEventListener('ended', () => onVoiceEnded(voice));
+      voice.element.addEventListener('error', () => {
+        onVoiceError(voice, new Error('音频无法播放: ' + track.file));
+      });
+      voice.source = context.createMediaElementSource(voice.element);
+    }
+
+    voice.source.connect(gain);
+    return voice;
+  }
+
+  /**
+   * 在指定时间从指定位置开始播放声部
+   * @param {Object} voice 声部
+   * @param {number} when 开始时间（AudioContext时间）
+   * @param {number} offset 音轨内的起始位置（秒）
+   */
+  function startVoice(voice, when, offset) {
+    const context = getContext();
+    voice.anchorTime = when;
+    voice.anchorOffset = offset;
+
+    if (voice.element) {
+      voice.element.currentTime = offset;
+      const delay = Math.max(0, when - context.currentTime);
+      voice.timer = setTimeout(() => {
+        const playPromise = voice.element.play();
+        if (playPromise && typeof playPromise.catch === 'function') {
+          playPromise.catch(err => onVoiceError(voice, err));
+        }
+      }, delay * 1000);
+    } else {
+      voice.source.start(when, offset);
+    }
+
+    voice.started = true;
+    applyVoiceRate(voice, when);
+  }
+
+  /**
+   * 将全局播放速率应用到声部
+   * @param {Object} voice 声部
+   * @param {number} when 生效时间（AudioContext时间）
+   */
+  function applyVoiceRate(voice, when) {
+    if (voice.element) {
+      // 流式音轨无法倒放，负速率时以最低速率前进
+      voice.element.playbackRate = Math.max(MIN_ELEMENT_RATE, Math.min(MAX_ELEMENT_RATE, state.playbackRate));
+      return;
+    }
+
+    const reverse = state.playbackRate < 0;
+    if (reverse !== voice.reversed) {
+      setVoiceDirection(voice, reverse, when);
+    }
+    voice.source.playbackRate.setValueAtTime(Math.abs(state.playbackRate), when);
+  }
+
+  /**
+   * 切换缓冲声部的播放方向：用正序或倒序缓冲从当前位置重新开始
+   * @param {Object} voice 已开始播放的声部（anchorOffset 已结算到 when 时刻）
+   * @param {boolean} reverse 是否倒放
+   * @param {number} when 切换时间（AudioContext时间）
+   */
+  function setVoiceDirection(voice, reverse, when) {
+    const context = getContext();
+    voice.reversed = reverse;
+
+    const previous = voice.source;
+    previous.onended = () => previous.disconnect();
+    try {
+      previous.stop(when);
+    } catch (e) {
+      previous.disconnect();
+    }
+
+    let buffer = voice.buffer;
+    if (reverse) {
+      buffer = state.reversedBuffers.get(voice.buffer);
+      if (!buffer) {
+        buffer = createReversedBuffer(context, voice.buffer);
+        state.reversedBuffers.set(voice.buffer, buffer);
+      }
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(voice.gain);
+    voice.reverseEnded = false;
+    if (reverse) {
+      // 倒放到音轨开头时停住，等待再次正向播放，不视为音轨结束；
+      // 倒放中被停止（切歌、停止、交叉淡出）时释放声部
+      source.onended = () => {
+        if (voice.stopped) {
+          releaseVoice(voice);
+        } else {
+          voice.reverseEnded = true;
+        }
+      };
+    } else {
+      source.onended = () => onVoiceEnded(voice);
+    }
+
+    const position = Math.max(0, Math.min(voice.anchorOffset, voice.duration));
+    source.start(when, reverse ? voice.duration - position : position);
+    voice.source = source;
+  }
+
+  /**
+   * 计算声部当前的音轨位置（秒）
+   * @param {Object} voice 声部
+   * @returns {number}
+   */
+  function getVoicePosition(voice) {
+    if (voice.element) return voice.element.currentTime;
+
+    const elapsed = Math.max(0, getContext().currentTime - voice.anchorTime);
+    const position = voice.anchorOffset + elapsed * state.playbackRate;
+    return Math.max(0, Math.min(position, voice.duration));
+  }
+
+  /**
+   * 按当前播放速率计算声部结束的 AudioContext 时间
+   * @param {Object} voice 声部
+   * @returns {number} 速率为0时为 Infinity
+   */
+  function getVoiceEndTime(voice) {
+    if (state.playbackRate <= 0) return Infinity;
+    return voice.anchorTime + (voice.duration - voice.anchorOffset) / state.playbackRate;
+  }
+
+  /**
+   * 在指定时间停止声部
+   * @param {Object} voice 声部
+   * @param {number} when 停止时间（AudioContext时间）
+   */
+  function stopVoice(voice, when) {
+    voice.stopped = true;
+    clearTimeout(voice.timer);
+
+    if (!voice.started) {
+      releaseVoice(voice);
+      return;
+    }
+
+    if (voice.element) {
+      const delay = Math.max(0, when - getContext().currentTime);
+      setTimeout(() => releaseVoice(voice), delay * 1000);
+    } else if (voice.reverseEnded) {
+      // 倒放已停在开头，音源不会再触发 onended
+      releaseVoice(voice);
+    } else {
+      try {
+        voice.source.stop(when);
+      } catch (e) {
+        releaseVoice(voice);
+      }
+    }
+  }
+
+  /**
+   * 断开声部节点并释放资源
+   * @param {Object} voice 声部
+   */
+  function releaseVoice(voice) {
+    if (voice.released) return;
+    voice.released = true;
+    clearTimeout(voice.timer);
+
+    if (voice.element) {
+      voice.element.pause();
+      voice.element.removeAttribute('src');
+      voice.element.load();
+    }
+    voice.source.disconnect();
+    voice.gain.disconnect();
+  }
+
+  /**
+   * 声部自然结束
+   * @param {Object} voice 声部
+   */
+  function onVoiceEnded(voice) {
+    releaseVoice(voice);
+    if (voice.stopped || voice !== state.current) return;
+
+    // 无缝衔接时下一首可能在提升计时器触发前就已开始
+    if (state.next) {
+      promoteNext();
+      return;
+    }
+
+    // 当前音轨结束但没有调度好的下一首（例如流式音轨时长未知）
+    state.current = null;
+    if (state.nextTrack) {
+      console.log('音轨结束，直接播放下一首');
+      play(state.nextTrack, { fade: 0 });
+    } else {
+      console.log('播放队列已结束');
+      if (settings.onEnded) settings.onEnded(voice.track);
+    }
+  }
+
+  /**
+   * 声部播放出错
+   * @param {Object} voice 声部
+   * @param {Error} error 错误
+   */
+  function onVoiceError(voice, error) {
+    if (voice.stopped) return;
+    console.error('音轨播放失败:', voice.track.file, error);
+
+    if (voice === state.next) {
+      cancelNext(false);
+    } else if (voice === state.current) {
+      state.current = null;
+      stopVoice(voice, getContext().currentTime);
+    }
+    if (settings.onError) settings.onError(error, voice.track);
+  }
+
+  // ==================== 队列调度 ====================
+
+  /**
+   * 取消已调度的下一首
+   * @param {boolean} restoreCurrent 是否恢复当前音轨的音量（撤销已开始的淡出）
+   */
+  function cancelNext(restoreCurrent = true) {
+    clearTimeout(state.promoteTimer);
+    state.promoteTimer = null;
+
+    if (state.next) {
+      stopVoice(state.next, getContext().currentTime);
+      state.next = null;
+      if (restoreCurrent && state.current) {
+        rampGain(state.current.gain.gain, 1, getContext().currentTime, CLICK_FREE_FADE);
+      }
+    }
+  }
+
+  /**
+   * 为队列中的下一首安排交叉淡入淡出或无缝衔接
+   */
+  function scheduleNext() {
+    const current = state.current;
+    const track = state.nextTrack;
+    if (!current || !track || state.next || state.paused) return;
+
+    const token = state.playToken;
+    loadBuffer(track).then(buffer => {
+      if (token !== state.playToken || state.current !== current || state.next || state.nextTrack !== track) {
+        return;
+      }
+      if (!(current.duration > 0)) {
+        // 时长未知，等待当前音轨结束后再播放
+        return;
+      }
+
+      const context = getContext();
+      const endTime = getVoiceEndTime(current);
+      if (!isFinite(endTime)) {
+        // 唱盘停转时不安排衔接
+        return;
+      }
+
+      const next = createVoice(track, buffer);
+      const fadeDuration = settings.gapless ? 0 : Math.min(
+        settings.crossfadeDuration,
+        current.duration / 2,
+        next.duration > 0 ? next.duration / 2 : Infinity
+      );
+      const startTime = Math.max(context.currentTime, endTime - fadeDuration);
+
+      next.gain.gain.value = fadeDuration > 0 ? 0 : 1;
+      startVoice(next, startTime, 0);
+      if (fadeDuration > 0) {
+        rampGain(next.gain.gain, 1, startTime, fadeDuration);
+        rampGain(current.gain.gain, 0, startTime, fadeDuration);
+      }
+      state.next = next;
+
+      console.log(settings.gapless ? '已安排无缝衔接下一首:' : '已安排交叉淡入下一首:', track.title || track.file);
+
+      state.promoteTimer = setTimeout(promoteNext, Math.max(0, startTime - context.currentTime) * 1000);
+    });
+  }
+
+  /**
+   * 下一首开始播放时，将其提升为当前音轨
+   */
+  function promoteNext() {
+    state.promoteTimer = null;
+    if (!state.next) return;
+
+    const previous = state.current;
+    if (previous) {
+      // 上一首会在调度好的时间自然结束
+      previous.stopped = true;
+    }
+    state.current = state.next;
+    state.next = null;
+
+    notifyTrackStart(state.current.track);
+    pruneBuffers();
+    scheduleNext();
+  }
+
+  /**
+   * 通知音轨开始播放
+   * @param {Object} track 音轨
+   */
+  function notifyTrackStart(track) {
+    if (settings.onTrackStart) settings.onTrackStart(track);
+  }
+
+  // ==================== 播放控制 ====================
+
+  /**
+   * 开始播放音轨，若已有音轨在播放则交叉淡入淡出
+   * @param {Object} track 音轨
+   * @param {number} offset 起始位置（秒）
+   * @param {number} fade 淡入时长（秒）
+   * @returns {Promise<boolean>} 是否成功开始（被更新的请求取代时为false）
+   */
+  async function startTrack(track, offset, fade) {
+    const context = resumeContext();
+    const token = ++state.playToken;
+    const buffer = await loadBuffer(track);
+    if (token !== state.playToken) {
+      return false;
+    }
+
+    cancelNext(false);
+    const now = context.currentTime;
+
+    if (state.current) {
+      const previous = state.current;
+      rampGain(previous.gain.gain, 0, now, fade);
+      stopVoice(previous, now + fade);
+    }
+
+    const voice = createVoice(track, buffer);
+    voice.gain.gain.value = fade > 0 ? 0 : 1;
+    startVoice(voice, now, offset);
+    if (fade > 0) {
+      rampGain(voice.gain.gain, 1, now, fade);
+    }
+
+    state.current = voice;
+    state.paused = false;
+    state.pausedTrack = null;
+    state.pausedOffset = 0;
+    state.pausedDuration = 0;
+    pruneBuffers();
+    return true;
+  }
+
+  /**
+   * 播放音轨
+   * @param {Object} track 音轨 { title, artist, file, duration }
+   * @param {Object} options 选项
+   * @param {number} options.offset 起始位置（秒）
+   * @param {number} options.fade 淡入时长（秒），默认在切换音轨时使用交叉淡入淡出时长
+   * @returns {Promise<boolean>}
+   */
+  async function play(track, { offset = 0, fade } = {}) {
+    const fadeDuration = fade !== undefined
+      ? fade
+      : (state.current && !settings.gapless ? settings.crossfadeDuration : 0);
+
+    const started = await startTrack(track, offset, fadeDuration);
+    if (started) {
+      notifyTrackStart(track);
+      scheduleNext();
+    }
+    return started;
+  }
+
+  /**
+   * 暂停播放并记住位置
+   */
+  function pause() {
+    const voice = state.current;
+    if (!voice) return;
+
+    state.pausedOffset = getCurrentTime();
+    state.pausedDuration = voice.duration;
+    state.pausedTrack = voice.track;
+    state.paused = true;
+    state.playToken++;
+    cancelNext(false);
+
+    const now = getContext().currentTime;
+    rampGain(voice.gain.gain, 0, now, CLICK_FREE_FADE);
+    stopVoice(voice, now + CLICK_FREE_FADE);
+    state.current = null;
+  }
+
+  /**
+   * 从暂停位置恢复播放
+   * @returns {Promise<boolean>}
+   */
+  async function resume() {
+    if (!state.paused || !state.pausedTrack) return false;
+
+    const started = await startTrack(state.pausedTrack, state.pausedOffset, CLICK_FREE_FADE);
+    if (started) {
+      scheduleNext();
+    }
+    return started;
+  }
+
+  /**
+   * 跳转到指定位置；暂停中只更新恢复位置
+   * @param {number} offset 目标位置（秒）
+   * @returns {Promise<boolean>} 是否跳转成功
+   */
+  async function seek(offset) {
+    const duration = getDuration();
+    const target = Math.max(0, duration > 0 ? Math.min(offset, duration) : offset);
+
+    if (state.current) {
+      const started = await startTrack(state.current.track, target, CLICK_FREE_FADE);
+      if (started) {
+        scheduleNext();
+      }
+      return started;
+    }
+    if (state.paused && state.pausedTrack) {
+      state.pausedOffset = target;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 停止播放
+   */
+  function stop() {
+    state.playToken++;
+    cancelNext(false);
+
+    if (state.current) {
+      const now = getContext().currentTime;
+      rampGain(state.current.gain.gain, 0, now, CLICK_FREE_FADE);
+      stopVoice(state.current, now + CLICK_FREE_FADE);
+      state.current = null;
+    }
+    state.paused = false;
+    state.pausedTrack = null;
+    state.pausedOffset = 0;
+    state.pausedDuration = 0;
+  }
+
+  /**
+   * 设置队列中的下一首，并开始预缓冲
+   * @param {Object|null} track 下一首音轨
+   */
+  function setNextTrack(track) {
+    if (state.nextTrack === track) return;
+
+    state.nextTrack = track;
+    if (state.next) {
+      cancelNext();
+    }
+    if (track) {
+      loadBuffer(track);
+      scheduleNext();
+    }
+    pruneBuffers();
+  }
+
+  /**
+   * 预缓冲音轨
+   * @param {Object} track 音轨
+   * @returns {Promise<AudioBuffer|null>}
+   */
+  function preload(track) {
+    return loadBuffer(track);
+  }
+
+  // ==================== 状态与设置 ====================
+
+  /**
+   * 获取当前播放位置（秒）
+   * @returns {number}
+   */
+  function getCurrentTime() {
+    if (state.current) {
+      return getVoicePosition(state.current);
+    }
+    return state.paused ? state.pausedOffset : 0;
+  }
+
+  /**
+   * 获取当前音轨时长（秒），未知时为0
+   * @returns {number}
+   */
+  function getDuration() {
+    if (state.current) return state.current.duration;
+    if (state.pausedTrack) return state.pausedDuration || state.pausedTrack.duration || 0;
+    return 0;
+  }
+
+  /**
+   * 设置主音量
+   * @param {number} volume 音量 0~1
+   */
+  function setVolume(volume) {
+    settings.volume = Math.max(0, Math.min(1, volume));
+    rampMasterGain();
+  }
+
+  /**
+   * 静音或取消静音，主音量保持不变
+   * @param {boolean} muted 是否静音
+   */
+  function setMuted(muted) {
+    settings.muted = !!muted;
+    rampMasterGain();
+  }
+
+  /**
+   * 主输出增益平滑过渡到当前音量（静音时为0），连续调节时不会产生拉链噪声
+   */
+  function rampMasterGain() {
+    if (state.masterGain) {
+      const gain = state.masterGain.gain;
+      const now = state.context.currentTime;
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      gain.setTargetAtTime(settings.muted ? 0 : settings.volume, now, VOLUME_RAMP / 3);
+    }
+  }
+
+  /**
+   * 整体淡入淡出到指定电平，不改变主音量（音量旋钮调节仍然有效）
+   * @param {number} level 目标电平 0~1
+   * @param {number} duration 过渡时长（秒），0 为立即
+   */
+  function fadeTo(level, duration) {
+    const context = getContext();
+    rampGain(state.fadeGain.gain, Math.max(0, Math.min(1, level)), context.currentTime, Math.max(0, duration));
+  }
+
+  /**
+   * 设置播放速率（唱盘转速），音高随之改变
+   * 已调度的下一首会被取消，在速率稳定后重新调度
+   * @param {number} rate 播放速率，1为原速，负值为倒放（仅限已解码的音轨）
+   */
+  function setPlaybackRate(rate) {
+    if (Math.abs(rate - state.playbackRate) < 1e-4) return;
+
+    const voice = state.current;
+    if (voice && voice.started) {
+      // 以旧速率结算当前位置，再以新速率继续计时
+      const now = getContext().currentTime;
+      voice.anchorOffset = getVoicePosition(voice);
+      voice.anchorTime = Math.max(now, voice.anchorTime);
+      state.playbackRate = rate;
+      applyVoiceRate(voice, voice.anchorTime);
+    } else {
+      state.playbackRate = rate;
+    }
+
+    if (state.next) {
+      cancelNext();
+    }
+    clearTimeout(state.rescheduleTimer);
+    state.rescheduleTimer = setTimeout(scheduleNext, RESCHEDULE_DELAY);
+  }
+
+  /**
+   * 设置交叉淡入淡出时长，并重新调度下一首
+   * @param {number} seconds 时长（秒）
+   */
+  function setCrossfadeDuration(seconds) {
+    settings.crossfadeDuration = Math.max(0, seconds);
+    cancelNext();
+    scheduleNext();
+  }
+
+  /**
+   * 设置无缝衔接模式，并重新调度下一首
+   * @param {boolean} enabled 是否启用
+   */
+  function setGapless(enabled) {
+    settings.gapless = !!enabled;
+    cancelNext();
+    scheduleNext();
+  }
+
+  /**
+   * 释放引擎
+   */
+  function dispose() {
+    clearTimeout(state.rescheduleTimer);
+    stop();
+    state.buffers.clear();
+    if (state.context) {
+      state.context.close();
+      state.context = null;
+    }
+  }
+
+  return {
+    getContext,
+    setInsert,
+    getAnalyser,
+    play,
+    pause,
+    resume,
+    seek,
+    stop,
+    preload,
+    setNextTrack,
+    getCurrentTime,
+    getDuration,
+    setVolume,
+    setMuted,
+    fadeTo,
+    isMuted: () => settings.muted,
+    setPlaybackRate,
+    getPlaybackRate: () => state.playbackRate,
+    setCrossfadeDuration,
+    setGapless,
+    isPlaying: () => !!state.current,
+    isPaused: () => state.paused,
+    getCurrentTrack: () => (state.current ? state.current.track : state.pausedTrack),
+    dispose
+  };
+}
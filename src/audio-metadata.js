@@ -0,0 +1,639 @@
+/**
+ * Lofi FM 音轨元数据
+ * 从下载的音频文件中读取标题、艺术家、专辑、时长和内嵌封面：
+ * - MP3: ID3v2.2 / 2.3 / 2.4 标签，时长取 TLEN，没有时按 Xing / VBRI 帧数或恒定码率估算
+ * - FLAC: Vorbis 注释、PICTURE 块，时长取 STREAMINFO
+ * - OGG Vorbis / Opus: Vorbis 注释（封面为 METADATA_BLOCK_PICTURE），时长取最后一页的 granule position
+ * 与渲染引擎无关，只解析数据，不修改音轨。
+ */
+
+// ID3v2 帧名称（v2.2 为三个字符）
+const ID3_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TLEN: 'length', TLE: 'length'
+};
+
+// Vorbis 注释字段
+const VORBIS_FIELDS = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album' };
+
+// 封面类型：3 为正面封面，优先使用
+const FRONT_COVER = 3;
+
+// MPEG 音频帧头码率表（kbps），按 [版本 1 / 2][层 I / II / III]
+const MPEG_BITRATES = {
+  1: [
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  ],
+  2: [
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  ]
+};
+const MPEG_SAMPLE_RATES = [44100, 48000, 32000];
+
+// ==================== 基础读取 ====================
+
+/**
+ * 读取 ASCII 字符串
+ * @param {Uint8Array} bytes 数据
+ * @param {number} offset 起始位置
+ * @param {number} length 长度
+ * @returns {string}
+ */
+function readAscii(bytes, offset, length) {
+  let text = '';
+  for (let i = offset; i < offset + length && i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
+
+/**
+ * 读取大端无符号整数
+ * @param {Uint8Array} bytes 数据
+ * @param {number} offset 起始位置
+ * @param {number} length 字节数（最多4）
+ * @returns {number}
+ */
+function readUintBE(bytes, offset, length = 4) {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+}
+
+/**
+ * 读取小端32位无符号整数
+ * @param {Uint8Array} bytes 数据
+ * @param {number} offset 起始位置
+ * @returns {number}
+ */
+function readUint32LE(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16)) + bytes[offset + 3] * 0x1000000;
+}
+
+/**
+ * 读取 ID3v2 的同步安全整数（每字节7位）
+ * @param {Uint8Array} bytes 数据
+ * @param {number} offset 起始位置
+ * @returns {number}
+ */
+function readSyncsafe(bytes, offset) {
+  return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) |
+    ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+}
+
+/**
+ * 解码文本
+ * @param {Uint8Array} bytes 数据
+ * @param {string} encoding TextDecoder 编码名称
+ * @returns {string}
+ */
+function decodeText(bytes, encoding) {
+  try {
+    return new TextDecoder(encoding).decode(bytes);
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * 整理多值文本：去掉空值，以 " / " 连接
+ * @param {Array<string>} values 值
+ * @returns {string|undefined}
+ */
+function joinValues(values) {
+  const text = values.map(value => value.trim()).filter(Boolean).join(' / ');
+  return text || undefined;
+}
+
+// ==================== ID3v2 ====================
+
+/**
+ * 还原 ID3 非同步化（0xFF 0x00 → 0xFF）
+ * @param {Uint8Array} bytes 数据
+ * @returns {Uint8Array}
+ */
+function removeUnsynchronisation(bytes) {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return output.subarray(0, length);
+}
+
+/**
+ * ID3 文本编码对应的解码器名称和结束符长度
+ * @param {number} encoding 编码字节
+ * @returns {{name: string, width: number}}
+ */
+function getId3Encoding(encoding) {
+  switch (encoding) {
+    case 1: return { name: 'utf-16', width: 2 };   // 带 BOM
+    case 2: return { name: 'utf-16be', width: 2 };
+    case 3: return { name: 'utf-8', width: 1 };
+    default: return { name: 'iso-8859-1', width: 1 };
+  }
+}
+
+/**
+ * 查找字符串结束符
+ * @param {Uint8Array} bytes 数据
+ * @param {number} offset 起始位置
+ * @param {number} width 结束符长度（UTF-16 为2，按字符对齐）
+ * @returns {number} 结束符位置，没有时为数据长度
+ */
+function findTerminator(bytes, offset, width) {
+  for (let i = offset; i + width <= bytes.length; i += width) {
+    if (bytes[i] === 0 && (width === 1 || bytes[i + 1] === 0)) return i;
+  }
+  return bytes.length;
+}
+
+/**
+ * 解码 ID3 字符串，UTF-16 按 BOM 判断字节序
+ * @param {Uint8Array} bytes 数据
+ * @param {Object} encoding getId3Encoding 的结果
+ * @returns {string}
+ */
+function decodeId3String(bytes, encoding) {
+  if (encoding.name === 'utf-16') {
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return decodeText(bytes.subarray(2), 'utf-16be');
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return decodeText(bytes.subarray(2), 'utf-16le');
+    return decodeText(bytes, 'utf-16le');
+  }
+  return decodeText(bytes, encoding.name);
+}
+
+/**
+ * 解析文本帧，v2.4 的多个值以结束符分隔
+ * @param {Uint8Array} data 帧内容
+ * @returns {string|undefined}
+ */
+function parseTextFrame(data) {
+  const encoding = getId3Encoding(data[0]);
+  const values = [];
+  let offset = 1;
+  while (offset < data.length) {
+    const end = findTerminator(data, offset, encoding.width);
+    values.push(decodeId3String(data.subarray(offset, end), encoding));
+    offset = end + encoding.width;
+  }
+  return joinValues(values);
+}
+
+/**
+ * 解析封面帧（v2.3 / 2.4 的 APIC，v2.2 的 PIC）
+ * @param {Uint8Array} data 帧内容
+ * @param {boolean} legacy 是否为 v2.2 的 PIC（图片格式为三个字符）
+ * @returns {Object|null} { mime, type, data }
+ */
+function parsePictureFrame(data, legacy) {
+  const encoding = getId3Encoding(data[0]);
+  let offset = 1;
+  let mime;
+  if (legacy) {
+    const format = readAscii(data, offset, 3).toUpperCase();
+    mime = format === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset += 3;
+  } else {
+    const end = findTerminator(data, offset, 1);
+    mime = readAscii(data, offset, end - offset).toLowerCase() || 'image/jpeg';
+    offset = end + 1;
+  }
+  // 只写 "jpg" / "png" 的旧写法
+  if (!mime.includes('/')) {
+    mime = 'image/' + (mime === 'jpg' ? 'jpeg' : mime);
+  }
+
+  const type = data[offset];
+  offset = findTerminator(data, offset + 1, encoding.width) + encoding.width; // 跳过描述
+  if (offset >= data.length) return null;
+  return { mime, type, data: data.subarray(offset) };
+}
+
+/**
+ * ID3v2 标签的总长度（包括标签头和页脚）
+ * @param {Uint8Array} bytes 文件数据
+ * @param {number} offset 标签起始位置
+ * @returns {number} 不是 ID3v2 标签时为0
+ */
+function getId3Length(bytes, offset = 0) {
+  if (bytes.length < offset + 10 || readAscii(bytes, offset, 3) !== 'ID3') return 0;
+  const footer = bytes[offset + 3] >= 4 && (bytes[offset + 5] & 0x10) ? 10 : 0;
+  return 10 + readSyncsafe(bytes, offset + 6) + footer;
+}
+
+/**
+ * 解析 ID3v2 标签
+ * @param {Uint8Array} bytes 文件数据
+ * @returns {Object|null} { title, artist, album, duration, picture }，没有标签时为null
+ */
+function parseId3(bytes) {
+  const length = getId3Length(bytes);
+  if (!length) return null;
+
+  const version = bytes[3];
+  const flags = bytes[5];
+  if (version < 2 || version > 4) return null;
+
+  let tag = bytes.subarray(10, Math.min(bytes.length, 10 + readSyncsafe(bytes, 6)));
+  // v2.2 / 2.3 的非同步化作用于整个标签，v2.4 按帧标记
+  if ((flags & 0x80) && version < 4) {
+    tag = removeUnsynchronisation(tag);
+  }
+
+  let offset = 0;
+  if ((flags & 0x40) && version > 2) {
+    // 扩展标签头：v2.3 的长度不含自身的4字节，v2.4 为同步安全整数且包含自身
+    offset = version === 3 ? readUintBE(tag, 0) + 4 : readSyncsafe(tag, 0);
+  }
+
+  const result = {};
+  const pictures = [];
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+
+  while (offset + headerLength <= tag.length) {
+    const id = readAscii(tag, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // 填充区
+
+    let size;
+    if (version === 2) {
+      size = readUintBE(tag, offset + 3, 3);
+    } else if (version === 4) {
+      size = readSyncsafe(tag, offset + 4);
+    } else {
+      size = readUintBE(tag, offset + 4);
+    }
+    const formatFlags = version === 2 ? 0 : tag[offset + 9];
+    let data = tag.subarray(offset + headerLength, offset + headerLength + size);
+    offset += headerLength + size;
+
+    if (version === 4) {
+      if (formatFlags & 0x0c) continue; // 压缩或加密的帧
+      if (formatFlags & 0x01) data = data.subarray(4); // 数据长度指示
+      if (formatFlags & 0x02) data = removeUnsynchronisation(data);
+    } else if (version === 3) {
+      if (formatFlags & 0xc0) continue; // 压缩或加密的帧
+      if (formatFlags & 0x20) data = data.subarray(1); // 分组标识
+    }
+    if (data.length === 0) continue;
+
+    if (id === 'APIC' || id === 'PIC') {
+      const picture = parsePictureFrame(data, id === 'PIC');
+      if (picture) pictures.push(picture);
+    } else if (ID3_FRAMES[id] && result[ID3_FRAMES[id]] === undefined) {
+      result[ID3_FRAMES[id]] = parseTextFrame(data);
+    }
+  }
+
+  const milliseconds = Number(result.length);
+  return {
+    title: result.title,
+    artist: result.artist,
+    album: result.album,
+    duration: milliseconds > 0 ? milliseconds / 1000 : undefined,
+    picture: pictures.find(picture => picture.type === FRONT_COVER) || pictures[0] || null
+  };
+}
+
+// ==================== MPEG 时长 ====================
+
+/**
+ * 解析 MPEG 音频帧头
+ * @param {Uint8Array} bytes 数据
+ * @param {number} offset 帧起始位置
+ * @returns {Object|null} { version, layer, bitrate, sampleRate, samplesPerFrame, mono }，无效时为null
+ */
+function parseMpegHeader(bytes, offset) {
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+  const layerBits = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const rateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : 2; // MPEG 2.5 使用 MPEG 2 的码率表
+  const layer = 4 - layerBits;
+  const divisor = versionBits === 3 ? 1 : (versionBits === 2 ? 2 : 4);
+  let samplesPerFrame = 1152;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+  } else if (layer === 3 && version === 2) {
+    samplesPerFrame = 576;
+  }
+
+  return {
+    version,
+    layer,
+    bitrate: MPEG_BITRATES[version][layer - 1][bitrateIndex] * 1000,
+    sampleRate: MPEG_SAMPLE_RATES[rateIndex] / divisor,
+    samplesPerFrame,
+    mono: (bytes[offset + 3] >> 6) === 3
+  };
+}
+
+/**
+ * 估算 MPEG 音频时长：有 Xing / Info / VBRI 帧数时精确计算，否则按第一帧的码率估算
+ * @param {Uint8Array} bytes 文件数据
+ * @param {number} start 音频数据起始位置（ID3 标签之后）
+ * @returns {number|undefined} 秒
+ */
+function getMpegDuration(bytes, start) {
+  const limit = Math.min(bytes.length - 4, start + 65536);
+  for (let offset = start; offset < limit; offset++) {
+    const header = parseMpegHeader(bytes, offset);
+    if (!header) continue;
+
+    // Xing / Info 头位于边信息之后
+    let sideInfo = header.mono ? 9 : 17;
+    if (header.version === 1) {
+      sideInfo = header.mono ? 17 : 32;
+    }
+    const xing = offset + 4 + sideInfo;
+    let frames = 0;
+    const marker = readAscii(bytes, xing, 4);
+    if ((marker === 'Xing' || marker === 'Info') && (readUintBE(bytes, xing + 4) & 0x01)) {
+      frames = readUintBE(bytes, xing + 8);
+    } else if (readAscii(bytes, offset + 36, 4) === 'VBRI') {
+      frames = readUintBE(bytes, offset + 36 + 14);
+    }
+
+    if (frames > 0) {
+      return frames * header.samplesPerFrame / header.sampleRate;
+    }
+    return (bytes.length - offset) * 8 / header.bitrate;
+  }
+  return undefined;
+}
+
+// ==================== Vorbis 注释 / FLAC / OGG ====================
+
+/**
+ * 解析 FLAC PICTURE 块（OGG 中以 base64 存放在 METADATA_BLOCK_PICTURE 注释里）
+ * @param {Uint8Array} bytes 块内容
+ * @returns {Object|null} { mime, type, data }
+ */
+function parseFlacPicture(bytes) {
+  if (bytes.length < 32) return null;
+  const type = readUintBE(bytes, 0);
+  const mimeLength = readUintBE(bytes, 4);
+  const mime = readAscii(bytes, 8, mimeLength).toLowerCase() || 'image/jpeg';
+  let offset = 8 + mimeLength;
+  offset += 4 + readUintBE(bytes, offset); // 描述
+  offset += 16;                            // 宽、高、色深、索引颜色数
+  const length = readUintBE(bytes, offset);
+  offset += 4;
+  if (offset + length > bytes.length || length === 0) return null;
+  return { mime, type, data: bytes.subarray(offset, offset + length) };
+}
+
+/**
+ * 解码 base64
+ * @param {string} text base64 文本
+ * @returns {Uint8Array|null}
+ */
+function decodeBase64(text) {
+  try {
+    const binary = atob(text.replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 解析 Vorbis 注释（FLAC 的 VORBIS_COMMENT 块，OGG 的注释头去掉包头之后）
+ * @param {Uint8Array} bytes 注释数据
+ * @returns {Object} { title, artist, album, pictures }
+ */
+function parseVorbisComment(bytes) {
+  const fields = { title: [], artist: [], album: [] };
+  const pictures = [];
+  let legacyMime = 'image/jpeg';
+  const legacyCovers = [];
+
+  let offset = 4 + readUint32LE(bytes, 0); // 跳过编码器名称
+  const count = readUint32LE(bytes, offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = readUint32LE(bytes, offset);
+    offset += 4;
+    const comment = bytes.subarray(offset, offset + length);
+    offset += length;
+
+    const separator = comment.indexOf(0x3d); // "="
+    if (separator <= 0) continue;
+    const key = readAscii(comment, 0, separator).toUpperCase();
+    const value = comment.subarray(separator + 1);
+
+    if (VORBIS_FIELDS[key]) {
+      fields[VORBIS_FIELDS[key]].push(decodeText(value, 'utf-8'));
+    } else if (key === 'METADATA_BLOCK_PICTURE') {
+      const block = decodeBase64(readAscii(value, 0, value.length));
+      const picture = block && parseFlacPicture(block);
+      if (picture) pictures.push(picture);
+    } else if (key === 'COVERART') {
+      // 旧写法：base64 图片，类型在 COVERARTMIME 中
+      const data = decodeBase64(readAscii(value, 0, value.length));
+      if (data) legacyCovers.push(data);
+    } else if (key === 'COVERARTMIME') {
+      legacyMime = readAscii(value, 0, value.length).toLowerCase();
+    }
+  }
+
+  legacyCovers.forEach(data => pictures.push({ mime: legacyMime, type: FRONT_COVER, data }));
+  return {
+    title: joinValues(fields.title),
+    artist: joinValues(fields.artist),
+    album: joinValues(fields.album),
+    pictures
+  };
+}
+
+/**
+ * 解析 FLAC 元数据块
+ * @param {Uint8Array} bytes 文件数据
+ * @param {number} start "fLaC" 的位置
+ * @returns {Object} { title, artist, album, duration, picture }
+ */
+function parseFlac(bytes, start) {
+  const result = { pictures: [] };
+  let offset = start + 4;
+  let last = false;
+
+  while (!last && offset + 4 <= bytes.length) {
+    last = (bytes[offset] & 0x80) !== 0;
+    const type = bytes[offset] & 0x7f;
+    const length = readUintBE(bytes, offset + 1, 3);
+    const block = bytes.subarray(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    if (type === 0 && block.length >= 18) {
+      // STREAMINFO：20位采样率，36位总采样数
+      const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+      const samples = (block[13] & 0x0f) * 0x100000000 + readUintBE(block, 14);
+      if (sampleRate > 0 && samples > 0) {
+        result.duration = samples / sampleRate;
+      }
+    } else if (type === 4) {
+      const comment = parseVorbisComment(block);
+      Object.assign(result, comment, { pictures: result.pictures.concat(comment.pictures) });
+    } else if (type === 6) {
+      const picture = parseFlacPicture(block);
+      if (picture) result.pictures.push(picture);
+    }
+  }
+
+  return finishVorbis(result);
+}
+
+/**
+ * 读取 OGG 第一条逻辑流的前两个包（标识头和注释头），以及最后一页的 granule position
+ * @param {Uint8Array} bytes 文件数据
+ * @returns {{packets: Array<Uint8Array>, granule: number}|null}
+ */
+function readOggHeaders(bytes) {
+  const packets = [];
+  let chunks = [];
+  let serial = null;
+  let offset = 0;
+
+  while (packets.length < 2 && offset + 27 <= bytes.length && readAscii(bytes, offset, 4) === 'OggS') {
+    const pageSerial = readUint32LE(bytes, offset + 14);
+    const segments = bytes[offset + 26];
+    let dataOffset = offset + 27 + segments;
+    if (serial === null) serial = pageSerial;
+
+    for (let i = 0; i < segments; i++) {
+      const size = bytes[offset + 27 + i];
+      if (pageSerial === serial) {
+        chunks.push(bytes.subarray(dataOffset, dataOffset + size));
+        // 长度不足255的段结束一个包
+        if (size < 255) {
+          packets.push(concatBytes(chunks));
+          chunks = [];
+          if (packets.length === 2) break;
+        }
+      }
+      dataOffset += size;
+    }
+    offset = dataOffset;
+  }
+  if (packets.length < 2) return null;
+
+  // 从文件末尾向前找同一逻辑流的最后一页
+  let granule = 0;
+  for (let i = bytes.length - 27; i >= offset; i--) {
+    if (bytes[i] === 0x4f && readAscii(bytes, i, 4) === 'OggS' && readUint32LE(bytes, i + 14) === serial) {
+      granule = readUint32LE(bytes, i + 6) + readUint32LE(bytes, i + 10) * 0x100000000;
+      break;
+    }
+  }
+  return { packets, granule };
+}
+
+/**
+ * 拼接字节块
+ * @param {Array<Uint8Array>} chunks 字节块
+ * @returns {Uint8Array}
+ */
+function concatBytes(chunks) {
+  if (chunks.length === 1) return chunks[0];
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+/**
+ * 解析 OGG Vorbis / Opus 的注释头和时长
+ * @param {Uint8Array} bytes 文件数据
+ * @returns {Object|null} { title, artist, album, duration, picture }，不是 Vorbis / Opus 时为null
+ */
+function parseOgg(bytes) {
+  const headers = readOggHeaders(bytes);
+  if (!headers) return null;
+
+  const [identification, comment] = headers.packets;
+  let sampleRate;
+  let preSkip = 0;
+  let result;
+
+  if (readAscii(identification, 0, 7) === '\x01vorbis' && readAscii(comment, 0, 7) === '\x03vorbis') {
+    sampleRate = readUint32LE(identification, 12);
+    result = parseVorbisComment(comment.subarray(7));
+  } else if (readAscii(identification, 0, 8) === 'OpusHead' && readAscii(comment, 0, 8) === 'OpusTags') {
+    sampleRate = 48000; // Opus 的 granule position 总是按 48kHz 计
+    preSkip = identification[10] | (identification[11] << 8);
+    result = parseVorbisComment(comment.subarray(8));
+  } else {
+    return null;
+  }
+
+  if (sampleRate > 0 && headers.granule > preSkip) {
+    result.duration = (headers.granule - preSkip) / sampleRate;
+  }
+  return finishVorbis(result);
+}
+
+/**
+ * 从 Vorbis 注释的解析结果中选出封面
+ * @param {Object} result 解析结果（含 pictures）
+ * @returns {Object} { title, artist, album, duration, picture }
+ */
+function finishVorbis({ title, artist, album, duration, pictures }) {
+  return {
+    title,
+    artist,
+    album,
+    duration,
+    picture: pictures.find(picture => picture.type === FRONT_COVER) || pictures[0] || null
+  };
+}
+
+// ==================== 对外接口 ====================
+
+/**
+ * 解析音频文件中的元数据
+ * @param {ArrayBuffer|Uint8Array} buffer 文件数据
+ * @returns {Object|null} { title, artist, album, duration, picture: { mime, type, data } | null }，
+ *   没有的字段为 undefined；无法识别的格式为null
+ */
+export function parseAudioMetadata(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const id3Length = getId3Length(bytes);
+
+  // FLAC 文件前面可能也有 ID3 标签
+  if (readAscii(bytes, id3Length, 4) === 'fLaC') {
+    return parseFlac(bytes, id3Length);
+  }
+  if (readAscii(bytes, 0, 4) === 'OggS') {
+    return parseOgg(bytes);
+  }
+
+  const tags = parseId3(bytes);
+  const duration = tags && tags.duration ? tags.duration : getMpegDuration(bytes, id3Length);
+  if (!tags && duration === undefined) return null;
+  return { title: undefined, artist: undefined, album: undefined, picture: null, ...tags, duration };
+}
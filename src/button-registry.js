@@ -0,0 +1,148 @@
+/**
+ * Lofi FM 按钮注册表
+ * 把模型节点名称映射到播放器动作（播放/暂停、上一首、下一首、随机、循环、音量、转速），
+ * 并记录每个按钮的外观、按下动画、点击音效和防抖设置。与渲染引擎无关，
+ * 入口负责查找节点、切换材质和执行动作。
+ */
+
+// 按钮定义的默认值
+const DEFAULT_BUTTON = {
+  animation: null,  // 按下时播放的模型动画（不带前缀），null 表示不播放
+  depress: true,    // 没有动画时沿唱盘法线按下
+  depth: 0.3,       // 按下深度（按钮包围盒最小边长的比例）
+  sound: true,      // 按下时播放点击音效
+  debounce: 250     // 防抖间隔（毫秒）
+};
+
+// 按钮外观：悬停、按下、错误、激活（例如随机播放已开启）
+export const BUTTON_VISUALS = {
+  hover: { color: 0xe6ffff, intensity: 0.3 },
+  pressed: { color: 0xffcc33, intensity: 0.4 },
+  error: { color: 0x660000, intensity: 0.4 },
+  active: { color: 0x004400, intensity: 0.2 }
+};
+
+/**
+ * 内置按钮定义
+ * names 为节点名称中包含的关键字（不区分大小写），按顺序匹配，先定义的优先
+ */
+export const BUTTON_DEFINITIONS = [
+  // 播放按钮的按下状态由播放状态控制（button_down 动画保持按下），不再额外下沉
+  { action: 'toggle', names: ['pause_play'], depress: false },
+  { action: 'previous', names: ['previous', 'prev'] },
+  { action: 'next', names: ['next'] },
+  { action: 'shuffle', names: ['shuffle'] },
+  { action: 'repeat', names: ['repeat'] },
+  { action: 'mute', names: ['mute'] },
+  { action: 'volumeUp', names: ['volume_up', 'vol_up'] },
+  { action: 'volumeDown', names: ['volume_down', 'vol_down'] },
+  { action: 'speed', names: ['speed', 'rpm'] },
+  // 唱片机旁的专注计时面板（入口生成，名称为 focus_clock），点击开始 / 暂停
+  { action: 'focus', names: ['focus_clock'], depress: false }
+];
+
+/**
+ * 创建按钮注册表
+ * @param {Array<Object>} definitions 按钮定义 { action, names, animation, depress, depth, sound, debounce, visuals }
+ * @returns {Object} 注册表接口
+ */
+export function createButtonRegistry(definitions = BUTTON_DEFINITIONS) {
+  const state = {
+    definitions: [],
+    buttons: []       // 已绑定到节点的按钮
+  };
+
+  /**
+   * 添加按钮定义，同一动作的定义会被替换
+   * @param {Object} definition 按钮定义
+   * @returns {Object} 补全默认值后的定义
+   */
+  function register(definition) {
+    if (!definition || !definition.action || !Array.isArray(definition.names) || definition.names.length === 0) {
+      throw new Error('按钮定义需要 action 和 names');
+    }
+    const entry = {
+      ...DEFAULT_BUTTON,
+      ...definition,
+      names: definition.names.map(name => String(name).toLowerCase()),
+      visuals: { ...BUTTON_VISUALS, ...(definition.visuals || {}) }
+    };
+    state.definitions = state.definitions.filter(item => item.action !== entry.action);
+    state.definitions.push(entry);
+    return entry;
+  }
+
+  /**
+   * 查找节点名称对应的按钮定义
+   * @param {string} name 节点名称
+   * @returns {Object|null}
+   */
+  function match(name) {
+    if (!name) return null;
+    const lower = name.toLowerCase();
+    return state.definitions.find(definition => definition.names.some(key => lower.includes(key))) || null;
+  }
+
+  /**
+   * 把节点绑定为按钮
+   * @param {Object} node 模型节点
+   * @returns {Object|null} 按钮 { definition, node, lastPress, pressed, hovered }，名称不匹配时为null
+   */
+  function bind(node) {
+    const definition = match(node.name);
+    if (!definition) return null;
+    const button = { definition, node, lastPress: 0, pressed: false, hovered: false };
+    state.buttons.push(button);
+    return button;
+  }
+
+  /**
+   * 查找物体所属的按钮（物体本身或其祖先节点已绑定）
+   * @param {Object} object 射线命中的物体
+   * @returns {Object|null}
+   */
+  function find(object) {
+    let current = object;
+    while (current) {
+      const button = state.buttons.find(item => item.node === current);
+      if (button) return button;
+      current = current.parent;
+    }
+    return null;
+  }
+
+  /**
+   * 按下按钮，防抖间隔内的重复按下被忽略
+   * @param {Object} button 按钮
+   * @param {number} now 当前时间（毫秒）
+   * @returns {boolean} 是否接受这次按下
+   */
+  function press(button, now = Date.now()) {
+    if (now - button.lastPress < button.definition.debounce) return false;
+    button.lastPress = now;
+    button.pressed = true;
+    return true;
+  }
+
+  /**
+   * 松开按钮
+   * @param {Object} button 按钮
+   */
+  function release(button) {
+    button.pressed = false;
+  }
+
+  definitions.forEach(register);
+
+  return {
+    register,
+    match,
+    bind,
+    find,
+    press,
+    release,
+    getButtons: () => state.buttons.slice(),
+    getByAction: (action) => state.buttons.filter(button => button.definition.action === action),
+    clear: () => { state.buttons = []; }
+  };
+}
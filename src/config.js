@@ -0,0 +1,175 @@
+/**
+ * Lofi FM 配置
+ * 合并默认值、创建选项和URL参数并逐项校验，无效值给出警告并使用默认值
+ *
+ * 优先级: 默认值 < LofiFM.create 的选项 < URL参数（例如 ?playlist=rainy.json&autostart=0）
+ */
+
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from './messages.js';
+
+/**
+ * 配置项定义
+ * param: 对应的URL参数名，null 表示只能通过选项设置
+ * default: null 表示未设置（由其他来源决定，例如上次的收听会话）
+ */
+export const CONFIG_SCHEMA = {
+  baseUrl: { param: null, type: 'string', default: '' },
+  // 未设置时使用绑定配置中的模型，绑定配置也没有时使用内置唱片机模型
+  modelUrl: { param: 'model', type: 'string', default: null },
+  // 模型加载失败时使用的备用模型，未设置时使用绑定配置中的备用模型，空字符串表示不使用
+  fallbackModelUrl: { param: 'fallbackModel', type: 'string', default: null, allowEmpty: true },
+  profileUrl: { param: 'profile', type: 'string', default: '', allowEmpty: true },
+  profile: { param: null, type: 'object', default: null },
+  playlistUrl: { param: 'playlist', type: 'string', default: 'audio/playlist.json', allowEmpty: true },
+  tracks: { param: null, type: 'array', default: null },
+  startTrack: { param: 'track', type: 'integer', min: 0, default: null },
+  volume: { param: 'volume', type: 'number', min: 0, max: 1, default: null },
+  autoStartXR: { param: 'autostart', type: 'boolean', default: true },
+  autoPreview: { param: 'preview', type: 'boolean', default: true },
+  showRayLine: { param: 'ray', type: 'boolean', default: true },
+  // AR会话中用 hit-test 把模型放在真实平面上，关闭或不支持时放在固定位置
+  arPlacement: { param: 'placement', type: 'boolean', default: true },
+  // 场景中唱片机上方的正在播放面板（音轨、进度和状态提示），AR中代替看不到的页面状态栏
+  nowPlayingPanel: { param: 'nowPlaying', type: 'boolean', default: true },
+  // 从音轨文件读取 ID3 / Vorbis 标签（标题、艺术家、专辑、封面），封面显示在唱片中心
+  trackMetadata: { param: 'metadata', type: 'boolean', default: true },
+  language: { param: 'lang', type: 'language', default: DEFAULT_LANGUAGE },
+  rotationSpeed: { param: 'rotationSpeed', type: 'number', min: 0, default: 3000 },
+  assetRetries: { param: 'retries', type: 'integer', min: 0, max: 10, default: 2 },
+  cacheAssets: { param: 'cache', type: 'boolean', default: true },
+  assetVersion: { param: 'assetVersion', type: 'string', default: '1' },
+  // 注册 Service Worker 预缓存页面、模型和音频，断网后可用
+  offline: { param: 'offline', type: 'boolean', default: true },
+  serviceWorkerUrl: { param: null, type: 'string', default: 'sw.js' },
+  // 专注计时（番茄钟）：专注、短休息、长休息的分钟数，每完成几个专注后长休息
+  focusWork: { param: 'focusWork', type: 'number', min: 1, max: 180, default: 25 },
+  focusShortBreak: { param: 'focusBreak', type: 'number', min: 1, max: 60, default: 5 },
+  focusLongBreak: { param: 'focusLongBreak', type: 'number', min: 1, max: 120, default: 15 },
+  focusLongBreakEvery: { param: 'focusRounds', type: 'integer', min: 1, max: 12, default: 4 },
+  // 休息时的音乐: pause 抬起唱针，专注开始时重新落下；dip 降低音量
+  focusBreakMusic: { param: 'focusBreakMusic', type: 'choice', choices: ['pause', 'dip'], default: 'dip' },
+  useUrlParams: { param: null, type: 'boolean', default: true }
+};
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+/**
+ * 解析URL参数
+ * @param {string} search 查询字符串（location.search）
+ * @returns {Object} 参数对象
+ */
+export function parseUrlParams(search) {
+  const params = {};
+  const query = search.startsWith('?') ? search.slice(1) : search;
+  if (query) {
+    query.split('&').forEach(pair => {
+      const [key, value] = pair.split('=');
+      try {
+        params[decodeURIComponent(key)] = decodeURIComponent((value || '').replace(/\+/g, ' '));
+      } catch (e) {
+        console.warn('Failed to decode param:', key, value);
+      }
+    });
+  }
+  return params;
+}
+
+/**
+ * 按定义校验并转换单个值，URL参数为字符串时先转换类型
+ * @param {Object} rule 配置项定义
+ * @param {*} value 原始值
+ * @returns {{value: *, error: string|null}}
+ */
+function validateValue(rule, value) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return { value, error: '应为字符串' };
+      if (!value.trim() && !rule.allowEmpty) return { value, error: '不能为空' };
+      return { value: value.trim(), error: null };
+
+    case 'array':
+      return Array.isArray(value) ? { value, error: null } : { value, error: '应为数组' };
+
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) ? { value, error: null } : { value, error: '应为对象' };
+
+    case 'boolean':
+      if (typeof value === 'boolean') return { value, error: null };
+      if (typeof value === 'string') {
+        const text = value.trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) return { value: true, error: null };
+        if (FALSE_VALUES.includes(text)) return { value: false, error: null };
+      }
+      return { value, error: `应为布尔值（${TRUE_VALUES.join('/')} 或 ${FALSE_VALUES.join('/')}）` };
+
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (typeof number !== 'number' || !isFinite(number)) return { value, error: '应为数字' };
+      if (rule.type === 'integer' && !Number.isInteger(number)) return { value, error: '应为整数' };
+      if (rule.min !== undefined && number < rule.min) return { value, error: `不能小于 ${rule.min}` };
+      if (rule.max !== undefined && number > rule.max) return { value, error: `不能大于 ${rule.max}` };
+      return { value: number, error: null };
+    }
+
+    case 'choice': {
+      const choice = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (rule.choices.includes(choice)) return { value: choice, error: null };
+      return { value, error: `应为 ${rule.choices.join(' / ')}` };
+    }
+
+    case 'language': {
+      // 接受 zh-CN / en-US 这类带地区的写法
+      const language = typeof value === 'string' ? value.trim().toLowerCase().split(/[-_]/)[0] : '';
+      if (SUPPORTED_LANGUAGES.includes(language)) return { value: language, error: null };
+      return { value, error: `应为 ${SUPPORTED_LANGUAGES.join(' / ')}` };
+    }
+
+    default:
+      return { value, error: '未知的配置类型 ' + rule.type };
+  }
+}
+
+/**
+ * 解析配置
+ * @param {Object} options LofiFM.create 的选项
+ * @param {string} search URL查询字符串，默认为当前页面的
+ * @returns {{config: Object, warnings: Array<string>}} 校验后的完整配置和警告
+ */
+export function resolveConfig(options = {}, search = window.location.search) {
+  const config = {};
+  const warnings = [];
+
+  Object.keys(options).forEach(key => {
+    if (!CONFIG_SCHEMA[key]) {
+      warnings.push(`未知的配置项 ${key}，已忽略`);
+    }
+  });
+
+  const useUrlParams = options.useUrlParams !== false;
+  const params = useUrlParams ? parseUrlParams(search || '') : {};
+
+  Object.keys(CONFIG_SCHEMA).forEach(key => {
+    const rule = CONFIG_SCHEMA[key];
+    config[key] = rule.default;
+
+    const sources = [['选项', options[key]]];
+    if (rule.param && params[rule.param] !== undefined) {
+      sources.push([`URL参数 ${rule.param}`, params[rule.param]]);
+    }
+
+    sources.forEach(([source, raw]) => {
+      if (raw === undefined || raw === null) return;
+      const { value, error } = validateValue(rule, raw);
+      if (error) {
+        warnings.push(`${source} ${key}=${JSON.stringify(raw)} 无效: ${error}，使用 ${JSON.stringify(config[key])}`);
+      } else {
+        config[key] = value;
+      }
+    });
+  });
+
+  warnings.forEach(warning => console.warn('配置:', warning));
+  return { config, warnings };
+}
@@ -0,0 +1,95 @@
+/**
+ * Lofi FM 事件总线
+ * 播放器对外派发 statechange / trackchange / timeupdate / modelloaded / error 等事件
+ */
+
+/**
+ * 创建事件总线
+ * @returns {Object} 事件总线接口 { on, off, once, emit, clear }
+ */
+export function createEventBus() {
+  const listeners = new Map(); // 事件名 -> Set<Function>
+
+  /**
+   * 订阅事件
+   * @param {string} type 事件名
+   * @param {Function} handler 回调，参数为事件数据
+   * @returns {Function} 取消订阅函数
+   */
+  function on(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError('事件回调必须是函数: ' + type);
+    }
+    if (!listeners.has(type)) {
+      listeners.set(type, new Set());
+    }
+    listeners.get(type).add(handler);
+    return () => off(type, handler);
+  }
+
+  /**
+   * 取消订阅
+   * @param {string} type 事件名
+   * @param {Function} handler 订阅时的回调（once 订阅也传原回调）
+   */
+  function off(type, handler) {
+    const handlers = listeners.get(type);
+    if (!handlers || handlers.delete(handler)) return;
+
+    for (const wrapper of handlers) {
+      if (wrapper.original === handler) {
+        handlers.delete(wrapper);
+        return;
+      }
+    }
+  }
+
+  /**
+   * 订阅一次
+   * @param {string} type 事件名
+   * @param {Function} handler 回调
+   * @returns {Function} 取消订阅函数
+   */
+  function once(type, handler) {
+    const wrapper = (data) => {
+      unsubscribe();
+      handler(data);
+    };
+    wrapper.original = handler; // off(type, handler) 按原回调找到包装函数
+    const unsubscribe = on(type, wrapper);
+    return unsubscribe;
+  }
+
+  /**
+   * 派发事件，单个回调出错不影响其他回调
+   * @param {string} type 事件名
+   * @param {Object} data 事件数据
+   */
+  function emit(type, data) {
+    const handlers = listeners.get(type);
+    if (!handlers) return;
+
+    Array.from(handlers).forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`事件 ${type} 的回调出错:`, error);
+      }
+    });
+  }
+
+  /**
+   * 移除所有订阅
+   */
+  function clear() {
+    listeners.clear();
+  }
+
+  return {
+    on,
+    off,
+    once,
+    emit,
+    clear
+  };
+}
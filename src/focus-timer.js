@@ -0,0 +1,234 @@
+/**
+ * Lofi FM 专注计时（番茄钟）
+ * 专注 → 短休息 → 专注 ... 每完成若干个专注后长休息，到点自动进入下一阶段并统计完成的专注次数。
+ * 与渲染引擎无关：只负责计时和阶段切换，时钟面板、提示音和休息时的音乐处理由入口在回调中执行，
+ * Three.js 入口和 JSAR 入口共用。
+ */
+
+// 阶段
+export const FOCUS_PHASES = {
+  IDLE: 'idle',             // 未开始
+  WORK: 'work',             // 专注
+  SHORT_BREAK: 'shortBreak', // 短休息
+  LONG_BREAK: 'longBreak'   // 长休息
+};
+
+const { IDLE, WORK, SHORT_BREAK, LONG_BREAK } = FOCUS_PHASES;
+
+// 默认时长（分钟）和长休息间隔（每完成几个专注）
+export const FOCUS_DEFAULTS = {
+  work: 25,
+  shortBreak: 5,
+  longBreak: 15,
+  longBreakEvery: 4
+};
+
+/**
+ * 倒计时文字
+ * @param {number} seconds 剩余秒数
+ * @returns {string} "MM:SS"，一小时以上为 "H:MM:SS"
+ */
+export function formatCountdown(seconds) {
+  const total = Math.max(0, Math.ceil(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = String(total % 60).padStart(2, '0');
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${rest}`;
+  }
+  return `${String(minutes).padStart(2, '0')}:${rest}`;
+}
+
+/**
+ * 是否为休息阶段
+ * @param {string} phase 阶段
+ * @returns {boolean}
+ */
+export function isBreakPhase(phase) {
+  return phase === SHORT_BREAK || phase === LONG_BREAK;
+}
+
+/**
+ * 创建专注计时器
+ * @param {Object} options 选项
+ * @param {Object} options.durations 时长 { work, shortBreak, longBreak }（分钟）和 longBreakEvery，见 FOCUS_DEFAULTS
+ * @param {number} options.sessions 已完成的专注次数（例如今天之前已完成的）
+ * @param {Function} options.onPhaseChange 阶段变化 (phase, previous, { completed })，completed 表示上一阶段按时完成
+ * @returns {Object} 计时器接口 { start, pause, resume, toggle, skip, stop, setDurations, setSessions, getState, dispose }
+ */
+export function createFocusTimer({ durations = {}, sessions = 0, onPhaseChange = () => {} } = {}) {
+  const settings = { ...FOCUS_DEFAULTS, ...durations };
+  const state = {
+    phase: IDLE,
+    endsAt: 0,       // 当前阶段结束的时间戳（毫秒），暂停时无效
+    remaining: 0,    // 暂停时剩余的毫秒数
+    duration: 0,     // 当前阶段的总时长（毫秒）
+    paused: false,
+    round: 0,        // 本轮（到下一次长休息）已完成的专注次数
+    sessions,        // 累计完成的专注次数
+    timer: null
+  };
+
+  /**
+   * 阶段时长（毫秒）
+   * @param {string} phase 阶段
+   * @returns {number}
+   */
+  function getPhaseDuration(phase) {
+    return settings[phase] * 60000;
+  }
+
+  /**
+   * 进入阶段并开始计时
+   * @param {string} phase 新阶段
+   * @param {boolean} completed 上一阶段是否按时完成
+   */
+  function enterPhase(phase, completed) {
+    const previous = state.phase;
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.phase = phase;
+    state.paused = false;
+
+    if (phase === IDLE) {
+      state.duration = 0;
+      state.remaining = 0;
+    } else {
+      state.duration = getPhaseDuration(phase);
+      startCountdown(state.duration);
+    }
+    onPhaseChange(phase, previous, { completed });
+  }
+
+  /**
+   * 开始倒计时
+   * @param {number} remaining 剩余毫秒数
+   */
+  function startCountdown(remaining) {
+    clearTimeout(state.timer);
+    state.endsAt = Date.now() + remaining;
+    state.timer = setTimeout(() => finishPhase(true), remaining);
+  }
+
+  /**
+   * 当前阶段结束：专注完成计数并进入休息，休息结束回到专注
+   * @param {boolean} completed 是否按时完成（跳过时为 false）
+   */
+  function finishPhase(completed = true) {
+    state.timer = null;
+    if (state.phase === WORK) {
+      if (completed) {
+        state.sessions++;
+        state.round++;
+      }
+      const longBreak = state.round >= settings.longBreakEvery;
+      if (longBreak) {
+        state.round = 0;
+      }
+      enterPhase(longBreak ? LONG_BREAK : SHORT_BREAK, completed);
+    } else if (isBreakPhase(state.phase)) {
+      enterPhase(WORK, completed);
+    }
+  }
+
+  /**
+   * 当前状态
+   * @returns {{phase: string, paused: boolean, remaining: number, duration: number, progress: number,
+   *   round: number, sessions: number, longBreakEvery: number}} remaining 和 duration 单位为秒
+   */
+  function getState() {
+    let remaining = 0;
+    if (state.phase !== IDLE) {
+      remaining = state.paused ? state.remaining : Math.max(0, state.endsAt - Date.now());
+    }
+    return {
+      phase: state.phase,
+      paused: state.paused,
+      remaining: remaining / 1000,
+      duration: state.duration / 1000,
+      progress: state.duration > 0 ? 1 - remaining / state.duration : 0,
+      round: state.round,
+      sessions: state.sessions,
+      longBreakEvery: settings.longBreakEvery
+    };
+  }
+
+  /**
+   * 暂停倒计时
+   * @returns {boolean} 是否暂停（未开始或已暂停时为 false）
+   */
+  function pause() {
+    if (state.phase === IDLE || state.paused) return false;
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.remaining = Math.max(0, state.endsAt - Date.now());
+    state.paused = true;
+    return true;
+  }
+
+  /**
+   * 继续倒计时
+   * @returns {boolean} 是否继续（没有暂停时为 false）
+   */
+  function resume() {
+    if (!state.paused) return false;
+    state.paused = false;
+    startCountdown(state.remaining);
+    return true;
+  }
+
+  /**
+   * 开始新的一轮专注（已在计时中则从专注重新开始）
+   */
+  function start() {
+    state.round = 0;
+    enterPhase(WORK, false);
+  }
+
+  /**
+   * 未开始时开始，计时中暂停，暂停时继续
+   * @returns {string} started / paused / resumed
+   */
+  function toggle() {
+    if (state.phase === IDLE) {
+      start();
+      return 'started';
+    }
+    if (pause()) return 'paused';
+    resume();
+    return 'resumed';
+  }
+
+  /**
+   * 跳过当前阶段（跳过的专注不计数）
+   */
+  function skip() {
+    if (state.phase !== IDLE) {
+      finishPhase(false);
+    }
+  }
+
+  /**
+   * 结束专注计时
+   */
+  function stop() {
+    if (state.phase !== IDLE) {
+      enterPhase(IDLE, false);
+    }
+  }
+
+  return {
+    start,
+    pause,
+    resume,
+    toggle,
+    skip,
+    stop,
+    // 修改时长，从下一个阶段开始生效
+    setDurations: (values) => Object.assign(settings, values),
+    // 设置累计完成次数（例如跨天清零）
+    setSessions: (count) => { state.sessions = count; },
+    getState,
+    dispose: () => clearTimeout(state.timer)
+  };
+}
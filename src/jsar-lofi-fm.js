@@ -1,30 +1,59 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { loadPlaylist, createPlaylist } from './playlist.js';
+import { createAudioEngine, isAudioEngineSupported } from './audio-engine.js';
+import { createEffectsChain } from './audio-effects.js';
+import { createAudioAnalyser } from './audio-analysis.js';
+import {
+  loadSession, saveSession, loadSchedule, saveSchedule, loadFocusSessions, saveFocusSessions
+} from './session-store.js';
+import { PLAYBACK_STATES } from './playback-state.js';
+import { createPlayerCore, REPEAT_MODES } from './player-core.js';
+import { createThreeAnimator } from './three-adapter.js';
+import { createEventBus } from './event-bus.js';
+import { createButtonRegistry } from './button-registry.js';
+import { resolveConfig } from './config.js';
+import { createTranslator } from './messages.js';
+import { DEFAULT_PROFILE, normalizeProfile, loadProfile, bindProfile } from './model-profile.js';
+import { fetchAsset, formatBytes } from './asset-loader.js';
+import { isOfflineSupported, registerOfflineSupport } from './offline.js';
+import { createARPlacement, PLACEMENT_STATES } from './ar-placement.js';
+import { createModelManipulator } from './model-manipulator.js';
+import { createNowPlayingPanel } from './now-playing-panel.js';
+import { parseAudioMetadata } from './audio-metadata.js';
+import { createSleepTimer, SLEEP_END_OF_TRACK } from './sleep-timer.js';
+import { createFocusTimer, FOCUS_PHASES, formatCountdown, isBreakPhase } from './focus-timer.js';
 
 /**
  * Lofi FM 主初始化函数
+ * @param {HTMLElement} container 播放器容器，状态栏、按钮和桌面预览画布在其中查找
+ * @param {Object} options 创建选项，见 LofiFM.create
+ * @returns {Object} 播放器接口
  */
-function init() {
+function init(container, options = {}) {
   // ==================== 工具函数 ====================
 
   /**
-   * 解析URL参数
-   * @returns {Object} 参数对象
+   * 在播放器容器内按 id 查找元素，找不到时在整个文档中查找
+   * @param {string} id 元素 id
+   * @returns {HTMLElement|null}
    */
-  function parseUrlParams() {
-    const params = {};
-    const search = window.location.search.slice(1);
-    if (search) {
-      search.split('&').forEach(pair => {
-        const [key, value] = pair.split('=');
-        try {
-          params[decodeURIComponent(key)] = decodeURIComponent(value || '');
-        } catch (e) {
-          console.warn('Failed to decode param:', key, value);
-        }
-      });
+  function findElement(id) {
+    return (container && container.querySelector('#' + id)) || document.getElementById(id);
+  }
+
+  /**
+   * 按 data-i18n 属性把容器内的界面文字换成当前语言
+   */
+  function applyLanguage() {
+    const root = container || document;
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    if (container) {
+      container.lang = config.language;
     }
-    return params;
   }
 
   /**
@@ -57,40 +86,21 @@ function init() {
   // ==================== 音频系统 ====================
 
   /**
-   * 创建音频播放器（单例模式）
+   * 创建音效播放器
    * @param {string} audioPath 音频文件路径
    * @returns {Promise<Function>} 返回播放函数
    */
   async function createAudioPlayer(audioPath) {
     return function playAudio(volume = 1.0) {
       try {
-        if (audioPath.includes('lofi.mp3')) {
-          // 音乐文件使用单例模式
-          if (!audioState.musicAudio) {
-            // 只在第一次创建音频实例
-            audioState.musicAudio = new Audio(audioPath);
-            audioState.musicAudio.loop = true;
-            console.log('创建音乐音频实例');
-          }
-
-          // 设置音量并播放
-          audioState.musicAudio.volume = volume;
-          audioState.musicAudio.currentTime = 0; // 从头开始播放
-          const playPromise = audioState.musicAudio.play();
-          if (playPromise && typeof playPromise.catch === 'function') {
-            playPromise.catch(err => console.warn('Audio play failed:', err));
-          }
-          return audioState.musicAudio;
-        } else {
-          // 音效文件每次创建新实例（短音效不需要单例）
-          const audio = new Audio(audioPath);
-          audio.volume = volume;
-          const playPromise = audio.play();
-          if (playPromise && typeof playPromise.catch === 'function') {
-            playPromise.catch(err => console.warn('Audio play failed:', err));
-          }
-          return audio;
+        // 音效文件每次创建新实例（短音效不需要单例）
+        const audio = new Audio(audioPath);
+        audio.volume = volume;
+        const playPromise = audio.play();
+        if (playPromise && typeof playPromise.catch === 'function') {
+          playPromise.catch(err => console.warn('Audio play failed:', err));
         }
+        return audio;
       } catch (error) {
         console.warn('Audio creation failed:', error);
         // 返回一个空的音频对象，避免返回 null
@@ -105,37 +115,197 @@ function init() {
   }
 
   /**
-   * 暂停音乐
+   * 创建音乐引擎（基于 AudioContext，支持交叉淡入淡出和无缝衔接）
+   * @returns {Object} 音频引擎
+   */
+  function createMusicEngine() {
+    return createAudioEngine({
+      crossfadeDuration: audioState.crossfadeDuration,
+      gapless: audioState.gapless,
+      volume: audioState.volume,
+      muted: audioState.muted,
+      fetchData: (url) => fetchAsset(url, getAssetOptions()).then(data => {
+        // 解码会转移数据，先读取标签
+        readTrackMetadata(url, data);
+        return data;
+      }),
+      onTrackStart: (track) => {
+        const index = core.queue.indexOf(track);
+        if (index >= 0) {
+          core.queue.setIndex(index);
+        }
+        console.log('音轨开始播放:', track.title);
+        if (visualState.analyser) {
+          visualState.analyser.reset();
+        }
+        queueNextTrack();
+        saveListeningSession();
+        updateVinylLabel();
+        updateStatus(t('trackPlaying', { title: track.title }));
+        emitTrackChange();
+      },
+      onEnded: () => {
+        if (sleepTimer.trackEnded()) return;
+        updateStatus(t('playlistEnded'));
+        playback.send('stop');
+      },
+      onError: (error, track) => {
+        updateStatus(t('trackFailed', { title: track.title }));
+        events.emit('error', { source: 'audio', error, track });
+        // 只有当前音轨失败（引擎已无声音）才进入错误状态，预缓冲的下一首失败不影响播放
+        if (audioState.engine && !audioState.engine.isPlaying() && !audioState.engine.isPaused()) {
+          playback.send('fail', error);
+        }
+      }
+    });
+  }
+
+  /**
+   * 创建音效链并插入到音乐引擎输出上
+   * 失败时音乐直接输出，不影响播放
+   */
+  function setupEffectsChain() {
+    try {
+      audioState.effects = createEffectsChain(audioState.engine.getContext(), audioState.effectSettings);
+      audioState.effects.setStylusDown(gameState.stylusOnVinyl);
+      audioState.engine.setInsert(audioState.effects);
+      console.log('音效链初始化完成:', audioState.effects.getSettings());
+    } catch (error) {
+      console.warn('音效链初始化失败，使用直通输出:', error);
+      audioState.effects = null;
+    }
+  }
+
+  /**
+   * 将下一首加入引擎队列（预缓冲并安排衔接），按循环模式列表播完时为空
+   */
+  function queueNextTrack() {
+    if (!audioState.engine || core.queue.size() === 0) return;
+    // 睡眠定时为本曲结束时不衔接下一首，播完即停止
+    audioState.engine.setNextTrack(sleepTimer.isEndOfTrack() ? null : core.queue.upNext());
+  }
+
+  /**
+   * 播放当前音轨
+   * 暂停的是同一首时从暂停位置继续，恢复的会话从上次的位置开始
+   */
+  function playMusic() {
+    const engine = audioState.engine;
+    const currentTrack = core.queue.getCurrent();
+
+    if (engine.isPaused() && engine.getCurrentTrack() === currentTrack) {
+      console.log('从暂停位置继续播放:', formatTime(engine.getCurrentTime()));
+      engine.resume().catch(err => console.warn('Audio resume failed:', err));
+      return;
+    }
+
+    const offset = sessionState.resumeTrack === currentTrack ? sessionState.resumePosition : 0;
+    sessionState.resumeTrack = null;
+    sessionState.resumePosition = 0;
+    engine.play(currentTrack, { offset }).catch(err => console.warn('Audio play failed:', err));
+  }
+
+  /**
+   * 设置音乐音量，静音时同时取消静音
+   * @param {number} volume 音量 0~1
+   * @param {boolean} persist 是否立即保存会话（旋钮、摇杆连续调节时在结束后再保存）
+   */
+  function setMusicVolume(volume, persist = true) {
+    audioState.volume = Math.max(0, Math.min(1, volume));
+    audioState.muted = false;
+    if (audioState.engine) {
+      audioState.engine.setVolume(audioState.volume);
+      audioState.engine.setMuted(false);
+    }
+    if (persist) {
+      saveListeningSession();
+    }
+    updateVolumeKnobVisual();
+    updateButtonVisuals();
+    updateStatus(t('volume', { percent: Math.round(audioState.volume * 100) }));
+    events.emit('volumechange', { volume: audioState.volume, muted: false });
+  }
+
+  /**
+   * 静音或取消静音，保留音量
+   * @param {boolean} muted 是否静音
+   */
+  function setMusicMuted(muted) {
+    audioState.muted = !!muted;
+    if (audioState.engine) {
+      audioState.engine.setMuted(audioState.muted);
+    }
+    updateVolumeKnobVisual();
+    updateButtonVisuals();
+    updateStatus(audioState.muted ? t('muted') : t('volume', { percent: Math.round(audioState.volume * 100) }));
+    events.emit('volumechange', { volume: audioState.volume, muted: audioState.muted });
+  }
+
+  /**
+   * 暂停音乐，保留播放位置
    */
   function pauseMusic() {
-    if (audioState.musicAudio) {
+    if (audioState.engine && audioState.engine.isPlaying()) {
       console.log('暂停音频播放');
-      audioState.musicAudio.pause();
-      audioState.musicAudio.currentTime = 0; // 重置播放位置
+      audioState.engine.pause();
+      saveListeningSession();
     } else {
       console.log('没有音频实例需要暂停');
     }
   }
 
+  // ==================== 模型加载 ====================
+
   /**
-   * 清理音频实例（用于切换音轨）
+   * 资源加载选项（模型和音轨共用）：缓存版本、是否缓存、重试次数
+   * @returns {Object}
    */
-  function cleanupAudio() {
-    if (audioState.musicAudio) {
-      console.log('清理音频实例');
-      audioState.musicAudio.pause();
-      audioState.musicAudio = null;
-    }
+  function getAssetOptions() {
+    return {
+      version: config.assetVersion,
+      cache: config.cacheAssets,
+      retries: config.assetRetries
+    };
   }
 
-  // ==================== 模型加载 ====================
+  /**
+   * 下载并解析GLTF模型
+   * 进度按字节计算，服务器没有给出总大小时显示已下载的大小；失败按配置重试
+   * @param {string} url 模型URL
+   * @returns {Promise<Object>} GLTF对象
+   */
+  async function fetchModel(url) {
+    let lastProgress = null;
+    const data = await fetchAsset(url, {
+      ...getAssetOptions(),
+      onProgress: (loaded, total) => {
+        // 百分比或已下载大小变化时才更新状态栏
+        const progress = total > 0 ? Math.round(loaded / total * 100) + '%' : formatBytes(loaded);
+        if (progress === lastProgress) return;
+        lastProgress = progress;
+        updateStatus(total > 0
+          ? t('modelLoading', { percent: Math.round(loaded / total * 100) })
+          : t('modelLoadingBytes', { size: progress }));
+      },
+      onRetry: (attempt) => {
+        updateStatus(t('modelRetrying', { attempt, retries: config.assetRetries }));
+      }
+    });
+
+    // 外部贴图等资源相对模型地址解析
+    const resourcePath = url.substring(0, url.lastIndexOf('/') + 1);
+    return new Promise((resolve, reject) => {
+      new GLTFLoader().parse(data, resourcePath, resolve, reject);
+    });
+  }
 
   /**
-   * 加载GLTF模型
+   * 加载GLTF模型，失败时改用备用模型
    * @param {string} url 模型URL
-   * @param {Function} onLoaded 加载完成回调
+   * @param {string|null} fallbackUrl 备用模型URL
+   * @param {Function} onLoaded 加载完成回调，失败时参数为错误
    */
-  function loadModel(url, onLoaded) {
+  function loadModel(url, fallbackUrl, onLoaded) {
     if (!url) {
       console.error('模型URL为空');
       if (onLoaded) onLoaded(new Error('模型URL为空'));
@@ -143,27 +313,25 @@ function init() {
     }
 
     console.log('开始加载Lofi FM模型:', url);
-    const loader = new GLTFLoader();
-
-    loader.load(
-      url,
-      (gltf) => {
+    fetchModel(url)
+      .catch((error) => {
+        if (!fallbackUrl || fallbackUrl === url || apiState.disposed) throw error;
+        console.warn('模型加载失败，改用备用模型:', fallbackUrl, error);
+        updateStatus(t('modelFallback'));
+        events.emit('error', { source: 'model', error, fallback: fallbackUrl });
+        return fetchModel(fallbackUrl);
+      })
+      .then((gltf) => {
         console.log('Lofi FM模型加载成功');
+        if (apiState.disposed) return;
         processLoadedModel(gltf);
-        updateStatus('3D模型加载完成！');
+        updateStatus(t('modelLoaded'));
         if (onLoaded) onLoaded();
-      },
-      (progress) => {
-        const percent = Math.round((progress.loaded / progress.total * 100));
-        updateStatus(`正在加载3D模型... ${percent}%`);
-        console.log('加载进度:', percent + '%');
-      },
-      (error) => {
+      }, (error) => {
         console.error('模型加载失败:', error);
-        updateStatus('模型加载失败: ' + error.message);
+        updateStatus(t('modelLoadFailed', { message: error.message }));
         if (onLoaded) onLoaded(error);
-      }
-    );
+      });
   }
 
   /**
@@ -182,14 +350,14 @@ function init() {
       });
     }
 
-    // 查找关键组件
-    findModelComponents(model);
+    // 按绑定配置查找关键组件
+    findModelComponents(model, gltf.animations || []);
 
     // 设置模型网格的射线投射（按钮保持检测，其他部分用于旋转交互）
     model.traverse((node) => {
       console.log('遍历模型节点:', node.name, '类型:', node.type);
       if (node.isMesh) {
-        if (node.name.includes('pause_play')) {
+        if (buttons.match(node.name)) {
           // 按钮保持射线检测
           console.log('保留按钮射线检测:', node.name);
         } else {
@@ -211,32 +379,66 @@ function init() {
     // 处理模型尺寸和位置
     setupModelTransform(model, parentGroup);
 
+    // 唱片机旁的专注计时面板（作为按钮绑定，需在设置交互前创建）
+    createFocusClock(model);
+
+    // 唱片机上方的正在播放面板
+    attachNowPlayingPanel(model);
+
+    // 唱片中心的封面标签
+    createVinylLabel(modelComponents.vinyl);
+
     // 设置交互
     setupInteractions(model);
 
+    // 设置唱臂（进度跟踪与落针定位）
+    setupTonearm();
+
+    // 设置音量旋钮（模型中没有时在播放按钮旁生成）
+    setupVolumeKnob();
+
+    // 创建频谱光环
+    createSpectrumRing();
+
+    // 恢复上次会话的模型朝向
+    modelComponents.container = parentGroup;
+    if (sessionState.rotation) {
+      parentGroup.quaternion.fromArray(sessionState.rotation);
+      console.log('恢复模型朝向:', sessionState.rotation);
+    }
+
+    // 抓取操作（移动、转动、缩放），当前变换为重置时恢复的初始状态
+    manipulator.setTarget(parentGroup);
+
     // 添加到场景
     group.add(parentGroup);
+
+    // 桌面预览先于模型启动时，加载完成后对准模型
+    if (mouseControl.active) {
+      frameModel();
+    }
   }
 
   /**
-   * 查找模型组件
+   * 按绑定配置查找模型组件，报告缺失的节点和动画
+   * 按钮节点（例如 volume_up）不作为部件
    * @param {THREE.Object3D} model 模型对象
+   * @param {Array<THREE.AnimationClip>} clips 模型中的动画
    */
-  function findModelComponents(model) {
-    model.traverse((child) => {
-      if (child.name.includes('vinyl')) {
-        modelComponents.vinyl = child;
-        console.log('找到黑胶唱片:', child.name);
-      }
-      if (child.name.includes('pause_play')) {
-        modelComponents.playButton = child;
-        console.log('找到播放按钮:', child.name);
-      }
-      if (child.name.includes('stylus')) {
-        modelComponents.stylus = child;
-        console.log('找到唱针:', child.name);
-      }
-    });
+  function findModelComponents(model, clips) {
+    const profile = profileState.profile;
+    const { nodes, missing } = bindProfile(model, clips.map(clip => clip.name), profile, node => !!buttons.match(node.name));
+
+    modelComponents.vinyl = nodes.platter;
+    modelComponents.tonearm = nodes.tonearm;
+    modelComponents.volumeKnob = nodes.volumeKnob;
+    console.log('模型绑定配置:', profile.name, '唱盘:', nodes.platter && nodes.platter.name,
+      '唱臂:', nodes.tonearm && nodes.tonearm.name, '音量旋钮:', nodes.volumeKnob && nodes.volumeKnob.name);
+
+    profileState.missing = missing;
+    if (missing.length > 0) {
+      console.warn(`模型绑定配置 ${profile.name} 与模型不符，缺少:`, missing.join('，'));
+    }
   }
 
   /**
@@ -258,6 +460,9 @@ function init() {
         console.log('注册动画:', anim.name, '时长:', anim.duration);
       });
 
+      // 唱针动画完成事件驱动播放状态机
+      animationControl.mixer.addEventListener('finished', onAnimationFinished);
+
       console.log('模型动画设置完成，动画数量:', gltf.animations.length);
       console.log('可用动画列表:', Object.keys(animationControl.animations));
     } else {
@@ -279,12 +484,18 @@ function init() {
     // 模型居中
     model.position.sub(center);
 
-    // 计算缩放因子
-    const scaleFactor = 1.0 / (Math.max(size.x, size.y, size.z) * 3);
+    // 固定位置使用原来的缩放；AR放置时按绑定配置的真实尺寸（最长边，米）缩放
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const scaleFactor = 1.0 / (maxDim * 3);
+    placementState.fixedScale = scaleFactor;
+    placementState.realScale = profileState.profile.size / maxDim;
     parentGroup.scale.setScalar(scaleFactor);
-    parentGroup.position.set(0, 0.01, 0);
+    parentGroup.position.copy(placementState.fixedPosition);
+
+    // AR放置时模型底面落在平面上
+    placementState.surfaceOffset = size.y * placementState.realScale / 2;
 
-    console.log('Lofi FM模型尺寸设置完成，缩放因子:', scaleFactor);
+    console.log('Lofi FM模型尺寸设置完成，缩放因子:', scaleFactor, 'AR放置时:', placementState.realScale);
   }
 
   /**
@@ -292,647 +503,2725 @@ function init() {
    * @param {THREE.Object3D} model 模型对象
    */
   function setupInteractions(model) {
-    if (modelComponents.playButton) {
-      // 直接设置按钮为可点击
-      modelComponents.playButton.userData.isButton = true;
-      modelComponents.playButton.userData.clickable = true;
-      modelComponents.playButton.userData.buttonType = 'play';
-
-      // 保存原始材质
-      if (modelComponents.playButton.material) {
-        modelComponents.originalMaterial = modelComponents.playButton.material.clone();
-        console.log('保存按钮原始材质');
-      }
-
-      // 确保按钮可以被射线检测
-      modelComponents.playButton.raycast = THREE.Mesh.prototype.raycast;
+    // 记录唱片未旋转时的姿态，用于搓碟时计算唱盘平面和按钮按下方向
+    if (modelComponents.vinyl) {
+      turntableState.baseQuaternion = modelComponents.vinyl.quaternion.clone();
+    }
 
-      console.log('播放按钮交互设置完成');
-      console.log('按钮名称:', modelComponents.playButton.name);
-      console.log('按钮位置:', modelComponents.playButton.position);
-      console.log('按钮用户数据:', modelComponents.playButton.userData);
-    } else {
+    // 按按钮注册表查找按钮（播放/暂停、上一首、下一首、随机、循环、音量、转速）
+    bindModelButtons(model);
+    const [playButton] = buttons.getByAction('toggle');
+    modelComponents.playButton = playButton ? playButton.node : null;
+    if (!playButton) {
       console.warn('未找到播放按钮，无法设置交互');
     }
-
-    // 查找并设置其他按钮（上一首、下一首）
-    model.traverse((child) => {
-      if (child.name.includes('prev') || child.name.includes('previous')) {
-        child.userData.isButton = true;
-        child.userData.buttonType = 'prev';
-        child.raycast = THREE.Mesh.prototype.raycast;
-        console.log('找到上一首按钮:', child.name);
-      }
-      if (child.name.includes('next')) {
-        child.userData.isButton = true;
-        child.userData.buttonType = 'next';
-        child.raycast = THREE.Mesh.prototype.raycast;
-        console.log('找到下一首按钮:', child.name);
-      }
-    });
   }
 
-  // ==================== 游戏逻辑 ====================
+  // ==================== 模型按钮 ====================
 
   /**
-   * 旋转黑胶唱片
+   * 把模型中名称匹配按钮注册表的节点绑定为按钮
+   * 已绑定节点的子节点不再单独绑定；重新绑定前先恢复原来的材质和位置
+   * @param {THREE.Object3D} model 模型对象
    */
-  function rotateVinyl() {
-    if (modelComponents.vinyl && gameState.playing) {
-      modelComponents.vinyl.rotation.z -= 0.01;
-    }
-  }
+  function bindModelButtons(model) {
+    buttons.getButtons().forEach(button => {
+      if (button.depressed) {
+        button.node.position.copy(button.restPosition);
+      }
+      button.meshes.forEach(entry => { entry.mesh.material = entry.original; });
+    });
+    buttons.clear();
+    xrControl.pointers.forEach(pointer => {
+      pointer.hoveredButton = null;
+      pointer.pressedButton = null;
+      pointer.pokedButton = null;
+    });
 
-  /**
-   * 播放动画
-   * @param {string} animationName 动画名称
-   * @param {boolean} loop 是否循环
-   */
-  function playAnimation(animationName, loop = false) {
-    const anim = animationControl.animations[animationName];
-    console.log('播放动画:', animationName, '循环:', loop);
-    if (anim) {
-      anim.action.reset();
-      anim.action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce);
-      anim.action.clampWhenFinished = !loop;
-      anim.action.play();
-      console.log('播放动画:', animationName);
-    } else {
-      console.warn('动画不存在:', animationName, '可用动画:', Object.keys(animationControl.animations));
-    }
+    model.traverse((node) => {
+      if (!buttons.match(node.name) || buttons.find(node.parent)) return;
+      setupModelButton(buttons.bind(node));
+    });
+    updateButtonVisuals();
   }
 
   /**
-   * 停止动画
-   * @param {string} animationName 动画名称
+   * 设置单个按钮：记录各网格的原始材质和静止位置，计算沿唱盘法线向下的按下位移
+   * @param {Object} button 注册表中的按钮
    */
-  function stopAnimation(animationName) {
-    const anim = animationControl.animations[animationName];
-    if (anim) {
-      anim.action.stop();
-      console.log('停止动画:', animationName);
-    } else {
-      console.warn('要停止的动画不存在:', animationName);
+  function setupModelButton(button) {
+    const node = button.node;
+    button.meshes = [];
+    node.traverse((child) => {
+      if (child.isMesh) {
+        child.raycast = THREE.Mesh.prototype.raycast; // 确保按钮可以被射线检测
+        button.meshes.push({ mesh: child, original: child.material, highlight: null });
+      }
+    });
+
+    button.restPosition = node.position.clone();
+    button.pressOffset = null;
+    button.depressed = false;
+    if (button.definition.depress && node.parent && modelComponents.vinyl && turntableState.baseQuaternion) {
+      node.updateWorldMatrix(true, true);
+      const size = new THREE.Box3().setFromObject(node).getSize(new THREE.Vector3());
+      const parentScale = node.parent.getWorldScale(new THREE.Vector3()).x;
+      const depth = Math.min(size.x, size.y, size.z) * button.definition.depth / parentScale;
+      button.pressOffset = getPlatterAxis(node.parent).multiplyScalar(-depth);
     }
+
+    console.log('找到按钮:', node.name, '动作:', button.definition.action);
   }
 
   /**
-   * 更新按钮状态视觉效果
-   * @param {string} state - 状态类型: 'hover', 'pressed', 'playing', 'idle'
+   * 按下按钮：防抖、点击音效、按下动画或下沉，然后执行动作
+   * @param {Object} button 注册表中的按钮
+   * @returns {boolean} 是否接受这次按下
    */
-  function updateButtonStateVisual(state = null) {
-    if (!modelComponents.playButton || !modelComponents.originalMaterial) {
-      return;
+  function pressModelButton(button) {
+    if (!buttons.press(button)) {
+      console.log('按钮防抖，忽略按下:', button.node.name);
+      return false;
     }
 
-    // 根据优先级确定状态: pressed > playing > hover > idle
-    let currentState = state;
-    if (!currentState) {
-      if (xrControl.buttonPressed) {
-        currentState = 'pressed';
-      } else if (gameState.playing) {
-        currentState = 'playing';
-      } else if (xrControl.isHovering) {
-        currentState = 'hover';
+    const { definition } = button;
+    if (definition.sound) {
+      if (audioState.playButtonClick && typeof audioState.playButtonClick === 'function') {
+        audioState.playButtonClick();
       } else {
-        currentState = 'idle';
+        console.warn('按钮点击音效未初始化');
       }
     }
+    if (definition.animation && animator.has(definition.animation)) {
+      animator.play(definition.animation);
+    } else if (button.pressOffset) {
+      button.node.position.copy(button.restPosition).add(button.pressOffset);
+      button.depressed = true;
+    }
 
-    const material = modelComponents.originalMaterial.clone();
-
-    switch (currentState) {
-      case 'hover':
-        material.emissive.setRGB(0.9, 1, 1); // 悬停时青色
-        material.emissiveIntensity = 0.3;
-        console.log('更新为悬停状态视觉');
-        break;
-      case 'pressed':
-        material.emissive.setRGB(1, 0.8, 0.2); // 按下时橙色
-        material.emissiveIntensity = 0.4;
-        console.log('更新为按下状态视觉');
-        break;
-      case 'playing':
-        material.emissive.setHex(0x004400); // 播放时淡绿色
-        material.emissiveIntensity = 0.2;
-        console.log('更新为播放状态视觉');
-        break;
-      case 'idle':
-      default:
-        modelComponents.playButton.material = modelComponents.originalMaterial;
-        console.log('更新为空闲状态视觉');
-        return;
+    const action = buttonActions[definition.action];
+    if (action) {
+      action(button);
+    } else {
+      console.warn('按钮没有对应的动作:', definition.action);
     }
+    updateButtonVisual(button);
+    return true;
+  }
 
-    modelComponents.playButton.material = material;
+  /**
+   * 松开按钮
+   * @param {Object} button 注册表中的按钮
+   */
+  function releaseModelButton(button) {
+    buttons.release(button);
+    if (button.depressed) {
+      button.node.position.copy(button.restPosition);
+      button.depressed = false;
+    }
+    console.log('按钮被释放:', button.node.name);
+    updateButtonVisual(button);
   }
 
   /**
-   * 切换播放状态
+   * 按钮当前的外观状态，优先级: pressed > error > active > hover > idle
+   * @param {Object} button 注册表中的按钮
+   * @returns {string}
    */
-  function togglePlayback(onAnimaCompelted) {
-    if (gameState.playing) {
-      // 停止播放序列
-      gameState.playing = false;
-      console.log('开始停止音乐序列');
-
-      // 停止当前播放的动画
-      ['stylus_On', 'stylus_playing'].forEach(animName => {
-        if (animationControl.animations[animName]) {
-          animationControl.animations[animName].action.stop();
-          console.log('停止动画:', animName);
-        }
-      });
+  function getButtonLook(button) {
+    if (button.pressed) return 'pressed';
+    const isActive = buttonActiveStates[button.definition.action];
+    const active = isActive ? isActive() : false;
+    if (active === 'error') return 'error';
+    if (active) return 'active';
+    if (button.hovered) return 'hover';
+    return 'idle';
+  }
 
-      // 暂停音乐
-      pauseMusic();
-      onAnimaCompelted();
-
-      // 播放 stylus_Off 动画
-      if (animationControl.animations['stylus_Off']) {
-        playAnimation('stylus_Off');
-        console.log('播放 stylus_Off 动画');
-
-        // 等待 stylus_Off 完成
-        const stylusOffDuration = animationControl.animations['stylus_Off'].duration * 1000;
-        setTimeout(() => {
-          stopAnimation('stylus_Off');
-          console.log('音乐序列停止完成');
-          updateButtonStateVisual();
-        }, stylusOffDuration);
-      } else {
-        console.log('警告: stylus_Off 动画不存在，序列停止完成');
-        updateButtonStateVisual();
+  /**
+   * 更新按钮外观：自发光颜色来自按钮定义的 visuals，空闲时恢复原始材质
+   * 每个网格只克隆一次高亮材质
+   * @param {Object} button 注册表中的按钮
+   */
+  function updateButtonVisual(button) {
+    if (!button.meshes) return;
+    const visual = button.definition.visuals[getButtonLook(button)];
+
+    button.meshes.forEach(entry => {
+      // 多材质或没有自发光属性的材质不做高亮
+      if (!visual || !entry.original || !entry.original.emissive) {
+        entry.mesh.material = entry.original;
+        return;
       }
-    } else {
-      // 开始播放序列
-      console.log('开始播放音乐序列');
-
-      // 1. 播放 stylus_On
-      if (animationControl.animations['stylus_On']) {
-        playAnimation('stylus_On');
-        console.log('步骤1: 播放 stylus_On 动画');
-
-        // 2. 等待 stylus_On 完成后播放 stylus_playing
-        const stylusOnDuration = animationControl.animations['stylus_On'].duration * 1000;
-        setTimeout(() => {
-          gameState.playing = true;
-
-          if (animationControl.animations['stylus_playing']) {
-            // 循环播放 stylus_playing
-            playAnimation('stylus_playing', true);
-            console.log('步骤2: 开始循环播放 stylus_playing 动画');
-          }
-
-          // 开始播放音乐
-          if (audioState.playMusic && typeof audioState.playMusic === 'function') {
-            audioState.playMusic();
-            onAnimaCompelted();
-            console.log('音乐开始播放');
-          } else {
-            console.error('音频播放函数未初始化');
-          }
-
-          updateButtonStateVisual();
-        }, stylusOnDuration);
-      } else {
-        console.log('警告: stylus_On 动画不存在，使用简化播放序列');
-        gameState.playing = true;
-        if (animationControl.animations['stylus_playing']) {
-          playAnimation('stylus_playing', true);
-        }
-        if (audioState.playMusic && typeof audioState.playMusic === 'function') {
-          audioState.playMusic();
-        }
-        updateButtonStateVisual();
+      if (!entry.highlight) {
+        entry.highlight = entry.original.clone();
       }
-    }
+      entry.highlight.emissive.setHex(visual.color);
+      entry.highlight.emissiveIntensity = visual.intensity;
+      entry.mesh.material = entry.highlight;
+    });
   }
 
   /**
-   * 播放上一首
+   * 更新所有按钮外观（播放状态、随机、循环、静音变化时）
    */
-  function playPreviousTrack() {
-    if (audioState.trackList.length <= 1) {
-      console.log('只有一首歌曲，无法切换到上一首');
-      return;
+  function updateButtonVisuals() {
+    buttons.getButtons().forEach(updateButtonVisual);
+  }
+
+  /**
+   * 更新输入指针悬停的按钮，没有任何指针悬停时按钮才取消悬停外观
+   * @param {Object} pointer 输入指针
+   * @param {Object|null} button 指向的按钮，没有时为null
+   */
+  function setHoveredButton(pointer, button) {
+    const previous = pointer.hoveredButton;
+    if (button === previous) return;
+
+    pointer.hoveredButton = button;
+    if (previous) {
+      previous.hovered = xrControl.pointers.some(item => item.hoveredButton === previous);
+      updateButtonVisual(previous);
+    }
+    if (button) {
+      if (!button.hovered) {
+        console.log('开始悬停在按钮上', button.node.name);
+      }
+      button.hovered = true;
+      updateButtonVisual(button);
     }
+  }
 
-    audioState.currentTrackIndex = (audioState.currentTrackIndex - 1 + audioState.trackList.length) % audioState.trackList.length;
-    const currentTrack = audioState.trackList[audioState.currentTrackIndex];
-    console.log('切换到上一首:', currentTrack.name);
+  // ==================== 游戏逻辑 ====================
 
-    // 如果正在播放，先暂停再切换
-    if (gameState.playing) {
-      cleanupAudio(); // 清理当前音频实例
-      // 重新初始化音频并播放
-      setTimeout(() => {
-        initAudio().then(() => {
-          if (audioState.playMusic) {
-            // playMusic函数内部会创建新的音频实例
-            audioState.playMusic();
-          }
-        });
-      }, 100);
-    } else {
-      // 即使不在播放也要清理音频实例，为下次播放准备
-      cleanupAudio();
+  /**
+   * 设置唱针是否落在唱片上（同步黑胶底噪）
+   * @param {boolean} onVinyl 唱针是否在唱片上
+   */
+  function setStylusOnVinyl(onVinyl) {
+    gameState.stylusOnVinyl = onVinyl;
+    if (audioState.effects) {
+      audioState.effects.setStylusDown(onVinyl);
     }
+  }
 
-    updateStatus(`正在播放: ${currentTrack.name}`);
+  /**
+   * 转速（RPM）换算为角速度（rad/s）
+   * @param {number} rpm 每分钟转数
+   * @returns {number}
+   */
+  function rpmToRadians(rpm) {
+    return rpm * Math.PI * 2 / 60;
   }
 
   /**
-   * 播放下一首
+   * 旋转黑胶唱片
+   * 按帧间隔计算角度，电机启停时带有加速/减速惯性
+   * @param {number} delta 帧间隔（秒）
    */
-  function playNextTrack() {
-    if (audioState.trackList.length <= 1) {
-      console.log('只有一首歌曲，无法切换到下一首');
+  function rotateVinyl(delta) {
+    // 搓碟时唱盘由控制器驱动
+    if (turntableState.scratching) {
+      syncPlaybackRate();
       return;
     }
 
-    audioState.currentTrackIndex = (audioState.currentTrackIndex + 1) % audioState.trackList.length;
-    const currentTrack = audioState.trackList[audioState.currentTrackIndex];
-    console.log('切换到下一首:', currentTrack.name);
+    // 页面切到后台再回来时帧间隔可能很大，限制单帧步长
+    const step = Math.min(delta, 0.1);
+    const ratedVelocity = rpmToRadians(turntableState.rpm);
+    const targetVelocity = turntableState.motorOn ? ratedVelocity : 0;
+    const velocity = turntableState.angularVelocity;
+
+    if (velocity !== targetVelocity) {
+      const accelerating = velocity < targetVelocity;
+      const acceleration = ratedVelocity / (accelerating ? turntableState.spinUpTime : turntableState.spinDownTime);
+      turntableState.angularVelocity = accelerating
+        ? Math.min(targetVelocity, velocity + acceleration * step)
+        : Math.max(targetVelocity, velocity - acceleration * step);
+    }
 
-    // 如果正在播放，先暂停再切换
-    if (gameState.playing) {
-      cleanupAudio(); // 清理当前音频实例
-      // 重新初始化音频并播放
-      setTimeout(() => {
-        initAudio().then(() => {
-          if (audioState.playMusic) {
-            // playMusic函数内部会创建新的音频实例
-            audioState.playMusic();
-          }
-        });
-      }, 100);
-    } else {
-      // 即使不在播放也要清理音频实例，为下次播放准备
-      cleanupAudio();
+    if (modelComponents.vinyl && turntableState.angularVelocity !== 0) {
+      modelComponents.vinyl.rotation.z -= turntableState.angularVelocity * step;
     }
 
-    updateStatus(`正在播放: ${currentTrack.name}`);
+    syncPlaybackRate();
   }
 
-  // ==================== XR控制器 ====================
-
   /**
-   * 获取XR控制器
-   * @param {THREE.WebGLRenderer} renderer 渲染器
-   * @param {number} index 控制器索引
-   * @param {THREE.Scene} scene 场景
-   * @returns {THREE.XRTargetRaySpace} 控制器对象
+   * 根据唱盘转速同步音乐播放速率（音高随之改变，反转时倒放）
+   * 只在播放中同步，停止后保留最后的速率
    */
-  function getXRController(renderer, index, scene) {
-    const controller = renderer.xr.getController(index);
-    scene.add(controller);
+  function syncPlaybackRate() {
+    if (!audioState.engine || !gameState.playing) return;
+
+    const recordVelocity = rpmToRadians(turntableState.recordRpm);
+    const rate = turntableState.pitchFollowsPlatter || turntableState.scratching
+      ? turntableState.angularVelocity / recordVelocity
+      : turntableState.rpm / turntableState.recordRpm;
+    audioState.engine.setPlaybackRate(rate);
+  }
 
-    // 根据开关决定是否显示射线
-    if (xrControl.showRayLine) {
-      const geometry = new THREE.BufferGeometry().setFromPoints([
-        new THREE.Vector3(0, 0, 0),
-        new THREE.Vector3(0, 0, -1)
-      ]);
-      const material = new THREE.LineBasicMaterial({ color: 0x00ff00 });
-      const line = new THREE.Line(geometry, material);
-      line.scale.z = 5;
-      line.name = 'rayLine';
-      controller.add(line);
-      console.log('射线已启用');
+  /**
+   * 设置唱盘转速
+   * @param {number} rpm 33（即33⅓）或 45
+   * @returns {boolean} 是否设置成功
+   */
+  function setTurntableSpeed(rpm) {
+    const speed = Math.abs(rpm - 100 / 3) < 0.5 ? 100 / 3 : rpm;
+    if (!TURNTABLE_SPEEDS.includes(speed)) {
+      console.warn('不支持的转速:', rpm, '可选转速: 33⅓, 45');
+      return false;
     }
 
-    return controller;
+    turntableState.rpm = speed;
+    const label = speed === 45 ? '45' : '33⅓';
+    console.log('唱盘转速切换为:', label, 'RPM');
+    updateStatus(t('turntableSpeed', { label }));
+    return true;
   }
 
   /**
-   * 启动XR会话
+   * 在 33⅓ 和 45 RPM 之间切换
    */
-  function startXRSession() {
-    if (!navigator.xr) {
-      updateStatus('WebXR不支持，请使用支持WebXR的设备和浏览器');
-      return;
+  function toggleTurntableSpeed() {
+    setTurntableSpeed(turntableState.rpm === 45 ? 100 / 3 : 45);
+  }
+
+  /**
+   * 播放状态变化：核心执行完动画、电机和音乐后，处理按钮、唱臂和状态栏
+   * @param {string} state 新状态
+   * @param {string} previous 原状态
+   * @param {string} event 触发事件
+   * @param {*} detail 附加数据
+   */
+  function onPlaybackStateChange(state, previous, event, detail) {
+    gameState.playing = core.isPlaying();
+
+    switch (state) {
+      case PLAYBACK_STATES.LOWERING:
+        if (profileState.profile.animations.buttonDown) {
+          animator.play(profileState.profile.animations.buttonDown);
+        }
+        xrControl.buttonState = 'down';
+        break;
+      case PLAYBACK_STATES.PAUSED:
+        updateStatus(t('tonearmLifted'));
+        break;
+      case PLAYBACK_STATES.IDLE:
+      case PLAYBACK_STATES.LIFTING:
+      case PLAYBACK_STATES.ERROR:
+        tonearmState.grabbed = false; // 抓着唱臂时按下播放按钮，放弃落针
+        animator.stop([profileState.profile.animations.buttonDown]);
+        xrControl.buttonState = 'up';
+        if (state === PLAYBACK_STATES.ERROR && !audioState.engine) {
+          updateStatus(t('audioNotReady'));
+        }
+        break;
+      default:
+        break;
     }
+  }
 
-    updateStatus('正在启动AR会话...');
+  /**
+   * 动画完成事件：交给核心推进播放状态
+   * @param {Object} event AnimationMixer finished 事件
+   */
+  function onAnimationFinished(event) {
+    core.animationFinished(event.action.getClip().name);
+  }
 
-    navigator.xr.requestSession('immersive-ar', {})
-      .then((session) => {
-        console.log('XR会话启动成功');
-        updateStatus('AR会话已启动，正在加载模型...');
-        setupXRSession(session);
-      })
-      .catch((err) => {
-        console.error('XR会话启动失败:', err);
-        updateStatus('AR会话启动失败: ' + err.message);
-      });
+  /**
+   * 按下播放按钮：落下或抬起唱针，过渡中按下则反向
+   */
+  function pressPlayButton() {
+    core.toggle();
   }
 
   /**
-   * 更新状态显示
-   * @param {string} message 状态消息
+   * 切换音轨后更新状态栏；播放中切换时 trackchange 由 onTrackStart 派发
+   * 唱臂被抓起（paused）时新音轨要到放回唱臂才开始，这里先派发
+   * @param {Object|null} track 新的当前音轨，未切换时为null
    */
-  function updateStatus(message) {
-    const statusElement = document.getElementById('status');
-    if (statusElement) {
-      statusElement.textContent = message;
+  function onTrackChanged(track) {
+    if (!track) return;
+    console.log('切换音轨:', track.title);
+    if (!playback.is(PLAYBACK_STATES.PLAYING)) {
+      emitTrackChange();
+      updateVinylLabel();
     }
-    console.log('状态更新:', message);
+    updateStatus(t('trackPlaying', { title: track.title }));
   }
 
   /**
-   * 切换射线显示
-   * @param {THREE.XRTargetRaySpace} controller 控制器对象
+   * 播放上一首
    */
-  function toggleRayLine(controller) {
-    xrControl.showRayLine = !xrControl.showRayLine;
+  function playPreviousTrack() {
+    onTrackChanged(core.previous());
+  }
 
-    if (controller) {
-      const rayLine = controller.getObjectByName('rayLine');
+  /**
+   * 播放下一首
+   */
+  function playNextTrack() {
+    onTrackChanged(core.next());
+  }
 
-      if (xrControl.showRayLine && !rayLine) {
-        // 添加射线
-        const geometry = new THREE.BufferGeometry().setFromPoints([
-          new THREE.Vector3(0, 0, 0),
-          new THREE.Vector3(0, 0, -1)
-        ]);
-        const material = new THREE.LineBasicMaterial({ color: 0x00ff00 });
-        const line = new THREE.Line(geometry, material);
-        line.scale.z = 5;
-        line.name = 'rayLine';
-        controller.add(line);
-        console.log('射线已启用');
-      } else if (!xrControl.showRayLine && rayLine) {
-        // 移除射线
-        controller.remove(rayLine);
-        rayLine.geometry.dispose();
-        rayLine.material.dispose();
-        console.log('射线已禁用');
-      }
-    }
+  /**
+   * 开关随机播放，当前音轨不变，重新安排下一首
+   * @param {boolean} enabled 是否随机
+   */
+  function setShuffle(enabled) {
+    core.queue.setShuffle(enabled);
+    queueNextTrack();
+    updateButtonVisuals();
+    console.log('随机播放:', core.queue.isShuffled() ? '开启' : '关闭');
+    updateStatus(t(core.queue.isShuffled() ? 'shuffleOn' : 'shuffleOff'));
+  }
 
-    updateStatus(`射线显示: ${xrControl.showRayLine ? '开启' : '关闭'}`);
+  /**
+   * 设置循环模式，重新安排下一首
+   * @param {string} mode off / all / one
+   * @returns {boolean} 是否设置成功
+   */
+  function setRepeatMode(mode) {
+    if (!core.queue.setRepeat(mode)) {
+      console.warn('不支持的循环模式:', mode, '可选模式:', REPEAT_MODES.join(' / '));
+      return false;
+    }
+    queueNextTrack();
+    updateButtonVisuals();
+    console.log('循环模式:', mode);
+    updateStatus(t(REPEAT_MESSAGES[mode]));
+    return true;
   }
 
   /**
-   * 设置XR会话
-   * @param {XRSession} session XR会话
+   * 依次切换循环模式 off → all → one
    */
-  function setupXRSession(session) {
-    const renderer = gl
-      ? new THREE.WebGLRenderer({ context: gl })
-      : new THREE.WebGLRenderer({ antialias: true });
+  function cycleRepeatMode() {
+    const index = REPEAT_MODES.indexOf(core.queue.getRepeat());
+    setRepeatMode(REPEAT_MODES[(index + 1) % REPEAT_MODES.length]);
+  }
 
-    renderer.xr.enabled = true;
-    renderer.xr.setReferenceSpaceType('local');
+  // ==================== 睡眠定时 ====================
 
-    if (gl) {
-      const baseLayer = new XRWebGLLayer(session, gl);
-      session.updateRenderState({ baseLayer });
+  /**
+   * 设置睡眠定时：到时前淡出音乐，到时抬起唱针（与按下播放按钮相同的序列）
+   * @param {number|string|null} value 分钟数，'track' 为本曲结束，null 或 0 取消
+   * @returns {boolean} 是否设置成功
+   */
+  function setSleepTimer(value) {
+    if (!value) {
+      if (sleepTimer.cancelSleep()) {
+        // 淡出中取消：音乐恢复原来的音量
+        scheduleState.fadedOut = false;
+        if (audioState.engine) {
+          audioState.engine.fadeTo(getFocusLevel(), scheduleState.restoreFade);
+        }
+      }
+      queueNextTrack();
+      updateStatus(t('sleepCancelled'));
+      return true;
     }
 
-    // 设置控制器
-    const controller = getXRController(renderer, 1, scene);
+    if (!sleepTimer.setSleep(value)) {
+      console.warn('无效的睡眠定时:', value, '应为分钟数或', SLEEP_END_OF_TRACK);
+      return false;
+    }
+    if (scheduleState.fadedOut && audioState.engine) {
+      // 淡出中重新设置：先恢复音量，到新的时间再淡出
+      scheduleState.fadedOut = false;
+      audioState.engine.fadeTo(getFocusLevel(), scheduleState.restoreFade);
+    }
+    queueNextTrack();
+    updateStatus(value === SLEEP_END_OF_TRACK ? t('sleepEndOfTrack') : t('sleepSet', { minutes: value }));
+    return true;
+  }
 
-    // 显示射线切换按钮
-    const toggleRayButton = document.getElementById('toggleRay');
-    if (toggleRayButton) {
-      toggleRayButton.style.display = 'inline-block';
-      toggleRayButton.onclick = () => toggleRayLine(controller);
+  /**
+   * 设置定时播放：到点落下唱针并淡入
+   * @param {string|null} time 时间 "HH:MM"，null 或空字符串取消
+   * @returns {boolean} 是否设置成功
+   */
+  function setWakeTime(time) {
+    if (!time) {
+      sleepTimer.cancelWake();
+      updateStatus(t('wakeCancelled'));
+      return true;
     }
 
-    // 显示测试音频按钮
-    const testAudioButton = document.getElementById('testAudio');
-    if (testAudioButton) {
-      testAudioButton.style.display = 'inline-block';
-      testAudioButton.onclick = () => {
-        console.log('测试音频播放按钮被点击');
-        if (audioState.playMusic && typeof audioState.playMusic === 'function') {
-          console.log('播放测试音乐');
-          const audio = audioState.playMusic();
-          updateStatus('测试音频播放中...');
-          setTimeout(() => {
-            if (audio) {
-              audio.pause();
-              updateStatus('测试音频已停止');
-            }
-          }, 3000);
-        } else {
-          console.error('音频播放函数未初始化');
-          updateStatus('音频系统未初始化');
+    if (!sleepTimer.setWake(time)) {
+      console.warn('无效的定时播放时间:', time, '应为 HH:MM');
+      return false;
+    }
+    updateStatus(t('wakeSet', { time: sleepTimer.getState().wake.time }));
+    return true;
+  }
+
+  /**
+   * 睡眠定时即将到时：音乐在剩余时间内淡出
+   * @param {number} duration 淡出时长（秒）
+   */
+  function onSleepFadeOut(duration) {
+    if (!gameState.playing || !audioState.engine) return;
+    console.log('睡眠定时开始淡出:', duration.toFixed(1), '秒');
+    scheduleState.fadedOut = true;
+    audioState.engine.fadeTo(0, duration);
+    updateStatus(t('sleepFading'));
+  }
+
+  /**
+   * 睡眠定时到时：抬起唱针，停止后恢复淡出的电平
+   */
+  function onSleepTimer() {
+    if (!gameState.playing && !playback.is(PLAYBACK_STATES.LOWERING)) {
+      console.log('睡眠定时到时，音乐未在播放');
+      return;
+    }
+    console.log('睡眠定时到时，抬起唱针');
+    playback.send('stop');
+    updateStatus(t('sleepStopped'));
+  }
+
+  /**
+   * 定时播放到点：从静音落下唱针，音乐开始后淡入
+   */
+  function onWakeTimer() {
+    console.log('定时播放到点');
+    updateStatus(t('wakeUp'));
+    if (gameState.playing) return;
+    if (!audioState.engine) {
+      playback.send('play');
+      return;
+    }
+    scheduleState.fadedOut = false;
+    scheduleState.fadingIn = true;
+    audioState.engine.fadeTo(0, 0);
+    playback.send('play');
+  }
+
+  /**
+   * 播放状态变化时完成淡入，或在停止后恢复电平，下次播放为正常音量
+   * @param {string} state 新状态
+   */
+  function onScheduleStateChange(state) {
+    const engine = audioState.engine;
+    if (!engine) return;
+
+    if (state === PLAYBACK_STATES.PLAYING && scheduleState.fadingIn) {
+      scheduleState.fadingIn = false;
+      engine.fadeTo(getFocusLevel(), scheduleState.wakeFadeIn);
+    } else if ((state === PLAYBACK_STATES.IDLE || state === PLAYBACK_STATES.ERROR) &&
+      (scheduleState.fadedOut || scheduleState.fadingIn)) {
+      scheduleState.fadedOut = false;
+      scheduleState.fadingIn = false;
+      engine.fadeTo(getFocusLevel(), 0);
+    }
+  }
+
+  /**
+   * 定时变化：保存（重新打开页面后恢复），更新页面控件并派发事件
+   * @param {Object} state 定时 { sleep, wake, fading }
+   */
+  function onScheduleChange({ sleep, wake }) {
+    saveSchedule({ sleep, wake });
+    updateScheduleControls();
+    events.emit('schedulechange', { sleep, wake });
+  }
+
+  /**
+   * 页面控件显示当前的睡眠定时和定时播放
+   */
+  function updateScheduleControls() {
+    const { sleep, wake } = sleepTimer.getState();
+
+    const select = findElement('sleepTimer');
+    if (select) {
+      let value = '';
+      if (sleep) {
+        value = sleep.mode === SLEEP_END_OF_TRACK ? SLEEP_END_OF_TRACK : String(sleep.minutes);
+      }
+      // 接口设置的分钟数不在选项中时临时添加
+      if (value && !Array.from(select.options).some(option => option.value === value)) {
+        select.add(new Option(t('sleepMinutes', { minutes: value }), value));
+      }
+      select.value = value;
+    }
+
+    const input = findElement('wakeTime');
+    if (input) {
+      input.value = wake ? wake.time : '';
+    }
+  }
+
+  /**
+   * 绑定页面上的睡眠定时选择框和定时播放时间输入框
+   */
+  function setupScheduleControls() {
+    const select = findElement('sleepTimer');
+    if (select) {
+      select.onchange = () => {
+        const value = select.value;
+        setSleepTimer(value === SLEEP_END_OF_TRACK ? value : Number(value));
+      };
+    }
+
+    const input = findElement('wakeTime');
+    if (input) {
+      input.onchange = () => {
+        // 借用户操作恢复 AudioContext，否则到点时可能被浏览器的自动播放策略拦下
+        if (audioState.engine) {
+          audioState.engine.getContext().resume().catch(() => {});
         }
+        setWakeTime(input.value);
       };
     }
+    updateScheduleControls();
+  }
 
-    // 事件监听
-    session.addEventListener('selectstart', onSelectStart(controller));
-    session.addEventListener('selectend', onSelectEnd);
-    session.addEventListener('end', () => {
-      // 隐藏射线切换按钮
-      if (toggleRayButton) {
-        toggleRayButton.style.display = 'none';
+  // ==================== 专注计时 ====================
+
+  /**
+   * 在唱片机右侧生成专注计时面板：未开始时显示时钟，计时中显示阶段、倒计时、进度和完成次数
+   * 面板挂在模型下，随模型一起放置、移动和缩放；名称 focus_clock 由按钮注册表绑定为按钮
+   * @param {THREE.Object3D} model 模型对象
+   */
+  function createFocusClock(model) {
+    model.updateWorldMatrix(true, true);
+    const box = new THREE.Box3().setFromObject(model);
+    box.applyMatrix4(new THREE.Matrix4().copy(model.matrixWorld).invert()); // 换算到模型坐标
+    const size = box.getSize(new THREE.Vector3());
+    const longest = Math.max(size.x, size.y, size.z);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 256;
+    const texture = new THREE.CanvasTexture(canvas);
+
+    const width = longest * focusState.panelSize;
+    const height = width * canvas.height / canvas.width;
+    const panel = new THREE.Mesh(
+      new THREE.PlaneGeometry(width, height),
+      new THREE.MeshStandardMaterial({ map: texture, roughness: 0.9, metalness: 0 })
+    );
+    panel.name = 'focus_clock';
+    // 立在唱片机右侧的桌面上，与唱片机正面朝向相同
+    panel.position.set(box.max.x + width / 2 + longest * 0.04, box.min.y + height / 2, box.getCenter(new THREE.Vector3()).z);
+    model.add(panel);
+
+    focusState.panel = panel;
+    focusState.canvas = canvas;
+    focusState.texture = texture;
+    focusState.lastText = '';
+    drawFocusClock();
+    console.log('专注计时面板创建完成，宽度:', width.toFixed(3));
+  }
+
+  /**
+   * 重绘专注计时面板，显示的内容没有变化时跳过
+   */
+  function drawFocusClock() {
+    const { canvas, texture } = focusState;
+    if (!canvas) return;
+
+    const state = focusTimer.getState();
+    const idle = state.phase === FOCUS_PHASES.IDLE;
+    const now = new Date();
+    const time = idle
+      ? [now.getHours(), now.getMinutes(), now.getSeconds()].map(value => String(value).padStart(2, '0')).join(':')
+      : formatCountdown(state.remaining);
+    const label = t(FOCUS_LABELS[state.phase]) + (state.paused ? ' · ' + t('focusPausedLabel') : '');
+    const sessions = t('focusSessions', { count: state.sessions });
+    const progress = Math.round(state.progress * 100);
+
+    const text = [label, time, sessions, progress, state.round].join('|');
+    if (text === focusState.lastText) return;
+    focusState.lastText = text;
+
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const color = idle ? '#b0bec5' : (isBreakPhase(state.phase) ? '#81c784' : '#ff8a65');
+
+    context.fillStyle = 'rgba(24, 20, 36, 0.92)';
+    context.fillRect(0, 0, width, height);
+
+    context.fillStyle = color;
+    context.font = 'bold 34px sans-serif';
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillText(label, 24, 18);
+
+    context.fillStyle = '#ffffff';
+    context.font = 'bold 104px monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(time, width / 2, height / 2 + 4);
+
+    // 阶段进度条
+    if (!idle) {
+      context.fillStyle = 'rgba(255, 255, 255, 0.15)';
+      context.fillRect(24, height - 52, width - 48, 8);
+      context.fillStyle = color;
+      context.fillRect(24, height - 52, (width - 48) * state.progress, 8);
+    }
+
+    // 今天完成的次数和本轮进度（每个圆点一个专注，满一轮长休息）
+    context.fillStyle = '#cfd8dc';
+    context.font = '26px sans-serif';
+    context.textAlign = 'left';
+    context.textBaseline = 'bottom';
+    context.fillText(sessions, 24, height - 12);
+    for (let i = 0; i < state.longBreakEvery; i++) {
+      context.beginPath();
+      context.arc(width - 36 - i * 28, height - 26, 9, 0, Math.PI * 2);
+      context.fillStyle = i < state.round ? '#ff8a65' : 'rgba(255, 255, 255, 0.2)';
+      context.fill();
+    }
+
+    texture.needsUpdate = true;
+  }
+
+  /**
+   * 专注计时：未开始时开始（音乐未播放则落下唱针），计时中暂停，暂停时继续
+   */
+  function toggleFocusTimer() {
+    const result = focusTimer.toggle();
+    if (result === 'started') {
+      // 开始时的状态栏提示在阶段变化中显示
+      if (!gameState.playing) {
+        playback.send('play');
       }
-      // 隐藏测试音频按钮
-      if (testAudioButton) {
-        testAudioButton.style.display = 'none';
+    } else {
+      updateStatus(t(result === 'paused' ? 'focusPaused' : 'focusResumed'));
+      emitFocusChange(null, false);
+    }
+    updateButtonVisuals();
+  }
+
+  /**
+   * 专注计时阶段变化：提示音、休息时暂停或降低音乐、更新面板和状态栏
+   * @param {string} phase 新阶段
+   * @param {string} previous 原阶段
+   * @param {Object} detail { completed }
+   */
+  function onFocusPhaseChange(phase, previous, { completed }) {
+    console.log('专注计时:', previous, '→', phase, completed ? '（按时完成）' : '');
+    const state = focusTimer.getState();
+    const minutes = Math.round(state.duration / 60);
+
+    if (previous === FOCUS_PHASES.WORK && completed) {
+      // 按天累计，跨过零点后从1开始
+      const sessions = loadFocusSessions() + 1;
+      saveFocusSessions(sessions);
+      focusTimer.setSessions(sessions);
+    }
+
+    if (isBreakPhase(phase)) {
+      startFocusBreak();
+      updateStatus(phase === FOCUS_PHASES.LONG_BREAK
+        ? t('focusLongBreakStart', { minutes, count: focusTimer.getState().sessions })
+        : t('focusBreakStart', { minutes }));
+    } else if (phase === FOCUS_PHASES.WORK) {
+      endFocusBreak(true);
+      updateStatus(isBreakPhase(previous) ? t('focusWorkStart', { minutes }) : t('focusStarted', { minutes }));
+    } else {
+      endFocusBreak(false);
+      updateStatus(t('focusStopped'));
+    }
+
+    updateButtonVisuals();
+    emitFocusChange(previous, completed);
+
+    // 提示音放在最后，出错时不影响阶段切换
+    if (completed) {
+      playFocusChime();
+    }
+  }
+
+  /**
+   * 派发 focuschange 事件
+   * @param {string|null} previous 原阶段，暂停 / 继续时为null
+   * @param {boolean} completed 原阶段是否按时完成
+   */
+  function emitFocusChange(previous, completed) {
+    events.emit('focuschange', { ...focusTimer.getState(), previous, completed });
+  }
+
+  /**
+   * 音乐恢复时的电平：专注休息降低了音量时保持降低
+   * @returns {number}
+   */
+  function getFocusLevel() {
+    return focusState.dipped ? focusState.dipLevel : 1;
+  }
+
+  /**
+   * 休息开始：抬起唱针（pause）或降低音量（dip）
+   */
+  function startFocusBreak() {
+    if (focusState.breakMusic === 'pause') {
+      if (gameState.playing) {
+        focusState.resumeAfterBreak = true;
+        playback.send('stop');
       }
-      cleanup(renderer, scene);
+    } else if (!focusState.dipped) {
+      focusState.dipped = true;
+      // 睡眠定时正在淡出时不改变音量
+      if (audioState.engine && !sleepTimer.getState().fading) {
+        audioState.engine.fadeTo(focusState.dipLevel, focusState.dipFade);
+      }
+    }
+  }
+
+  /**
+   * 休息结束：恢复音量，休息时抬起了唱针则重新落下
+   * @param {boolean} resume 是否重新落下唱针（结束专注计时时不落下）
+   */
+  function endFocusBreak(resume) {
+    if (focusState.dipped) {
+      focusState.dipped = false;
+      // 睡眠定时正在淡出时不恢复
+      if (audioState.engine && !sleepTimer.getState().fading) {
+        audioState.engine.fadeTo(1, focusState.dipFade);
+      }
+    }
+    if (focusState.resumeAfterBreak) {
+      focusState.resumeAfterBreak = false;
+      if (resume && !gameState.playing) {
+        playback.send('play');
+      }
+    }
+  }
+
+  /**
+   * 阶段结束提示音：两声合成的钟声，直接输出，不受音乐淡出和降低音量影响（静音或音量为0时不响）
+   */
+  function playFocusChime() {
+    // 指数渐变的目标值必须大于0
+    if (!audioState.engine || audioState.muted || audioState.volume <= 0) return;
+
+    const context = audioState.engine.getContext();
+    const start = context.currentTime + 0.05;
+    [880, 1318.5].forEach((frequency, index) => {
+      const time = start + index * 0.35;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.0001, time);
+      gain.gain.exponentialRampToValueAtTime(0.25 * audioState.volume, time + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, time + 1.6);
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(time);
+      oscillator.stop(time + 1.7);
+    });
+  }
+
+  // ==================== 音轨元数据 ====================
+
+  /**
+   * 从下载的音轨数据中读取标签（标题、艺术家、专辑、时长、封面），更新同一文件的音轨
+   * 封面图片在数据被解码转移前复制出来，纹理异步生成
+   * @param {string} url 音轨文件地址
+   * @param {ArrayBuffer} data 音轨数据
+   */
+  function readTrackMetadata(url, data) {
+    if (!config.trackMetadata) return;
+
+    let metadata;
+    try {
+      metadata = parseAudioMetadata(data);
+    } catch (error) {
+      console.warn('读取音轨标签失败:', url, error);
+      return;
+    }
+    if (!metadata) return;
+
+    const { picture, ...tags } = metadata;
+    console.log('音轨标签:', url, tags, picture ? `封面 ${picture.mime} ${picture.data.length} 字节` : '无封面');
+
+    const tracks = core.queue.getTracks().filter(track => track.file === url);
+    tracks.forEach(track => {
+      // 标签优先于播放列表中手写的标题和艺术家
+      ['title', 'artist', 'album'].forEach(key => {
+        if (tags[key]) track[key] = tags[key];
+      });
+      if (track.duration === undefined && tags.duration > 0) {
+        track.duration = tags.duration;
+      }
+      events.emit('trackmetadata', { track, index: core.queue.indexOf(track), hasCover: !!picture });
+    });
+
+    if (picture && !metadataState.covers.has(url)) {
+      metadataState.covers.set(url, createCoverTexture(new Blob([picture.data], { type: picture.mime })));
+    }
+
+    const current = core.queue.getCurrent();
+    if (current && current.file === url) {
+      updateVinylLabel();
+    }
+  }
+
+  /**
+   * 把封面居中裁成正方形绘制到画布上，中心画出唱片孔，圆形由标签几何体裁出
+   * @param {Blob} blob 封面图片
+   * @returns {Promise<THREE.CanvasTexture|null>} 图片无法解码时为null
+   */
+  async function createCoverTexture(blob) {
+    try {
+      const image = await createImageBitmap(blob);
+      const size = metadataState.labelResolution;
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+
+      const context = canvas.getContext('2d');
+      const side = Math.min(image.width, image.height);
+      context.drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, 0, 0, size, size);
+      context.fillStyle = '#111111';
+      context.beginPath();
+      context.arc(size / 2, size / 2, size * 0.03, 0, Math.PI * 2);
+      context.fill();
+      if (image.close) image.close();
+
+      return new THREE.CanvasTexture(canvas);
+    } catch (error) {
+      console.warn('封面图片解码失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 在唱片中心生成圆形标签，有封面时显示，随唱片一起旋转
+   * @param {THREE.Object3D|null} vinyl 唱盘节点
+   */
+  function createVinylLabel(vinyl) {
+    if (!vinyl || !config.trackMetadata) return;
+
+    // 唱片在自身坐标中的范围（唱盘绕自身 z 轴转动）
+    vinyl.updateWorldMatrix(true, true);
+    const inverse = new THREE.Matrix4().copy(vinyl.matrixWorld).invert();
+    const box = new THREE.Box3();
+    vinyl.traverse((node) => {
+      if (!node.geometry) return;
+      if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+      const matrix = new THREE.Matrix4().multiplyMatrices(inverse, node.matrixWorld);
+      box.union(node.geometry.boundingBox.clone().applyMatrix4(matrix));
+    });
+    if (box.isEmpty()) return;
+
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const radius = Math.min(size.x, size.y) / 2 * metadataState.labelSize;
+    // 朝上的一面：世界的上方在唱片坐标中的 z 方向
+    const side = new THREE.Vector3(0, 1, 0).transformDirection(inverse).z >= 0 ? 1 : -1;
+
+    const label = new THREE.Mesh(
+      new THREE.CircleGeometry(radius, 48),
+      new THREE.MeshStandardMaterial({ roughness: 0.6, metalness: 0, polygonOffset: true, polygonOffsetFactor: -1 })
+    );
+    label.name = 'vinyl_label';
+    label.visible = false;
+    label.raycast = () => {}; // 不影响唱片的抓取和按钮检测
+    label.position.set(center.x, center.y, (side > 0 ? box.max.z : box.min.z) + side * Math.max(size.x, size.y) * 0.002);
+    if (side < 0) {
+      label.rotation.x = Math.PI;
+    }
+    vinyl.add(label);
+
+    metadataState.label = label;
+    console.log('唱片封面标签创建完成，半径:', radius.toFixed(4));
+    updateVinylLabel();
+  }
+
+  /**
+   * 唱片标签显示当前音轨的封面，没有封面时隐藏；释放其余音轨的封面
+   */
+  async function updateVinylLabel() {
+    const label = metadataState.label;
+    if (!label) return;
+
+    const track = core.queue.getCurrent();
+    const file = track ? track.file : null;
+    metadataState.labelFile = file;
+    const texture = file && metadataState.covers.has(file) ? await metadataState.covers.get(file) : null;
+    if (metadataState.labelFile !== file) return; // 等待封面时又切换了音轨
+
+    if (label.material.map !== texture) {
+      label.material.map = texture;
+      label.material.needsUpdate = true;
+    }
+    label.visible = !!texture;
+
+    // 只保留当前和下一首的封面
+    const next = core.queue.upNext();
+    const keep = new Set([file, next && next.file]);
+    Array.from(metadataState.covers.keys()).forEach(url => {
+      if (keep.has(url)) return;
+      const pending = metadataState.covers.get(url);
+      metadataState.covers.delete(url);
+      pending.then(cover => cover && cover.dispose());
+    });
+  }
+
+  // ==================== 正在播放面板 ====================
+
+  /**
+   * 把正在播放面板放在唱片机上方，大小随模型尺寸
+   * @param {THREE.Object3D} model 模型对象
+   */
+  function attachNowPlayingPanel(model) {
+    if (!config.nowPlayingPanel) return;
+
+    model.updateWorldMatrix(true, true);
+    const box = new THREE.Box3().setFromObject(model);
+    box.applyMatrix4(new THREE.Matrix4().copy(model.matrixWorld).invert()); // 换算到模型坐标
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const longest = Math.max(size.x, size.y, size.z);
+
+    const panel = nowPlaying.object;
+    const width = longest * nowPlayingState.panelSize;
+    panel.scale.setScalar(width);
+    // 面板下缘离唱片机顶部留出一点距离（面板高宽比见 now-playing-panel.js）
+    const height = width * panel.geometry.parameters.height;
+    panel.position.set(center.x, box.max.y + height / 2 + longest * nowPlayingState.gap, center.z);
+    model.add(panel);
+    console.log('正在播放面板创建完成，宽度:', width.toFixed(3));
+  }
+
+  /**
+   * 每帧更新正在播放面板：唱针在唱片上播放时显示音轨和进度，其余时间只显示提示
+   * @param {number} delta 帧间隔（秒）
+   */
+  function updateNowPlayingPanel(delta) {
+    if (!config.nowPlayingPanel) return;
+
+    const engine = audioState.engine;
+    const playing = playback.is(PLAYBACK_STATES.PLAYING);
+    nowPlaying.setPlaying(playing);
+    nowPlaying.setTrack(core.queue.getCurrent());
+    if (playing && engine) {
+      nowPlaying.setProgress(engine.getCurrentTime(), engine.getDuration());
+    }
+    nowPlaying.update(delta, camera);
+  }
+
+  // ==================== 音频可视化 ====================
+
+  /**
+   * 初始化音频可视化（点光源脉动、频谱光环、唱针节拍）
+   * 分析不可用时保持静态视觉
+   */
+  function setupAudioVisuals() {
+    visualState.pointLight = scene.getObjectByName('modelPointLight');
+    visualState.baseLightIntensity = visualState.pointLight ? visualState.pointLight.intensity : 0;
+
+    if (!audioState.engine) {
+      console.warn('音乐引擎不可用，使用静态视觉');
+      return;
+    }
+
+    try {
+      visualState.analyser = createAudioAnalyser(audioState.engine.getAnalyser(), {
+        bandCount: visualState.bandCount
+      });
+      console.log('音频分析器初始化完成');
+    } catch (error) {
+      console.warn('音频分析不可用，使用静态视觉:', error);
+      visualState.analyser = null;
+    }
+  }
+
+  /**
+   * 在黑胶唱片周围创建频谱光环
+   * 唱片绕本地Z轴旋转，光环位于唱片本地XY平面，挂在唱片父节点下以免跟随旋转
+   */
+  function createSpectrumRing() {
+    const vinyl = modelComponents.vinyl;
+    if (!vinyl || !vinyl.parent) {
+      console.warn('未找到黑胶唱片，跳过频谱光环');
+      return;
+    }
+
+    vinyl.updateWorldMatrix(true, true);
+    const worldSize = new THREE.Box3().setFromObject(vinyl).getSize(new THREE.Vector3());
+    const worldScale = vinyl.getWorldScale(new THREE.Vector3());
+    const radius = Math.max(worldSize.x, worldSize.y, worldSize.z) / 2 / worldScale.x;
+
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    geometry.translate(0.5, 0, 0); // 以内端为原点沿X轴向外延伸
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 0.85,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
     });
 
-    renderer.xr.setSession(session);
+    const ring = new THREE.InstancedMesh(geometry, material, visualState.bandCount);
+    ring.name = 'spectrumRing';
+    ring.raycast = () => { }; // 不参与射线检测，避免挡住按钮和旋转交互
+    ring.position.copy(vinyl.position);
+    ring.quaternion.copy(vinyl.quaternion);
+    ring.scale.copy(vinyl.scale);
+    ring.visible = false;
+    vinyl.parent.add(ring);
+
+    visualState.ring = ring;
+    visualState.ringRadius = radius;
+    updateSpectrumRing(null);
+    console.log('频谱光环创建完成，半径:', radius);
+  }
+
+  /**
+   * 更新频谱光环的条形长度和颜色
+   * @param {Object|null} frame 分析帧，为空时全部归零
+   */
+  function updateSpectrumRing(frame) {
+    const { ring, ringRadius, bandCount, bandLevels, dummy, color } = visualState;
+
+    for (let i = 0; i < bandCount; i++) {
+      // 上升立即响应，回落缓慢
+      const level = frame ? frame.bands[i] : 0;
+      bandLevels[i] = Math.max(level, bandLevels[i] * 0.88);
+
+      const angle = (i / bandCount) * Math.PI * 2;
+      dummy.position.set(Math.cos(angle) * ringRadius * 1.06, Math.sin(angle) * ringRadius * 1.06, 0);
+      dummy.rotation.set(0, 0, angle);
+      dummy.scale.set(ringRadius * (0.03 + 0.35 * bandLevels[i]), ringRadius * 0.025, ringRadius * 0.01);
+      dummy.updateMatrix();
+      ring.setMatrixAt(i, dummy.matrix);
+
+      color.setHSL(0.55 - bandLevels[i] * 0.45, 0.8, 0.4 + bandLevels[i] * 0.3);
+      ring.setColorAt(i, color);
+    }
+
+    ring.instanceMatrix.needsUpdate = true;
+    if (ring.instanceColor) {
+      ring.instanceColor.needsUpdate = true;
+    }
+  }
+
+  /**
+   * 根据 BPM 调整唱针抖动动画速度
+   * 每拍对应整数倍（或整分之一）个动画循环，速度限制在 0.5~2 倍
+   * @param {number} bpm 节拍速度，0表示未知（恢复原速）
+   */
+  function updateStylusTimeScale(bpm) {
+    const anim = animationControl.animations[profileState.profile.animations.playing];
+    if (!anim) return;
+
+    let timeScale = 1;
+    if (bpm > 0 && anim.duration > 0) {
+      timeScale = anim.duration * bpm / 60;
+      while (timeScale > 2) timeScale /= 2;
+      while (timeScale < 0.5) timeScale *= 2;
+    }
+    anim.action.timeScale += (timeScale - anim.action.timeScale) * 0.1;
+  }
+
+  /**
+   * 每帧更新音频驱动的视觉效果
+   * @param {number} delta 帧间隔（秒）
+   */
+  function updateAudioVisuals(delta) {
+    const frame = visualState.analyser && gameState.playing ? visualState.analyser.update() : null;
+    const active = !!(frame && frame.active);
+
+    // 点光源随低频能量脉动：上升快、回落慢
+    if (visualState.pointLight) {
+      const base = visualState.baseLightIntensity;
+      const target = active ? base * (1 + frame.bass * 1.5 + (frame.beat ? 0.4 : 0)) : base;
+      const current = visualState.pointLight.intensity;
+      const speed = target > current ? 30 : 5;
+      visualState.pointLight.intensity = current + (target - current) * (1 - Math.exp(-delta * speed));
+    }
+
+    // 频谱光环
+    if (visualState.ring) {
+      visualState.ring.visible = active;
+      if (active) {
+        updateSpectrumRing(frame);
+      }
+    }
+
+    // 唱针抖动跟随节拍
+    updateStylusTimeScale(active ? frame.bpm : 0);
+  }
+
+  // ==================== XR控制器 ====================
+
+  /**
+   * 获取XR控制器
+   * @param {THREE.WebGLRenderer} renderer 渲染器
+   * @param {number} index 控制器索引
+   * @param {THREE.Scene} scene 场景
+   * @returns {THREE.XRTargetRaySpace} 控制器对象
+   */
+  function getXRController(renderer, index, scene) {
+    const controller = renderer.xr.getController(index);
+    scene.add(controller);
+
+    // 根据开关决定是否显示射线
+    if (xrControl.showRayLine) {
+      addRayLine(controller);
+    }
+
+    return controller;
+  }
+
+  /**
+   * 给控制器添加射线
+   * @param {THREE.XRTargetRaySpace} controller 控制器
+   */
+  function addRayLine(controller) {
+    const geometry = new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(0, 0, 0),
+      new THREE.Vector3(0, 0, -1)
+    ]);
+    const material = new THREE.LineBasicMaterial({ color: 0x00ff00 });
+    const line = new THREE.Line(geometry, material);
+    line.scale.z = 5;
+    line.name = 'rayLine';
+    controller.add(line);
+  }
+
+  /**
+   * 创建输入指针：一个手柄、一只手或桌面预览的鼠标，各自记录悬停、按下和拖拽状态
+   * @param {string} id 标识，例如 controller-0、mouse
+   * @param {THREE.Object3D} controller 射线空间（XR控制器或鼠标虚拟指针）
+   * @param {THREE.XRHandSpace|null} hand 手部关节空间，没有手部追踪时为null
+   * @returns {Object} 输入指针
+   */
+  function createInputPointer(id, controller, hand = null) {
+    return {
+      id,
+      controller,
+      hand,
+      connected: false,     // 输入源已连接（鼠标指针创建时即连接）
+      handedness: 'none',   // left / right / none，连接时由输入源给出
+      isHand: false,        // 当前输入源是否为手部追踪
+      selecting: null,      // 进行中的选择来源: select / pinch / mouse，没有时为null
+      grab: null,           // 抓住的部件: rotate / scratch / tonearm / volume
+      hoveredButton: null,  // 射线或指尖指向的按钮
+      pressedButton: null,  // 选择按下的按钮
+      pokedButton: null,    // 指尖按下的按钮
+      selectedModel: null,  // 拖拽旋转的模型
+      controllerPrev: new THREE.Vector3() // 上一帧控制器位置
+    };
+  }
+
+  /**
+   * 注册两只手柄和两只手：每个输入源有自己的射线、悬停和拖拽状态
+   * 扳机和捏合都作为选择，手部追踪时食指指尖还可以直接按下按钮
+   * @param {THREE.WebGLRenderer} renderer 渲染器
+   * @returns {Array<Object>} 输入指针
+   */
+  function setupXRInputs(renderer) {
+    const pointers = [];
+    for (let index = 0; index < xrControl.controllerCount; index++) {
+      const controller = getXRController(renderer, index, scene);
+      const hand = renderer.xr.getHand(index);
+      scene.add(hand);
+
+      const pointer = createInputPointer('controller-' + index, controller, hand);
+      controller.addEventListener('connected', (event) => onInputConnected(pointer, event.data));
+      controller.addEventListener('disconnected', () => onInputDisconnected(pointer));
+      controller.addEventListener('selectstart', () => onSelectStart(pointer, 'select'));
+      controller.addEventListener('selectend', () => onSelectEnd(pointer, 'select'));
+      // 运行时没有把捏合映射为选择时，由 three.js 按拇指与食指指尖的距离判断捏合
+      controller.addEventListener('pinchstart', () => onSelectStart(pointer, 'pinch'));
+      controller.addEventListener('pinchend', () => onSelectEnd(pointer, 'pinch'));
+      pointers.push(pointer);
+    }
+
+    xrControl.pointers.push(...pointers);
+    return pointers;
+  }
+
+  /**
+   * 输入源连接（手柄开机、手进入追踪范围、手柄与手部追踪切换）
+   * @param {Object} pointer 输入指针
+   * @param {XRInputSource} inputSource 输入源
+   */
+  function onInputConnected(pointer, inputSource) {
+    pointer.connected = true;
+    pointer.handedness = inputSource.handedness || 'none';
+    pointer.isHand = !!inputSource.hand;
+    console.log('输入源已连接:', pointer.handedness, pointer.isHand ? '手部追踪' : '手柄');
+  }
+
+  /**
+   * 输入源断开：结束它的选择、松开按钮并清除悬停
+   * @param {Object} pointer 输入指针
+   */
+  function onInputDisconnected(pointer) {
+    onSelectEnd(pointer, pointer.selecting);
+    releasePokedButton(pointer);
+    setHoveredButton(pointer, null);
+    pointer.connected = false;
+    pointer.isHand = false;
+    console.log('输入源已断开:', pointer.handedness);
+  }
+
+  /**
+   * 移除输入指针（XR会话结束、桌面预览停止时）
+   * @param {Array<Object>} pointers 输入指针
+   */
+  function removeInputPointers(pointers) {
+    pointers.forEach(pointer => {
+      onSelectEnd(pointer, pointer.selecting);
+      releasePokedButton(pointer);
+      setHoveredButton(pointer, null);
+    });
+    xrControl.pointers = xrControl.pointers.filter(pointer => !pointers.includes(pointer));
+  }
+
+  // ==================== AR放置 ====================
+
+  /**
+   * 创建放置准星：平躺在检测到的平面上的圆环
+   * @returns {THREE.Mesh}
+   */
+  function createReticle() {
+    const reticle = new THREE.Mesh(
+      new THREE.RingGeometry(0.08, 0.1, 32).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ color: 0x4ecdc4 })
+    );
+    reticle.name = 'placementReticle';
+    reticle.matrixAutoUpdate = false;
+    reticle.visible = false;
+    return reticle;
+  }
+
+  /**
+   * 进入AR放置流程：显示准星，选择后放置模型；关闭或不支持 hit-test 时模型留在固定位置
+   * @param {XRSession} session XR会话
+   * @param {XRReferenceSpace} referenceSpace 渲染使用的参考空间
+   */
+  async function startARPlacement(session, referenceSpace) {
+    if (!config.arPlacement) {
+      console.log('AR放置已关闭，模型放在固定位置');
+      return;
+    }
+
+    const placement = await createARPlacement(session, referenceSpace, {
+      onStateChange: onPlacementStateChange
+    });
+    if (xrControl.session !== session) {
+      if (placement) placement.dispose();
+      return;
+    }
+    if (!placement) {
+      updateStatus(t('arPlacementUnavailable'));
+      return;
+    }
+
+    placementState.placement = placement;
+    placementState.reticle = createReticle();
+    scene.add(placementState.reticle);
+    onPlacementStateChange(placement.getState().state);
+  }
+
+  /**
+   * 放置状态变化时更新状态栏
+   * @param {string} state 放置状态
+   */
+  function onPlacementStateChange(state) {
+    console.log('AR放置状态:', state);
+    switch (state) {
+      case PLACEMENT_STATES.SEARCHING:
+        updateStatus(t('arPlacementSearching'));
+        break;
+      case PLACEMENT_STATES.READY:
+        updateStatus(t('arPlacementReady'));
+        break;
+      case PLACEMENT_STATES.PLACED:
+        updateStatus(t('arPlaced'));
+        break;
+      case PLACEMENT_STATES.ANCHORED:
+        console.log('锚点已创建，模型固定在桌面上');
+        break;
+    }
+  }
+
+  /**
+   * 是否在等待放置（放置前的选择用于放置模型）
+   * @returns {boolean}
+   */
+  function isPlacingModel() {
+    const placement = placementState.placement;
+    if (!placement) return false;
+    const { state } = placement.getState();
+    return state === PLACEMENT_STATES.SEARCHING || state === PLACEMENT_STATES.READY;
+  }
+
+  /**
+   * 每帧更新准星和放置位姿：放置前隐藏模型，放置后根节点（group）跟随平面上的放置点或锚点
+   * 只更新根节点的位置，朝向在放置时设置一次；模型容器在根节点中仍可抓取移动、转动和缩放
+   * @param {XRFrame} frame XR帧
+   */
+  function updateARPlacement(frame) {
+    const placement = placementState.placement;
+    if (!placement || !frame) return;
+
+    const { reticle, pose } = placement.update(frame);
+    placementState.reticle.visible = !!reticle;
+    if (reticle) {
+      placementState.reticle.matrix.fromArray(reticle);
+    }
+
+    group.visible = !!pose;
+    if (pose) {
+      group.position.setFromMatrixPosition(placementState.matrix.fromArray(pose));
+    }
+  }
+
+  /**
+   * 把模型放在准星处，正面朝向使用者（只绕竖直轴转动），底面落在平面上
+   */
+  function placeModelAtReticle() {
+    const reticle = placementState.reticle;
+    const target = new THREE.Vector3().setFromMatrixPosition(reticle.matrix);
+    if (!placementState.placement.place()) {
+      console.log('准星不在平面上，无法放置');
+      return;
+    }
+
+    const viewer = camera.getWorldPosition(new THREE.Vector3());
+    group.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0),
+      Math.atan2(viewer.x - target.x, viewer.z - target.z));
+
+    // 重新放置时撤销之前的抓取操作，缩放为真实大小，以放置后的状态作为重置时恢复的初始状态
+    const container = modelComponents.container;
+    if (container) {
+      manipulator.reset();
+      container.scale.setScalar(placementState.realScale);
+      container.position.set(0, placementState.surfaceOffset, 0);
+      manipulator.setTarget(container);
+    }
+    console.log('模型已放置:', target.toArray().map(value => value.toFixed(2)).join(', '));
+  }
+
+  /**
+   * 重新放置模型（回到寻找平面）
+   * @returns {boolean} 不在AR放置流程中时为 false
+   */
+  function restartARPlacement() {
+    if (!placementState.placement) return false;
+    placementState.placement.reset();
+    return true;
+  }
+
+  /**
+   * 结束AR放置流程（会话结束时），模型回到固定位置
+   */
+  function stopARPlacement() {
+    if (placementState.placement) {
+      placementState.placement.dispose();
+      placementState.placement = null;
+    }
+    if (placementState.reticle) {
+      scene.remove(placementState.reticle);
+      placementState.reticle.geometry.dispose();
+      placementState.reticle.material.dispose();
+      placementState.reticle = null;
+    }
+    group.visible = true;
+    group.position.set(0, 0, 0);
+    group.quaternion.identity();
+    const container = modelComponents.container;
+    if (container) {
+      manipulator.reset();
+      container.scale.setScalar(placementState.fixedScale);
+      container.position.copy(placementState.fixedPosition);
+      manipulator.setTarget(container);
+    }
+  }
+
+  /**
+   * 启动XR会话
+   */
+  function startXRSession() {
+    if (apiState.disposed) return;
+    if (!navigator.xr) {
+      updateStatus(t('xrUnsupported'));
+      return;
+    }
+
+    updateStatus(t('xrStarting'));
+
+    navigator.xr.requestSession('immersive-ar', { optionalFeatures: ['hand-tracking', 'hit-test', 'anchors'] })
+      .then((session) => {
+        console.log('XR会话启动成功');
+        stopDesktopPreview();
+        updateStatus(t('xrStarted'));
+        setupXRSession(session);
+      })
+      .catch((err) => {
+        console.error('XR会话启动失败:', err);
+        updateStatus(t('xrFailed', { message: err.message }));
+      });
+  }
+
+  /**
+   * 格式化播放时间
+   * @param {number} seconds 秒
+   * @returns {string} m:ss
+   */
+  function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * 更新状态显示
+   * @param {string} message 状态消息
+   */
+  function updateStatus(message) {
+    const statusElement = findElement('status');
+    if (statusElement) {
+      statusElement.textContent = message;
+    }
+    // 沉浸式AR中看不到状态栏，同时在场景中的面板上提示
+    if (config.nowPlayingPanel) {
+      nowPlaying.showMessage(message);
+    }
+    console.log('状态更新:', message);
+  }
+
+  /**
+   * 切换所有XR控制器的射线显示
+   * @param {Array<Object>} pointers XR输入指针
+   */
+  function toggleRayLine(pointers) {
+    xrControl.showRayLine = !xrControl.showRayLine;
+
+    pointers.forEach(({ controller }) => {
+      const rayLine = controller.getObjectByName('rayLine');
+
+      if (xrControl.showRayLine && !rayLine) {
+        addRayLine(controller);
+      } else if (!xrControl.showRayLine && rayLine) {
+        // 移除射线
+        controller.remove(rayLine);
+        rayLine.geometry.dispose();
+        rayLine.material.dispose();
+      }
+    });
+    console.log(xrControl.showRayLine ? '射线已启用' : '射线已禁用');
+
+    updateStatus(t(xrControl.showRayLine ? 'rayOn' : 'rayOff'));
+  }
+
+  /**
+   * 设置XR会话
+   * @param {XRSession} session XR会话
+   */
+  function setupXRSession(session) {
+    const renderer = gl
+      ? new THREE.WebGLRenderer({ context: gl })
+      : new THREE.WebGLRenderer({ antialias: true });
+
+    renderer.xr.enabled = true;
+    renderer.xr.setReferenceSpaceType('local');
+
+    if (gl) {
+      const baseLayer = new XRWebGLLayer(session, gl);
+      session.updateRenderState({ baseLayer });
+    }
+
+    // 设置左右手柄和手部追踪
+    const pointers = setupXRInputs(renderer);
+
+    // 显示射线切换按钮
+    const toggleRayButton = findElement('toggleRay');
+    if (toggleRayButton) {
+      toggleRayButton.style.display = 'inline-block';
+      toggleRayButton.onclick = () => toggleRayLine(pointers);
+    }
+
+    // 显示转速切换按钮
+    const toggleSpeedButton = findElement('toggleSpeed');
+    if (toggleSpeedButton) {
+      toggleSpeedButton.style.display = 'inline-block';
+      toggleSpeedButton.onclick = () => toggleTurntableSpeed();
+    }
+
+    // 显示测试音频按钮
+    const testAudioButton = findElement('testAudio');
+    if (testAudioButton) {
+      testAudioButton.style.display = 'inline-block';
+      testAudioButton.onclick = () => {
+        console.log('测试音频播放按钮被点击');
+        if (audioState.playMusic && typeof audioState.playMusic === 'function') {
+          console.log('播放测试音乐');
+          audioState.playMusic();
+          updateStatus(t('testAudioPlaying'));
+          setTimeout(() => {
+            pauseMusic();
+            updateStatus(t('testAudioStopped'));
+          }, 3000);
+        } else {
+          console.error('音频播放函数未初始化');
+          updateStatus(t('audioNotReady'));
+        }
+      };
+    }
+
+    // 事件监听
+    xrControl.session = session;
+    session.addEventListener('end', () => {
+      xrControl.session = null;
+      removeInputPointers(pointers);
+      stopARPlacement();
+      // 隐藏射线切换按钮
+      if (toggleRayButton) {
+        toggleRayButton.style.display = 'none';
+      }
+      // 隐藏转速切换按钮
+      if (toggleSpeedButton) {
+        toggleSpeedButton.style.display = 'none';
+      }
+      // 隐藏测试音频按钮
+      if (testAudioButton) {
+        testAudioButton.style.display = 'none';
+      }
+      cleanup(renderer, scene);
+    });
+
+    // 会话设置完成后才有参考空间
+    Promise.resolve(renderer.xr.setSession(session))
+      .then(() => startARPlacement(session, renderer.xr.getReferenceSpace()))
+      .catch(error => console.warn('AR放置启动失败，模型放在固定位置:', error));
+
+    // 渲染循环
+    renderer.setAnimationLoop((time, frame) => {
+      updateARPlacement(frame);
+      updateScene(animationControl.clock.getDelta());
+      renderer.render(scene, camera);
+    });
+  }
+
+  /**
+   * 每帧更新场景（XR 和桌面预览共用）
+   * @param {number} delta 帧间隔（秒）
+   */
+  function updateScene(delta) {
+    // 更新模型动画
+    if (animationControl.mixer) {
+      animationControl.mixer.update(delta);
+    }
+
+    // 旋转黑胶唱片
+    rotateVinyl(delta);
+
+    // 唱臂跟随播放进度
+    updateTonearm(delta);
+
+    // 摇杆调节音量
+    updateVolumeThumbstick(delta);
+
+    // 音频驱动的视觉效果
+    updateAudioVisuals(delta);
+
+    // 抓取操作：模型跟随抓住它的手，松开后回正
+    manipulator.update(delta);
+
+    // 专注计时面板（内容变化时才重绘）
+    drawFocusClock();
+
+    // 正在播放面板
+    updateNowPlayingPanel(delta);
+
+    // 处理各输入指针的交互（XR中为两只手柄 / 手，桌面预览中为鼠标虚拟指针）
+    xrControl.pointers.forEach(pointer => handleControllerInteraction(pointer, delta));
+  }
+
+  // ==================== 桌面预览 ====================
+
+  /**
+   * 检测是否支持 immersive-ar 会话
+   * @returns {Promise<boolean>}
+   */
+  async function isXRSupported() {
+    if (!navigator.xr) return false;
+    if (typeof navigator.xr.isSessionSupported !== 'function') return true;
+    try {
+      return await navigator.xr.isSessionSupported('immersive-ar');
+    } catch (error) {
+      console.warn('检测XR支持失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 启动桌面预览：渲染到页面画布，用轨道控制器观察模型
+   * 鼠标/触摸通过虚拟指针复用 onSelectStart / onSelectEnd 等XR交互处理
+   */
+  function startDesktopPreview() {
+    if (mouseControl.active || apiState.disposed) return;
+
+    let previewElement = findElement('preview');
+    if (!previewElement) {
+      // 嵌入的页面没有预览容器时在播放器容器中创建
+      previewElement = document.createElement('div');
+      previewElement.className = 'lofi-fm-preview';
+      previewElement.style.width = '100%';
+      previewElement.style.height = '60vh';
+      (container || document.body).appendChild(previewElement);
+    }
+
+    previewElement.style.display = 'block';
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.domElement.style.touchAction = 'none';
+    previewElement.appendChild(renderer.domElement);
+
+    mouseControl.active = true;
+    mouseControl.renderer = renderer;
+    mouseControl.container = previewElement;
+    mouseControl.input = createInputPointer('mouse', mouseControl.pointer);
+    mouseControl.input.connected = true;
+    xrControl.pointers.push(mouseControl.input);
+    mouseControl.mouse.set(-10, -10); // 指针进入画布前不命中任何对象
+
+    // 指针事件先于轨道控制器注册，命中模型时禁用视角控制
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointermove', onPreviewPointerMove);
+    canvas.addEventListener('pointerdown', onPreviewPointerDown);
+    canvas.addEventListener('pointerup', onPreviewPointerUp);
+    canvas.addEventListener('pointercancel', onPreviewPointerUp);
+    canvas.addEventListener('pointerleave', onPreviewPointerLeave);
+    window.addEventListener('keydown', onPreviewKeyDown);
+    window.addEventListener('resize', resizeDesktopPreview);
+
+    mouseControl.controls = new OrbitControls(camera, canvas);
+    mouseControl.controls.enableDamping = true;
+    mouseControl.controls.dampingFactor = 0.05;
+
+    resizeDesktopPreview();
+    frameModel();
+
+    // 显示转速切换按钮
+    const toggleSpeedButton = findElement('toggleSpeed');
+    if (toggleSpeedButton) {
+      toggleSpeedButton.style.display = 'inline-block';
+      toggleSpeedButton.onclick = () => toggleTurntableSpeed();
+    }
+
+    renderer.setAnimationLoop(() => {
+      mouseControl.controls.update();
+      syncPreviewPointer();
+      updateScene(animationControl.clock.getDelta());
+      renderer.render(scene, camera);
+    });
+
+    console.log('桌面预览已启动');
+    updateStatus(t('previewHelp'));
+  }
+
+  /**
+   * 停止桌面预览（例如进入XR会话时）
+   */
+  function stopDesktopPreview() {
+    if (!mouseControl.active) return;
+
+    const { renderer, controls, container: previewElement } = mouseControl;
+    renderer.setAnimationLoop(null);
+    controls.dispose();
+    window.removeEventListener('keydown', onPreviewKeyDown);
+    window.removeEventListener('resize', resizeDesktopPreview);
+    previewElement.removeChild(renderer.domElement);
+    previewElement.style.display = 'none';
+    renderer.dispose();
+
+    mouseControl.isClicking = false;
+    removeInputPointers([mouseControl.input]);
+
+    mouseControl.active = false;
+    mouseControl.renderer = null;
+    mouseControl.controls = null;
+    mouseControl.input = null;
+    console.log('桌面预览已停止');
+  }
+
+  /**
+   * 按容器大小调整画布和相机
+   */
+  function resizeDesktopPreview() {
+    const { renderer, container: previewElement } = mouseControl;
+    const width = previewElement.clientWidth;
+    const height = previewElement.clientHeight;
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    renderer.setSize(width, height);
+  }
+
+  /**
+   * 让相机对准模型
+   */
+  function frameModel() {
+    const controls = mouseControl.controls;
+    const box = new THREE.Box3().setFromObject(group);
+    if (!controls || box.isEmpty()) return;
+
+    const size = box.getSize(new THREE.Vector3()).length();
+    const center = box.getCenter(new THREE.Vector3());
+    controls.target.copy(center);
+    controls.minDistance = size * 0.5;
+    controls.maxDistance = size * 5;
+    camera.position.copy(center).add(new THREE.Vector3(0, 0.6, 1).setLength(size * 1.5));
+    controls.update();
+  }
+
+  /**
+   * 沿鼠标射线放置虚拟指针
+   * 指针位于近裁剪面上，拖动时的位置变化近似屏幕位移，供拖拽旋转使用
+   */
+  function syncPreviewPointer() {
+    const pointer = mouseControl.pointer;
+    mouseControl.raycaster.setFromCamera(mouseControl.mouse, camera);
+    const ray = mouseControl.raycaster.ray;
+    ray.at(camera.near, pointer.position);
+    pointer.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, -1), ray.direction);
+    pointer.updateMatrixWorld();
+  }
+
+  /**
+   * 由指针事件更新鼠标的标准化设备坐标
+   * @param {PointerEvent} event 指针事件
+   */
+  function updatePreviewMouse(event) {
+    const rect = mouseControl.renderer.domElement.getBoundingClientRect();
+    mouseControl.mouse.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    syncPreviewPointer();
+  }
+
+  /**
+   * 指针移动：悬停检测在渲染循环中进行
+   * @param {PointerEvent} event 指针事件
+   */
+  function onPreviewPointerMove(event) {
+    updatePreviewMouse(event);
+  }
+
+  /**
+   * 指针按下：命中模型时按XR选择开始处理，空白处交给轨道控制器
+   * @param {PointerEvent} event 指针事件
+   */
+  function onPreviewPointerDown(event) {
+    if (mouseControl.isClicking) return; // 忽略多点触摸的其他手指
+
+    updatePreviewMouse(event);
+    if (getIntersections(mouseControl.pointer).length === 0) return;
+
+    mouseControl.isClicking = true;
+    mouseControl.controls.enabled = false;
+    event.target.setPointerCapture(event.pointerId);
+    onSelectStart(mouseControl.input, 'mouse');
+  }
+
+  /**
+   * 指针抬起：按XR选择结束处理
+   * @param {PointerEvent} event 指针事件
+   */
+  function onPreviewPointerUp(event) {
+    if (!mouseControl.isClicking) return;
+
+    updatePreviewMouse(event);
+    mouseControl.isClicking = false;
+    mouseControl.controls.enabled = true;
+    onSelectEnd(mouseControl.input, 'mouse');
+  }
+
+  /**
+   * 指针离开画布：清除悬停
+   */
+  function onPreviewPointerLeave() {
+    if (!mouseControl.isClicking) {
+      mouseControl.mouse.set(-10, -10);
+    }
+  }
+
+  /**
+   * 桌面预览键盘快捷键
+   * @param {KeyboardEvent} event 键盘事件
+   */
+  function onPreviewKeyDown(event) {
+    if (event.target && /^(INPUT|TEXTAREA|SELECT)$/.test(event.target.tagName)) return;
+
+    switch (event.key) {
+      case ' ':
+        event.preventDefault();
+        if (event.repeat) return;
+        if (audioState.playButtonClick && typeof audioState.playButtonClick === 'function') {
+          audioState.playButtonClick();
+        }
+        pressPlayButton();
+        break;
+      case 'ArrowLeft':
+        event.preventDefault();
+        playPreviousTrack();
+        break;
+      case 'ArrowRight':
+        event.preventDefault();
+        playNextTrack();
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setMusicVolume(audioState.volume + 0.1);
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        setMusicVolume(audioState.volume - 0.1);
+        break;
+      case 'm':
+      case 'M':
+        setMusicMuted(!audioState.muted);
+        break;
+      case 's':
+      case 'S':
+        setShuffle(!core.queue.isShuffled());
+        break;
+      case 'r':
+      case 'R':
+        cycleRepeatMode();
+        break;
+      case 'f':
+      case 'F':
+        toggleFocusTimer();
+        break;
+      case '0':
+        resetModelTransform();
+        break;
+      case '+':
+      case '=':
+        zoomPreviewCamera(1 / mouseControl.zoomStep);
+        break;
+      case '-':
+      case '_':
+        zoomPreviewCamera(mouseControl.zoomStep);
+        break;
+    }
+  }
+
+  /**
+   * 恢复模型初始的位置、朝向和大小
+   */
+  function resetModelTransform() {
+    if (!modelComponents.container) return;
+    manipulator.reset();
+    onModelReset();
+  }
+
+  /**
+   * 模型已重置：提示并保存朝向
+   */
+  function onModelReset() {
+    console.log('模型已恢复初始位置和大小');
+    updateStatus(t('modelReset'));
+    saveListeningSession();
+  }
+
+  /**
+   * 缩放相机与观察目标的距离
+   * @param {number} scale 距离缩放比例，小于1拉近
+   */
+  function zoomPreviewCamera(scale) {
+    const controls = mouseControl.controls;
+    const offset = camera.position.clone().sub(controls.target).multiplyScalar(scale);
+    const distance = THREE.MathUtils.clamp(offset.length(), controls.minDistance, controls.maxDistance);
+    camera.position.copy(controls.target).add(offset.setLength(distance));
+  }
+
+  // ==================== XR交互处理 ====================
+
+  /**
+   * 选择开始事件处理
+   * 唱臂、旋钮和唱片同时只能被一个输入指针抓住，先抓住的优先
+   * @param {Object} pointer 输入指针
+   * @param {string} source 选择来源: select（扳机 / 运行时的捏合）/ pinch（three.js 判断的捏合）/ mouse
+   */
+  function onSelectStart(pointer, source) {
+    // 同一只手的运行时选择和捏合只处理先到的一个
+    if (pointer.selecting) return;
+    pointer.selecting = source;
+
+    // AR放置中：选择用于把模型放在准星处
+    if (isPlacingModel()) {
+      placeModelAtReticle();
+      return;
+    }
+
+    const controller = pointer.controller;
+    console.log('XR选择开始事件触发:', pointer.id, source);
+    const intersects = getIntersections(controller);
+    console.log('射线检测结果:', intersects.length, '个对象');
+
+    if (intersects.length > 0) {
+      const intersectedObject = intersects[0].object;
+      console.log('选中对象:', intersectedObject.name, '用户数据:', intersectedObject.userData);
+
+      // 优先处理按钮交互（命中按钮的子网格也算）
+      const button = buttons.find(intersectedObject);
+      if (button) {
+        if (pressModelButton(button)) {
+          pointer.pressedButton = button;
+        }
+      } else if (isVolumeKnobObject(intersectedObject) && startVolumeTwist(controller)) {
+        // 抓住音量旋钮：转动调节音量，不转动直接松开切换静音
+        pointer.grab = 'volume';
+        console.log('抓住音量旋钮');
+      } else if (isTonearmObject(intersectedObject) && startNeedleDrop(controller)) {
+        // 抓住唱臂：抬起唱针，松开时落针定位
+        pointer.grab = 'tonearm';
+        console.log('抬起唱臂');
+      } else if (isVinylObject(intersectedObject) && startScratch(controller)) {
+        // 抓住黑胶唱片：进入搓碟模式
+        pointer.grab = 'scratch';
+        console.log('开始搓碟');
+      } else if (intersectedObject.userData.isRotatable && pointer !== mouseControl.input) {
+        // XR中抓住模型：单手移动和转动，双手缩放和扭转，快速抓两次重置
+        const result = manipulator.grab(pointer.id, controller);
+        if (result === 'grab') {
+          pointer.grab = 'manipulate';
+          console.log('抓住模型:', pointer.id);
+        } else if (result === 'reset') {
+          onModelReset();
+        }
+      } else if (intersectedObject.userData.isRotatable) {
+        // 桌面预览：拖拽旋转模型
+        // 查找最顶层的模型容器进行旋转
+        let targetModel = intersectedObject;
+        while (targetModel.parent && targetModel.parent !== group) {
+          targetModel = targetModel.parent;
+        }
+        pointer.grab = 'rotate';
+        pointer.selectedModel = targetModel;
+        pointer.controllerPrev.copy(getControllerPosition(controller));
+        console.log('开始拖拽旋转模型:', targetModel.name);
+      }
+    }
+  }
+
+  /**
+   * 选择结束事件处理：松开该输入指针按下的按钮和抓住的部件
+   * @param {Object} pointer 输入指针
+   * @param {string|null} source 选择来源，与开始时不同的结束事件被忽略
+   */
+  function onSelectEnd(pointer, source) {
+    if (!pointer.selecting || pointer.selecting !== source) return;
+    pointer.selecting = null;
+
+    // 松开按钮
+    if (pointer.pressedButton) {
+      releaseModelButton(pointer.pressedButton);
+      pointer.pressedButton = null;
+    }
+
+    switch (pointer.grab) {
+      case 'tonearm':
+        // 放下唱臂，从落针位置继续播放
+        endNeedleDrop();
+        break;
+      case 'volume':
+        endVolumeTwist();
+        break;
+      case 'scratch':
+        // 松开唱片，电机带着惯性把唱盘拉回额定转速
+        turntableState.scratching = false;
+        console.log('结束搓碟，当前角速度:', turntableState.angularVelocity.toFixed(2));
+        break;
+      case 'rotate':
+        // 结束拖拽旋转，保存新的朝向
+        pointer.selectedModel = null;
+        console.log('结束拖拽旋转');
+        saveListeningSession();
+        break;
+      case 'manipulate':
+        // 最后一只手松开时保存新的朝向，缩放过则显示当前大小
+        if (manipulator.release(pointer.id)) {
+          console.log('结束抓取操作');
+          const scale = manipulator.getScale();
+          if (Math.abs(scale - 1) > 0.01) {
+            updateStatus(t('modelScale', { percent: Math.round(scale * 100) }));
+          }
+          saveListeningSession();
+        }
+        break;
+    }
+    pointer.grab = null;
+  }
+
+  /**
+   * 处理输入指针的交互：更新抓住的部件，再检测悬停
+   * @param {Object} pointer 输入指针
+   * @param {number} frameDelta 帧间隔（秒）
+   */
+  function handleControllerInteraction(pointer, frameDelta) {
+    if (!pointer.connected) return;
+    const controller = pointer.controller;
+
+    switch (pointer.grab) {
+      case 'scratch':
+        updateScratch(controller, frameDelta);
+        break;
+      case 'tonearm':
+        updateNeedleDrop(controller);
+        break;
+      case 'volume':
+        updateVolumeTwist(controller);
+        break;
+      case 'rotate': {
+        const currentPosition = getControllerPosition(controller);
+        const delta = currentPosition.clone().sub(pointer.controllerPrev);
+
+        delta.multiplyScalar(xrControl.rotationSpeed);
+        delta.set(delta.x, -delta.y, 0); // 只使用x和y分量
+
+        applyCameraRelativeRotation(pointer.selectedModel, delta);
+        pointer.controllerPrev.copy(currentPosition);
+        break;
+      }
+    }
+
+    // 检测悬停效果（独立于拖拽状态）：手部追踪时指尖附近的按钮优先于射线指向的按钮
+    const touched = pointer.isHand ? updateFingertipPoke(pointer) : null;
+    if (touched) {
+      setHoveredButton(pointer, touched);
+    } else {
+      const intersects = getIntersections(controller);
+      setHoveredButton(pointer, intersects.length > 0 ? buttons.find(intersects[0].object) : null);
+    }
+  }
+
+  // ==================== 手部追踪 ====================
+
+  /**
+   * 食指指尖直接按按钮：指尖碰到按钮的包围盒时按下，离开后松开
+   * 指尖停在按钮里不会重复按下，需要先离开
+   * @param {Object} pointer 输入指针（手部追踪）
+   * @returns {Object|null} 指尖附近（悬停距离内）的按钮
+   */
+  function updateFingertipPoke(pointer) {
+    const tip = pointer.hand && pointer.hand.joints ? pointer.hand.joints['index-finger-tip'] : null;
+    if (!tip || !tip.visible) {
+      releasePokedButton(pointer);
+      return null;
+    }
+
+    const position = tip.getWorldPosition(xrControl.pokeTip);
+    const radius = tip.jointRadius || xrControl.pokeRadius;
+    const distanceTo = (button) => xrControl.pokeBox.setFromObject(button.node).distanceToPoint(position);
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    buttons.getButtons().forEach(button => {
+      const distance = distanceTo(button);
+      if (distance < nearestDistance) {
+        nearest = button;
+        nearestDistance = distance;
+      }
+    });
+
+    if (pointer.pokedButton) {
+      // 留一点余量，避免指尖在按钮表面抖动时反复按下
+      if (distanceTo(pointer.pokedButton) > radius + xrControl.pokeReleaseMargin) {
+        releasePokedButton(pointer);
+      }
+    } else if (nearest && nearestDistance <= radius && !pointer.selecting) {
+      pointer.pokedButton = nearest;
+      console.log('指尖按下按钮:', nearest.node.name);
+      pressModelButton(nearest);
+    }
+
+    return nearest && nearestDistance <= xrControl.pokeHoverDistance ? nearest : null;
+  }
+
+  /**
+   * 松开指尖按下的按钮
+   * @param {Object} pointer 输入指针
+   */
+  function releasePokedButton(pointer) {
+    if (!pointer.pokedButton) return;
+    releaseModelButton(pointer.pokedButton);
+    pointer.pokedButton = null;
+  }
+
+  // ==================== 搓碟 ====================
+
+  /**
+   * 判断对象是否属于黑胶唱片
+   * @param {THREE.Object3D} object 射线命中的对象
+   * @returns {boolean}
+   */
+  function isVinylObject(object) {
+    for (let node = object; node; node = node.parent) {
+      if (node === modelComponents.vinyl) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 计算控制器射线在唱盘平面上指向的角度
+   * 唱片绕本地Z轴旋转，角度在唱片未旋转时的本地XY平面中计算
+   * @param {THREE.XRTargetRaySpace} controller 控制器
+   * @returns {number|null} 角度（弧度），射线与唱盘平行时为null
+   */
+  function getPlatterAngle(controller) {
+    const vinyl = modelComponents.vinyl;
+    vinyl.parent.updateWorldMatrix(true, false);
+
+    const center = vinyl.position.clone().applyMatrix4(vinyl.parent.matrixWorld);
+    const platterQuaternion = vinyl.parent.getWorldQuaternion(new THREE.Quaternion())
+      .multiply(turntableState.baseQuaternion);
+    const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(platterQuaternion);
+    xrControl.scratchPlane.setFromNormalAndCoplanarPoint(normal, center);
+
+    controller.updateMatrixWorld();
+    xrControl.raycaster.setFromXRController(controller);
+    const hit = xrControl.raycaster.ray.intersectPlane(xrControl.scratchPlane, xrControl.scratchHit);
+    if (!hit) return null;
+
+    const local = hit.sub(center).applyQuaternion(platterQuaternion.invert());
+    return Math.atan2(local.y, local.x);
+  }
+
+  /**
+   * 开始搓碟
+   * @param {THREE.XRTargetRaySpace} controller 控制器
+   * @returns {boolean} 是否成功进入搓碟模式
+   */
+  function startScratch(controller) {
+    if (!modelComponents.vinyl || !turntableState.baseQuaternion || turntableState.scratching) {
+      return false;
+    }
+
+    const angle = getPlatterAngle(controller);
+    if (angle === null) {
+      return false;
+    }
+
+    xrControl.scratchPrevAngle = angle;
+    turntableState.scratching = true;
+    return true;
+  }
+
+  /**
+   * 搓碟时由控制器驱动唱盘角度，唱盘角速度决定音乐的播放速率和方向
+   * @param {THREE.XRTargetRaySpace} controller 控制器
+   * @param {number} delta 帧间隔（秒）
+   */
+  function updateScratch(controller, delta) {
+    const angle = getPlatterAngle(controller);
+    if (angle === null || delta <= 0) return;
+
+    // 跨越 ±π 时取最短方向
+    let deltaAngle = angle - xrControl.scratchPrevAngle;
+    if (deltaAngle > Math.PI) {
+      deltaAngle -= Math.PI * 2;
+    } else if (deltaAngle < -Math.PI) {
+      deltaAngle += Math.PI * 2;
+    }
+    xrControl.scratchPrevAngle = angle;
+
+    modelComponents.vinyl.rotation.z += deltaAngle;
+
+    // 唱片正向旋转时 rotation.z 减小；平滑手部抖动并限制最大速率
+    const maxVelocity = rpmToRadians(turntableState.recordRpm) * SCRATCH_MAX_RATE;
+    const handVelocity = Math.max(-maxVelocity, Math.min(maxVelocity, -deltaAngle / delta));
+    turntableState.angularVelocity += (handVelocity - turntableState.angularVelocity) * (1 - Math.exp(-delta * 25));
+  }
+
+  // ==================== 唱臂 ====================
+
+  /**
+   * 设置唱臂：在唱臂节点外插入一个旋转组，用于叠加进度角度而不干扰唱针动画
+   * 唱臂绕自身原点、沿唱盘法线方向转动
+   */
+  function setupTonearm() {
+    const node = modelComponents.tonearm;
+    const vinyl = modelComponents.vinyl;
+    if (!node || !node.parent || !vinyl || !turntableState.baseQuaternion) {
+      console.warn('未找到唱臂或黑胶唱片，唱臂不跟踪播放进度');
+      return;
+    }
+
+    const parent = node.parent;
+    const pivot = new THREE.Group();
+    pivot.name = 'tonearmPivot';
+    parent.add(pivot);
+    pivot.add(node); // 旋转组初始为单位变换，唱臂位置保持不变
+
+    // 旋转轴：唱盘法线，转换到唱臂父节点坐标
+    tonearmState.axis.copy(getPlatterAxis(parent));
+
+    tonearmState.pivotPoint.copy(node.position);
+    tonearmState.pivot = pivot;
+    console.log('唱臂设置完成:', node.name);
+  }
+
+  /**
+   * 唱盘法线方向，转换到指定节点的局部坐标
+   * @param {THREE.Object3D} parent 节点
+   * @returns {THREE.Vector3} 单位向量
+   */
+  function getPlatterAxis(parent) {
+    const vinyl = modelComponents.vinyl;
+    parent.updateWorldMatrix(true, false);
+    vinyl.parent.updateWorldMatrix(true, false);
+    const platterQuaternion = vinyl.parent.getWorldQuaternion(new THREE.Quaternion())
+      .multiply(turntableState.baseQuaternion);
+    const parentQuaternion = parent.getWorldQuaternion(new THREE.Quaternion());
+    return new THREE.Vector3(0, 0, 1)
+      .applyQuaternion(platterQuaternion)
+      .applyQuaternion(parentQuaternion.invert())
+      .normalize();
+  }
+
+  /**
+   * 设置唱臂附加角度（绕唱臂原点旋转）
+   * @param {number} angle 角度（弧度）
+   */
+  function setTonearmAngle(angle) {
+    const { pivot, pivotPoint, axis } = tonearmState;
+    tonearmState.angle = angle;
+    pivot.quaternion.setFromAxisAngle(axis, angle);
+    pivot.position.copy(pivotPoint).applyQuaternion(pivot.quaternion).negate().add(pivotPoint);
+  }
+
+  /**
+   * 唱臂向内圈转动的方向（±1），根据唱臂与唱片中心的相对位置计算一次
+   * @returns {number}
+   */
+  function getTonearmDirection() {
+    if (tonearmState.direction) {
+      return tonearmState.direction;
+    }
+
+    const { pivot, pivotPoint, axis } = tonearmState;
+    const parent = pivot.parent;
+    parent.updateWorldMatrix(true, true);
+    const platterCenter = parent.worldToLocal(modelComponents.vinyl.getWorldPosition(new THREE.Vector3()));
+    const armCenter = parent.worldToLocal(
+      new THREE.Box3().setFromObject(modelComponents.tonearm).getCenter(new THREE.Vector3())
+    );
+    const arm = armCenter.sub(pivotPoint);
+
+    // 转动后唱臂更靠近唱片中心的方向即为向内
+    const distanceAfter = (angle) => arm.clone()
+      .applyAxisAngle(axis, angle)
+      .add(pivotPoint)
+      .sub(platterCenter)
+      .projectOnPlane(axis)
+      .length();
+
+    tonearmState.direction = distanceAfter(0.05) < distanceAfter(-0.05) ? 1 : -1;
+    return tonearmState.direction;
+  }
+
+  /**
+   * 每帧更新唱臂角度：唱针在唱片上时按 currentTime / duration 从外圈移向内圈，抬起后回到起始角度
+   * @param {number} delta 帧间隔（秒）
+   */
+  function updateTonearm(delta) {
+    if (!tonearmState.pivot || tonearmState.grabbed) return;
+
+    let target = 0;
+    if (gameState.stylusOnVinyl && audioState.engine) {
+      const duration = audioState.engine.getDuration();
+      if (duration > 0) {
+        const progress = Math.min(1, audioState.engine.getCurrentTime() / duration);
+        target = getTonearmDirection() * tonearmState.sweepAngle * progress;
+      }
+    }
+
+    if (Math.abs(target - tonearmState.angle) > 1e-5) {
+      setTonearmAngle(tonearmState.angle + (target - tonearmState.angle) * (1 - Math.exp(-delta * 6)));
+    }
+  }
+
+  /**
+   * 判断对象是否属于唱臂
+   * @param {THREE.Object3D} object 射线命中的对象
+   * @returns {boolean}
+   */
+  function isTonearmObject(object) {
+    for (let node = object; node; node = node.parent) {
+      if (node === modelComponents.tonearm) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 计算控制器射线在唱臂转动平面上绕唱臂原点的角度
+   * @param {THREE.XRTargetRaySpace} controller 控制器
+   * @returns {number|null} 角度（弧度），射线与平面平行时为null
+   */
+  function getTonearmHitAngle(controller) {
+    const parent = tonearmState.pivot.parent;
+    parent.updateWorldMatrix(true, false);
+
+    const origin = tonearmState.pivotPoint.clone().applyMatrix4(parent.matrixWorld);
+    const axis = tonearmState.axis.clone().transformDirection(parent.matrixWorld);
+    tonearmState.plane.setFromNormalAndCoplanarPoint(axis, origin);
+
+    controller.updateMatrixWorld();
+    xrControl.raycaster.setFromXRController(controller);
+    const hit = xrControl.raycaster.ray.intersectPlane(tonearmState.plane, tonearmState.hit);
+    if (!hit) return null;
+
+    // 在垂直于旋转轴的平面内建立坐标基，角度沿右手方向增加
+    const u = new THREE.Vector3(Math.abs(axis.x) < 0.9 ? 1 : 0, Math.abs(axis.x) < 0.9 ? 0 : 1, 0)
+      .cross(axis)
+      .normalize();
+    const v = new THREE.Vector3().crossVectors(axis, u);
+    const offset = hit.sub(origin);
+    return Math.atan2(offset.dot(v), offset.dot(u));
+  }
+
+  /**
+   * 抓起唱臂：暂停音乐，唱针离开唱片
+   * 只有播放中（唱针在唱片上）才能抓起
+   * @param {THREE.XRTargetRaySpace} controller 控制器
+   * @returns {boolean} 是否成功抓起
+   */
+  function startNeedleDrop(controller) {
+    if (!tonearmState.pivot || tonearmState.grabbed || !playback.can('pause') || !audioState.engine) {
+      return false;
+    }
+
+    const hitAngle = getTonearmHitAngle(controller);
+    if (hitAngle === null) {
+      return false;
+    }
+
+    getTonearmDirection();
+    tonearmState.grabbed = true;
+    tonearmState.grabHitAngle = hitAngle;
+    tonearmState.grabStartAngle = tonearmState.angle;
+
+    playback.send('pause');
+    return true;
+  }
+
+  /**
+   * 拖动唱臂：角度跟随控制器，限制在外圈与内圈之间
+   * @param {THREE.XRTargetRaySpace} controller 控制器
+   */
+  function updateNeedleDrop(controller) {
+    const hitAngle = getTonearmHitAngle(controller);
+    if (hitAngle === null) return;
+
+    let deltaAngle = hitAngle - tonearmState.grabHitAngle;
+    if (deltaAngle > Math.PI) {
+      deltaAngle -= Math.PI * 2;
+    } else if (deltaAngle < -Math.PI) {
+      deltaAngle += Math.PI * 2;
+    }
+
+    const innerAngle = tonearmState.direction * tonearmState.sweepAngle;
+    const angle = tonearmState.grabStartAngle + deltaAngle;
+    setTonearmAngle(Math.max(Math.min(0, innerAngle), Math.min(Math.max(0, innerAngle), angle)));
+  }
+
+  /**
+   * 放下唱臂：按落针半径在当前音轨中定位并继续播放
+   * 抓着唱臂时切换了音轨，引擎暂停的是上一首，按新音轨的时长定位
+   */
+  function endNeedleDrop() {
+    tonearmState.grabbed = false;
+    if (!playback.is(PLAYBACK_STATES.PAUSED)) return;
+
+    const engine = audioState.engine;
+    const track = core.queue.getCurrent();
+    const samePaused = engine.isPaused() && engine.getCurrentTrack() === track;
+    const duration = samePaused ? engine.getDuration() : (track && track.duration) || 0;
+    const progress = tonearmState.angle / (tonearmState.direction * tonearmState.sweepAngle);
+    const position = Math.max(0, Math.min(1, progress)) * duration;
+
+    if (samePaused) {
+      engine.seek(position);
+    } else {
+      // 引擎没有暂停当前音轨时，由 playMusic 从落针位置开始
+      sessionState.resumeTrack = track;
+      sessionState.resumePosition = position;
+    }
+    playback.send('resume');
+
+    console.log('落针定位:', position.toFixed(1) + 's');
+    updateStatus(t('needleDrop', { time: formatTime(position) }));
+  }
+
+  // ==================== 音量旋钮 ====================
+
+  /**
+   * 设置音量旋钮：模型中有名称包含 volume / knob 的节点时直接使用，
+   * 否则在播放按钮旁生成一个；旋钮绕唱盘法线转动，周围的刻度环显示音量
+   */
+  function setupVolumeKnob() {
+    const knobNode = modelComponents.volumeKnob;
+    const anchor = knobNode || modelComponents.playButton;
+    if (!anchor || !anchor.parent || !modelComponents.vinyl || !turntableState.baseQuaternion) {
+      console.warn('未找到播放按钮或黑胶唱片，无法放置音量旋钮');
+      return;
+    }
+
+    const parent = anchor.parent;
+    const axis = getPlatterAxis(parent);
+    parent.updateWorldMatrix(true, true);
+    const box = new THREE.Box3().setFromObject(anchor);
+    const radius = box.getSize(new THREE.Vector3()).length() / 2;
+    const parentScale = parent.getWorldScale(new THREE.Vector3()).x;
+
+    // 底座局部 Y 轴沿唱盘法线，单位长度为旋钮半径
+    const root = new THREE.Group();
+    root.name = 'volumeKnob';
+    root.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis);
+    root.scale.setScalar(radius / parentScale);
+    parent.add(root);
+
+    if (knobNode) {
+      root.position.copy(knobNode.position);
+      volumeState.dial = knobNode;
+      volumeState.axis.copy(axis);
+    } else {
+      // 放在播放按钮侧面：唱盘平面内垂直于"唱片中心 → 按钮"的方向
+      const axisWorld = axis.clone().transformDirection(parent.matrixWorld);
+      const buttonCenter = box.getCenter(new THREE.Vector3());
+      const outward = buttonCenter.clone()
+        .sub(modelComponents.vinyl.getWorldPosition(new THREE.Vector3()))
+        .projectOnPlane(axisWorld)
+        .normalize();
+      const side = new THREE.Vector3().crossVectors(axisWorld, outward).normalize();
+      root.position.copy(parent.worldToLocal(buttonCenter.addScaledVector(side, radius * 3)));
+
+      volumeState.dial = createKnobMesh();
+      volumeState.axis.set(0, 1, 0);
+      root.add(volumeState.dial);
+    }
+
+    volumeState.root = root;
+    volumeState.baseQuaternion = volumeState.dial.quaternion.clone();
+    createVolumeIndicator(root);
+    updateVolumeKnobVisual();
+    console.log('音量旋钮设置完成:', knobNode ? knobNode.name : '生成的旋钮');
+  }
+
+  /**
+   * 生成旋钮网格：圆柱旋钮加一条指示刻线，半径为1
+   * @returns {THREE.Group}
+   */
+  function createKnobMesh() {
+    const dial = new THREE.Group();
+    dial.name = 'volumeDial';
+
+    const body = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.9, 1, 0.8, 32),
+      new THREE.MeshStandardMaterial({ color: 0x2a2a2a, metalness: 0.6, roughness: 0.35 })
+    );
+    body.position.y = 0.4;
+    dial.add(body);
+
+    // 刻线指向局部 +Z，转动角度为0时对应一半音量
+    const notch = new THREE.Mesh(
+      new THREE.BoxGeometry(0.14, 0.06, 0.6),
+      new THREE.MeshBasicMaterial({ color: 0xffffff })
+    );
+    notch.position.set(0, 0.82, 0.5);
+    dial.add(notch);
+
+    return dial;
+  }
+
+  /**
+   * 在旋钮周围生成刻度环
+   * @param {THREE.Group} root 旋钮底座
+   */
+  function createVolumeIndicator(root) {
+    const count = 11;
+    const geometry = new THREE.BoxGeometry(0.12, 0.05, 0.3);
+    volumeState.segments = [];
+
+    for (let i = 0; i < count; i++) {
+      const level = i / (count - 1);
+      const angle = getKnobAngle(level);
+      const segment = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: 0x333333 }));
+      segment.position.set(Math.sin(angle) * 1.5, 0.03, Math.cos(angle) * 1.5);
+      segment.rotation.y = angle;
+      segment.userData.level = level;
+      root.add(segment);
+      volumeState.segments.push(segment);
+    }
+  }
 
-    // 渲染循环
-    renderer.setAnimationLoop(() => {
-      // 更新模型动画
-      if (animationControl.mixer) {
-        const delta = animationControl.clock.getDelta();
-        animationControl.mixer.update(delta);
-      }
+  /**
+   * 音量对应的旋钮角度：0 在 +135°，最大音量在 -135°（俯视顺时针增大）
+   * @param {number} volume 音量 0~1
+   * @returns {number} 绕旋钮轴的角度（弧度）
+   */
+  function getKnobAngle(volume) {
+    return volumeState.sweepAngle / 2 - volume * volumeState.sweepAngle;
+  }
 
-      // 旋转黑胶唱片
-      rotateVinyl();
+  /**
+   * 旋钮角度和刻度环跟随当前音量，静音时刻度环变红
+   */
+  function updateVolumeKnobVisual() {
+    if (!volumeState.dial) return;
 
-      // 处理控制器交互
-      handleControllerInteraction(controller);
+    volumeState.dial.quaternion
+      .setFromAxisAngle(volumeState.axis, getKnobAngle(audioState.volume))
+      .multiply(volumeState.baseQuaternion);
 
-      renderer.render(scene, camera);
+    const litColor = audioState.muted ? 0x803030 : 0x4ecdc4;
+    volumeState.segments.forEach(segment => {
+      const lit = audioState.volume > 0 && segment.userData.level <= audioState.volume + 1e-6;
+      segment.material.color.setHex(lit ? litColor : 0x333333);
     });
   }
 
-  // ==================== XR交互处理 ====================
+  /**
+   * 判断对象是否属于音量旋钮（包括刻度环）
+   * @param {THREE.Object3D} object 射线命中的对象
+   * @returns {boolean}
+   */
+  function isVolumeKnobObject(object) {
+    for (let node = object; node; node = node.parent) {
+      if (node === volumeState.root || node === volumeState.dial) return true;
+    }
+    return false;
+  }
 
   /**
-   * 选择开始事件处理
+   * 计算控制器射线在旋钮平面上绕旋钮中心的角度（与 getKnobAngle 同一约定）
    * @param {THREE.XRTargetRaySpace} controller 控制器
-   * @returns {Function} 事件处理函数
+   * @returns {number|null} 角度（弧度），射线与平面平行时为null
    */
-  function onSelectStart(controller) {
-    return (evt) => {
-      console.log('XR选择开始事件触发');
-      const intersects = getIntersections(controller);
-      console.log('射线检测结果:', intersects.length, '个对象');
-
-      if (intersects.length > 0) {
-        const intersectedObject = intersects[0].object;
-        console.log('选中对象:', intersectedObject.name, '用户数据:', intersectedObject.userData);
-
-        // 优先处理按钮交互
-        if (intersectedObject.userData.isButton) {
-          // 检查是否正在播放动画，防止频繁点击
-          if (xrControl.isAnimating) {
-            console.log('动画正在播放中，忽略点击');
-            return;
-          }
-
-          // 播放按钮点击音效
-          if (audioState.playButtonClick && typeof audioState.playButtonClick === 'function') {
-            audioState.playButtonClick();
-          } else {
-            console.warn('按钮点击音效未初始化');
-          }
+  function getKnobHitAngle(controller) {
+    const root = volumeState.root;
+    root.updateWorldMatrix(true, false);
+    const origin = root.getWorldPosition(new THREE.Vector3());
+    const normal = new THREE.Vector3(0, 1, 0).transformDirection(root.matrixWorld);
+    volumeState.plane.setFromNormalAndCoplanarPoint(normal, origin);
 
-          // 判断按钮类型并处理
-          if (intersectedObject.userData.buttonType === 'play' || intersectedObject.name.includes('pause_play')) {
-            // 设置动画状态为正在播放
-            xrControl.isAnimating = true;
-            console.log('开始播放按钮动画，禁用点击');
-
-            // 播放按钮：根据当前播放状态决定动画
-            let buttonAnimationName;
-            if (gameState.playing) {
-              // 当前正在播放，点击暂停
-              buttonAnimationName = 'button_down';
-              stopAnimation(buttonAnimationName);
-              xrControl.buttonState = 'up';
-              console.log('播放按钮抬起（暂停）');
-            } else {
-              // 当前暂停，点击播放
-              buttonAnimationName = 'button_down';
-              playAnimation(buttonAnimationName);
-              xrControl.buttonState = 'down';
-              console.log('播放按钮按下（播放）');
-            }
-
-            // 获取按钮动画的实际持续时间
-            const buttonAnimDuration = animationControl.animations[buttonAnimationName]?.duration || 0.8;
-            const buttonDelayMs = Math.max(buttonAnimDuration * 1000, 500); // 至少500ms
-
-            console.log(`按钮动画 ${buttonAnimationName} 持续时间: ${buttonAnimDuration}s, 延迟: ${buttonDelayMs}ms`);
-
-            // 等待按钮动画播放完成后再切换播放状态
-            setTimeout(() => {
-              togglePlayback(() => {
-                xrControl.isAnimating = false;
-                console.log('按钮防抖延迟结束，恢复点击功能');
-              });
-            }, buttonDelayMs);
-
-            // // 计算总的防抖时间（按钮动画 + 唱针动画时间）
-            // const stylusAnimDuration = gameState.playing ?
-            //   (animationControl.animations['stylus_Off']?.duration || 1.0) :
-            //   (animationControl.animations['stylus_On']?.duration || 1.0) + (animationControl.animations['stylus_playing']?.duration || 1.0);
-            // const totalDelayMs = buttonDelayMs + (stylusAnimDuration) + 200; // 额外200ms缓冲
+    controller.updateMatrixWorld();
+    xrControl.raycaster.setFromXRController(controller);
+    const hit = xrControl.raycaster.ray.intersectPlane(volumeState.plane, volumeState.hit);
+    if (!hit) return null;
 
-          }
-          //  else if (intersectedObject.userData.buttonType === 'prev') {
-          //    // 上一首按钮
-          //    playAnimation('button_down');
-          //    console.log('上一首按钮被点击');
-          //    playPreviousTrack();
-          //  } else if (intersectedObject.userData.buttonType === 'next') {
-          //    // 下一首按钮
-          //    playAnimation('button_down');
-          //    console.log('下一首按钮被点击');
-          //    playNextTrack();
-          //  }
-
-          xrControl.buttonPressed = true;
-          updateButtonStateVisual('pressed');
-        } else if (intersectedObject.userData.isRotatable) {
-          // 可旋转区域：启动模型旋转
-          const position = getControllerPosition(controller);
-          // 查找最顶层的模型容器进行旋转
-          let targetModel = intersectedObject;
-          while (targetModel.parent && targetModel.parent !== group) {
-            targetModel = targetModel.parent;
-          }
-          xrControl.selectedModel = targetModel;
-          xrControl.isDragging = true;
-          xrControl.controllerPrev.copy(position);
-          console.log('开始拖拽旋转模型:', xrControl.selectedModel.name);
-        }
-      }
-    };
+    const local = root.worldToLocal(hit.clone());
+    return Math.atan2(local.x, local.z);
   }
 
   /**
-   * 选择结束事件处理
+   * 控制器抓住后绕自身射线扭转的角度（顺时针为正）
+   * @param {THREE.XRTargetRaySpace} controller 控制器
+   * @returns {number} 角度（弧度）
    */
-  function onSelectEnd() {
-    if (xrControl.buttonPressed) {
-      xrControl.buttonPressed = false;
-      console.log('按钮被释放');
-      updateButtonStateVisual(); // 自动根据当前状态更新视觉
-    }
+  function getControllerTwist(controller) {
+    if (controller === mouseControl.pointer) return 0; // 桌面预览的虚拟指针没有扭转
 
-    // 结束拖拽旋转
-    if (xrControl.isDragging) {
-      xrControl.isDragging = false;
-      xrControl.selectedModel = null;
-      console.log('结束拖拽旋转');
-    }
+    const current = controller.getWorldQuaternion(new THREE.Quaternion());
+    const relative = volumeState.grabQuaternion.clone().invert().multiply(current);
+    // 控制器朝 -Z 指向，绕 -Z 的正向转动即使用者看到的顺时针
+    return -2 * Math.atan2(relative.z, relative.w);
+  }
+
+  /**
+   * 抓住音量旋钮
+   * @param {THREE.XRTargetRaySpace} controller 控制器
+   * @returns {boolean} 是否成功抓住
+   */
+  function startVolumeTwist(controller) {
+    if (!volumeState.root || volumeState.grabbed) return false;
+
+    const hitAngle = getKnobHitAngle(controller);
+    if (hitAngle === null) return false;
+
+    volumeState.grabbed = true;
+    volumeState.twisted = false;
+    volumeState.grabVolume = audioState.volume;
+    volumeState.lastHitAngle = hitAngle;
+    volumeState.dragAngle = 0;
+    controller.getWorldQuaternion(volumeState.grabQuaternion);
+    return true;
   }
 
   /**
-   * 处理控制器交互
+   * 转动音量旋钮：射线绕旋钮拖动和手腕扭转都会转动旋钮，俯视顺时针为增大
    * @param {THREE.XRTargetRaySpace} controller 控制器
    */
-  function handleControllerInteraction(controller) {
-    // 处理拖拽旋转
-    if (xrControl.isDragging && xrControl.selectedModel) {
-      const currentPosition = getControllerPosition(controller);
-      const delta = currentPosition.clone().sub(xrControl.controllerPrev);
+  function updateVolumeTwist(controller) {
+    const hitAngle = getKnobHitAngle(controller);
+    if (hitAngle !== null) {
+      let deltaAngle = hitAngle - volumeState.lastHitAngle;
+      if (deltaAngle > Math.PI) {
+        deltaAngle -= Math.PI * 2;
+      } else if (deltaAngle < -Math.PI) {
+        deltaAngle += Math.PI * 2;
+      }
+      volumeState.dragAngle += deltaAngle;
+      volumeState.lastHitAngle = hitAngle;
+    }
 
-      delta.multiplyScalar(xrControl.rotationSpeed);
-      delta.set(delta.x, -delta.y, 0); // 只使用x和y分量
+    const turn = getControllerTwist(controller) - volumeState.dragAngle;
+    const volume = Math.max(0, Math.min(1, volumeState.grabVolume + turn / volumeState.sweepAngle));
+    if (!volumeState.twisted && Math.abs(volume - volumeState.grabVolume) < volumeState.clickThreshold) {
+      return;
+    }
 
-      applyCameraRelativeRotation(xrControl.selectedModel, delta);
-      xrControl.controllerPrev.copy(currentPosition);
+    volumeState.twisted = true;
+    if (Math.abs(volume - audioState.volume) > 1e-3) {
+      setMusicVolume(volume, false);
     }
+  }
 
-    // 检测悬停效果（独立于拖拽状态）
-    const intersects = getIntersections(controller);
-    let isHoveringButton = false;
+  /**
+   * 松开音量旋钮：转动过则保存音量，否则切换静音
+   */
+  function endVolumeTwist() {
+    volumeState.grabbed = false;
+    if (volumeState.twisted) {
+      saveListeningSession();
+    } else {
+      if (audioState.playButtonClick && typeof audioState.playButtonClick === 'function') {
+        audioState.playButtonClick();
+      }
+      setMusicMuted(!audioState.muted);
+    }
+  }
 
-    if (intersects.length > 0) {
-      const intersectedObject = intersects[0].object;
-      // console.log('检测到交互对象:', intersectedObject.name, '是否为按钮:', intersectedObject.userData.isButton);
-
-      if (intersectedObject.userData.isButton) {
-        isHoveringButton = true;
-        if (!xrControl.isHovering && intersectedObject.name === 'pause_play') {
-          // 开始悬停
-          xrControl.isHovering = true;
-          console.log('开始悬停在按钮上', intersectedObject.name);
-          updateButtonStateVisual('hover');
-        } else {
-          // 如果当前没有悬停在按钮上，但之前有悬停状态，则清除悬停
-          if (!isHoveringButton && xrControl.isHovering) {
-            // 结束悬停
-            xrControl.isHovering = false;
-            console.log('结束悬停在按钮上');
-            updateButtonStateVisual(); // 自动根据当前状态更新视觉
-          }
-        }
+  /**
+   * 摇杆上下调节音量（XR会话中，任一手柄）
+   * @param {number} delta 帧间隔（秒）
+   */
+  function updateVolumeThumbstick(delta) {
+    if (!xrControl.session || volumeState.grabbed) return;
+
+    let push = 0;
+    for (const source of xrControl.session.inputSources) {
+      const axes = source.gamepad ? source.gamepad.axes : null;
+      if (!axes || axes.length < 2) continue;
+      // xr-standard 布局的摇杆在 axes[2..3]，只有一组轴时在 axes[0..1]；向前推为负
+      const y = axes.length >= 4 ? axes[3] : axes[1];
+      if (Math.abs(y) > volumeState.thumbstickDeadzone) {
+        push -= y;
       }
     }
 
-    // 如果当前没有悬停在按钮上，但之前有悬停状态，则清除悬停
-    if (!isHoveringButton && xrControl.isHovering) {
-      // 结束悬停
-      xrControl.isHovering = false;
-      console.log('结束悬停在按钮上');
-      updateButtonStateVisual(); // 自动根据当前状态更新视觉
+    if (push !== 0) {
+      volumeState.thumbstickActive = true;
+      setMusicVolume(audioState.volume + push * volumeState.thumbstickRate * delta, false);
+    } else if (volumeState.thumbstickActive) {
+      volumeState.thumbstickActive = false;
+      saveListeningSession();
     }
   }
 
@@ -1021,16 +3310,18 @@ function init() {
 
   /**
    * 清理资源
-   * @param {THREE.WebGLRenderer} renderer 渲染器
+   * @param {THREE.WebGLRenderer|null} renderer 渲染器，没有运行中的渲染器时为null
    * @param {THREE.Scene} scene 场景
    */
   function cleanup(renderer, scene) {
     console.log('开始清理Lofi FM资源');
 
-    renderer.setAnimationLoop(null);
+    if (renderer) {
+      renderer.setAnimationLoop(null);
+    }
 
-    // 停止音乐
-    pauseMusic();
+    // 停止音乐：经由播放状态机回到 idle（渲染循环已停，不等唱针抬起动画）
+    core.end();
 
     scene.traverse(object => {
       if (object.geometry) object.geometry.dispose();
@@ -1048,12 +3339,12 @@ function init() {
 
   // ==================== 主流程初始化 ====================
 
-  // 解析参数
-  // const params = parseUrlParams();
-
+  // 解析配置：默认值 < 创建选项 < URL参数，无效值警告后使用默认值
+  const { config } = resolveConfig(options);
+  const t = createTranslator(config.language);
 
   // 本地开发环境
-  let currentPath = window.location.href;
+  let currentPath = config.baseUrl ? new URL(config.baseUrl, window.location.href).href : window.location.href;
   if (currentPath.includes('jsar-lofi-fm.html')) {
     currentPath = currentPath.substring(0, currentPath.lastIndexOf('/') + 1);
   } else if (currentPath.endsWith('index.html')) {
@@ -1063,10 +3354,11 @@ function init() {
     currentPath += '/';
   }
 
-  const modelUrl = currentPath + 'model/record_player_ani.glb';
 
 // 常量定义
 const gl = navigator.gl;
+const TURNTABLE_SPEEDS = [100 / 3, 45]; // 可选转速 33⅓ / 45 RPM
+const SCRATCH_MAX_RATE = 4; // 搓碟时的最大播放速率（相对原速）
 
 // 初始化场景
 const { scene, camera } = initScene();
@@ -1075,28 +3367,126 @@ scene.add(group);
 
 // 游戏状态
 const gameState = {
-  playing: false,
+  playing: false, // 唱针在唱片上（playing / paused），由播放状态机维护
   stylusOnVinyl: false
 };
 
+// 对外接口状态
+const apiState = {
+  disposed: false,
+  ready: null,            // startApp 完成（音频初始化完成）的 Promise，启动失败或启动前释放时被拒绝
+  cancelStart: null,      // 等待DOM加载期间释放播放器时取消启动并拒绝 ready
+  timeupdateInterval: 250, // 播放中派发 timeupdate 的间隔（毫秒）
+  timeupdateTimer: null
+};
+
+// 模型绑定配置：哪些节点是唱盘、唱臂、旋钮和按钮，哪些动画是唱针落下 / 抬起 / 播放中
+const profileState = {
+  profile: normalizeProfile(DEFAULT_PROFILE, currentPath),
+  missing: [] // 模型加载时缺失的节点和动画
+};
+
+// 离线缓存（Service Worker，见 sw.js）
+const offlineState = {
+  worker: null // registerOfflineSupport 的返回值，未注册时为null
+};
+
+// AR放置（hit-test 准星 + 锚点，见 ar-placement.js）
+const placementState = {
+  placement: null,   // createARPlacement 的返回值，不支持或未启用时为null
+  reticle: null,     // 准星
+  fixedPosition: new THREE.Vector3(0, 0.01, 0), // 不使用AR放置时模型的位置
+  fixedScale: 1,     // 不使用AR放置时模型的缩放（最长边为 1/3）
+  realScale: 1,      // AR放置后模型的缩放（绑定配置的真实尺寸）
+  surfaceOffset: 0,  // 模型中心到底面的距离（米），放置后模型容器在根节点中抬高此距离
+  matrix: new THREE.Matrix4()
+};
+
 // 模型组件
 const modelComponents = {
-  vinyl: null,
-  playButton: null,
-  stylus: null,
-  originalMaterial: null
+  vinyl: null, // 唱盘（绑定配置的 platter）
+  playButton: null, // 第一个播放/暂停按钮（生成音量旋钮时的参照）
+  tonearm: null, // 唱臂（绑定配置的 tonearm）
+  volumeKnob: null, // 模型中的音量旋钮（绑定配置的 volumeKnob），没有时生成
+  container: null // 模型容器（拖拽旋转的对象）
 };
 
 // 音频状态
 const audioState = {
-  musicAudio: null, // 单例音频实例
+  engine: null, // Web Audio 音乐引擎
+  effects: null, // 音效链（均衡器、温暖、Wow & Flutter、黑胶底噪）
+  effectSettings: {
+    eqPreset: 'lofi', // flat / lofi / warm / bright / bass / vocal
+    warmth: 0.4,      // 0~1
+    wowFlutter: 0.3,  // 0~1
+    crackle: 0.5      // 0~1，仅在唱针落下时可听见
+  },
   playMusic: null,
   playButtonClick: null,
-  currentTrackIndex: 0,
-  trackList: [
-    { name: 'Lofi Track 1', file: './audio/lofi.mp3' },
-    // 可以添加更多音轨
-  ]
+  volume: config.volume !== null ? config.volume : 1.0, // 主音量 0~1，未配置时由收听会话恢复
+  muted: false,
+  crossfadeDuration: 2.0, // 切换音轨时的交叉淡入淡出时长（秒）
+  gapless: false, // 无缝衔接（专辑模式），可由播放列表清单开启
+  // 播放列表清单路径（JSON / M3U / PLS），为空时使用默认音轨
+  playlistUrl: config.playlistUrl && new URL(config.playlistUrl, currentPath).href,
+  playlistLoaded: false
+};
+
+// 收听会话（localStorage 持久化）
+const sessionState = {
+  enabled: true,
+  promptOnResume: false, // 恢复前询问"从上次的位置继续吗？"
+  saveInterval: 5000,    // 播放中定期保存的间隔（毫秒）
+  saveTimer: null,
+  resumeTrack: null,     // 待恢复的音轨，首次播放时从 resumePosition 开始
+  resumePosition: 0,
+  rotation: null         // 待恢复的模型朝向四元数
+};
+
+// 睡眠定时和定时播放（计时见 sleep-timer.js，定时保存在 localStorage）
+const scheduleState = {
+  sleepFadeOut: 30, // 睡眠定时到时前的淡出时长（秒）
+  wakeFadeIn: 20,   // 定时播放唱针落下后的淡入时长（秒）
+  restoreFade: 1,   // 淡出中取消时恢复音量的时长（秒）
+  fadedOut: false,  // 音乐已为睡眠淡出，停止后恢复电平
+  fadingIn: false   // 定时播放从静音开始，进入 playing 后淡入
+};
+
+// 专注计时（计时见 focus-timer.js）和唱片机旁的时钟面板
+const focusState = {
+  breakMusic: config.focusBreakMusic, // 休息时的音乐: pause 抬起唱针 / dip 降低音量
+  dipLevel: 0.25,          // dip 模式休息时的电平
+  dipFade: 2,              // 降低和恢复音量的过渡时长（秒）
+  dipped: false,
+  resumeAfterBreak: false, // 休息时抬起了唱针，专注开始时重新落下
+  panelSize: 0.32,         // 面板宽度（相对模型最长边）
+  panel: null,
+  canvas: null,
+  texture: null,
+  lastText: ''             // 上次绘制的内容，变化时才重绘
+};
+
+// 音轨标签和唱片中心的封面标签（解析见 audio-metadata.js）
+const metadataState = {
+  labelSize: 0.34,        // 标签直径（相对唱片直径）
+  labelResolution: 512,   // 封面纹理尺寸（像素）
+  covers: new Map(),      // 音轨文件地址 -> Promise<THREE.CanvasTexture|null>
+  label: null,
+  labelFile: null         // 标签对应的音轨文件
+};
+
+// 正在播放面板的位置和大小
+const nowPlayingState = {
+  panelSize: 0.6, // 面板宽度（相对模型最长边）
+  gap: 0.05       // 面板与唱片机顶部的距离（相对模型最长边）
+};
+
+// 专注计时面板上的阶段名称
+const FOCUS_LABELS = {
+  [FOCUS_PHASES.IDLE]: 'focusIdle',
+  [FOCUS_PHASES.WORK]: 'focusWork',
+  [FOCUS_PHASES.SHORT_BREAK]: 'focusShortBreak',
+  [FOCUS_PHASES.LONG_BREAK]: 'focusLongBreak'
 };
 
 // 动画控制器
@@ -1106,42 +3496,376 @@ const animationControl = {
   clock: new THREE.Clock()
 };
 
+// 唱盘
+const turntableState = {
+  rpm: 100 / 3,        // 选择的转速（33⅓ 或 45）
+  recordRpm: 100 / 3,  // 唱片的录制转速，以该转速旋转时原速播放
+  motorOn: false,
+  angularVelocity: 0,  // 当前角速度（rad/s）
+  spinUpTime: 0.8,     // 从静止加速到额定转速的时间（秒）
+  spinDownTime: 2.0,   // 从额定转速减速到静止的时间（秒）
+  pitchFollowsPlatter: true, // 音高跟随唱盘实际转速（启停时有变调效果）
+  scratching: false,   // 是否正在搓碟
+  baseQuaternion: null // 唱片未旋转时的姿态
+};
+
+// 唱臂
+const tonearmState = {
+  pivot: null,                         // 插入在唱臂外层的旋转组
+  pivotPoint: new THREE.Vector3(),     // 旋转中心（唱臂父节点坐标）
+  axis: new THREE.Vector3(0, 1, 0),    // 旋转轴（唱臂父节点坐标），与唱盘法线一致
+  direction: 0,                        // 向内圈转动的方向 ±1，首次使用时计算
+  sweepAngle: THREE.MathUtils.degToRad(22), // 从外圈到内圈的转动角度
+  angle: 0,                            // 当前附加角度
+  grabbed: false,
+  grabHitAngle: 0,
+  grabStartAngle: 0,
+  plane: new THREE.Plane(),
+  hit: new THREE.Vector3()
+};
+
+// 音量旋钮
+const volumeState = {
+  root: null,           // 旋钮底座（朝向与唱盘一致），刻度环挂在其下
+  dial: null,           // 转动部分：模型中的旋钮节点或生成的旋钮
+  axis: new THREE.Vector3(0, 1, 0), // 转动轴（转动部分父节点坐标）
+  baseQuaternion: null, // 转动部分未转动时的姿态
+  segments: [],         // 刻度环，点亮的格数表示音量
+  sweepAngle: THREE.MathUtils.degToRad(270), // 从0到最大音量的转动角度
+  grabbed: false,
+  grabVolume: 0,        // 抓住时的音量
+  grabQuaternion: new THREE.Quaternion(), // 抓住时控制器的朝向，用于计算手腕扭转
+  lastHitAngle: 0,
+  dragAngle: 0,         // 抓住后射线绕旋钮转过的角度
+  twisted: false,       // 抓住后是否转动过，未转动松开视为点击（切换静音）
+  clickThreshold: 0.02, // 音量变化小于该值视为点击
+  thumbstickRate: 0.5,  // 摇杆推满时每秒的音量变化
+  thumbstickDeadzone: 0.2,
+  thumbstickActive: false,
+  plane: new THREE.Plane(),
+  hit: new THREE.Vector3()
+};
+
+// 音频可视化
+const visualState = {
+  analyser: null, // 音频分析器，不可用时为null（静态视觉）
+  pointLight: null,
+  baseLightIntensity: 0,
+  ring: null, // 频谱光环
+  ringRadius: 0,
+  bandCount: 32,
+  bandLevels: new Float32Array(32),
+  dummy: new THREE.Object3D(),
+  color: new THREE.Color()
+};
+
 // XR控制器
 const xrControl = {
   raycaster: new THREE.Raycaster(),
-  buttonPressed: false,
-  isHovering: false,
-  showRayLine: true,  // 射线显示开关
+  // 输入指针：XR中每只手柄 / 手一个，桌面预览中为鼠标，各自记录悬停、按下和拖拽（见 createInputPointer）
+  pointers: [],
+  controllerCount: 2, // 注册的控制器数量（左右手）
+  showRayLine: config.showRayLine,  // 射线显示开关
   buttonState: 'up',  // 按钮状态：'up' 或 'down'
-  autoStartXR: true,  // 自动启动XR环境开关
-  isAnimating: false, // 动画播放状态，用于防抖
-  // 旋转控制相关
-  selectedModel: null,
-  isDragging: false,
-  controllerPrev: new THREE.Vector3(),
-  rotationSpeed: 3000.0
+  autoStartXR: config.autoStartXR, // 自动启动XR环境开关
+  session: null,      // 当前XR会话
+  // 桌面预览拖拽旋转的速度（XR中使用抓取操作）
+  rotationSpeed: config.rotationSpeed,
+  // 手部追踪：食指指尖直接按按钮（距离单位为米）
+  pokeRadius: 0.008,        // 运行时没有给出关节半径时使用的指尖半径
+  pokeHoverDistance: 0.03,  // 指尖距按钮多近时显示悬停
+  pokeReleaseMargin: 0.005, // 指尖离开按钮超过此距离才松开
+  pokeBox: new THREE.Box3(),
+  pokeTip: new THREE.Vector3(),
+  // 搓碟相关
+  scratchPrevAngle: 0,
+  scratchPlane: new THREE.Plane(),
+  scratchHit: new THREE.Vector3()
 };
 
-// 鼠标控制器（用于非XR环境测试）
+// 鼠标控制器（桌面预览，用于非XR环境）
 const mouseControl = {
   raycaster: new THREE.Raycaster(),
   mouse: new THREE.Vector2(),
-  isHovering: false,
-  isClicking: false
+  pointer: new THREE.Object3D(), // 沿鼠标射线放置的虚拟指针，代替XR控制器
+  isClicking: false,  // 是否有按下中的指针交给了XR交互处理
+  active: false,      // 桌面预览是否运行中
+  autoPreview: config.autoPreview, // 不支持WebXR时自动进入桌面预览
+  zoomStep: 1.2,      // +/- 键每次缩放的比例
+  renderer: null,
+  controls: null,     // 轨道控制器
+  container: null,
+  input: null         // 虚拟指针对应的输入指针（见 createInputPointer）
+};
+
+// 播放器核心：播放状态机、播放队列、唱针动画与音乐的时序（与 JSAR 入口共用）
+const animator = createThreeAnimator(animationControl);
+const core = createPlayerCore({
+  animator,
+  audio: {
+    isReady: () => !!audioState.engine,
+    isPlaying: () => audioState.engine.isPlaying(),
+    play: () => audioState.playMusic(),
+    pause: () => pauseMusic(),
+    stop: () => audioState.engine && audioState.engine.stop(),
+    preload: (track) => audioState.engine && audioState.engine.preload(track)
+  },
+  // 默认音轨，清单加载失败时使用
+  tracks: [
+    { title: 'Lofi Track 1', artist: '', file: './audio/lofi.mp3' }
+  ],
+  hooks: {
+    setMotor: (on) => { turntableState.motorOn = on; },
+    setStylusOnVinyl
+  }
+});
+
+// 播放状态机：idle → lowering → playing → lifting → idle，另有 paused / error
+const playback = core.playback;
+playback.subscribe(onPlaybackStateChange);
+playback.subscribe(() => updateButtonVisuals());
+
+// 对外事件：statechange / trackchange / trackmetadata / timeupdate / modelloaded / cachestatus / schedulechange / focuschange / error
+const events = createEventBus();
+playback.subscribe((state, previous, event) => events.emit('statechange', { state, previous, event }));
+
+// 专注计时：到点提示音，休息时暂停或降低音乐
+const focusTimer = createFocusTimer({
+  durations: {
+    work: config.focusWork,
+    shortBreak: config.focusShortBreak,
+    longBreak: config.focusLongBreak,
+    longBreakEvery: config.focusLongBreakEvery
+  },
+  sessions: loadFocusSessions(),
+  onPhaseChange: onFocusPhaseChange
+});
+
+// 睡眠定时：淡出后抬起唱针；定时播放：落下唱针后淡入
+const sleepTimer = createSleepTimer({
+  fadeOut: scheduleState.sleepFadeOut,
+  onFadeOut: onSleepFadeOut,
+  onSleep: onSleepTimer,
+  onWake: onWakeTimer,
+  onChange: onScheduleChange
+});
+playback.subscribe(onScheduleStateChange);
+
+// 抓取操作：XR中单手移动转动、双手缩放扭转（见 model-manipulator.js）
+const manipulator = createModelManipulator();
+
+// 场景中的正在播放面板：AR中看不到页面状态栏，音轨、进度和提示显示在唱片机上方（见 now-playing-panel.js）
+const nowPlaying = createNowPlayingPanel();
+
+// 模型按钮：节点名称到动作的映射（见 button-registry.js），registerButton 可添加
+const buttons = createButtonRegistry();
+const buttonActions = {
+  toggle: () => pressPlayButton(),
+  previous: () => playPreviousTrack(),
+  next: () => playNextTrack(),
+  shuffle: () => setShuffle(!core.queue.isShuffled()),
+  repeat: () => cycleRepeatMode(),
+  mute: () => setMusicMuted(!audioState.muted),
+  volumeUp: () => setMusicVolume(audioState.volume + 0.1),
+  volumeDown: () => setMusicVolume(audioState.volume - 0.1),
+  speed: () => toggleTurntableSpeed(),
+  focus: () => toggleFocusTimer()
+};
+
+// 按钮激活状态（active 外观），返回 'error' 时显示错误外观
+const buttonActiveStates = {
+  toggle: () => (playback.is(PLAYBACK_STATES.ERROR) ? 'error' : gameState.playing),
+  shuffle: () => core.queue.isShuffled(),
+  repeat: () => core.queue.getRepeat() !== 'off',
+  mute: () => audioState.muted,
+  focus: () => {
+    const { phase, paused } = focusTimer.getState();
+    return phase !== FOCUS_PHASES.IDLE && !paused;
+  }
 };
 
+// 循环模式对应的状态栏文案
+const REPEAT_MESSAGES = { off: 'repeatOff', all: 'repeatAll', one: 'repeatOne' };
+
+// 加载播放列表清单
+async function loadTrackList() {
+  audioState.playlistLoaded = true;
+
+  // 创建选项直接给出音轨时不加载清单
+  if (config.tracks) {
+    if (!applyTrackList({ ...createPlaylist(config.tracks, currentPath), format: 'options', options: {} })) {
+      updateStatus(t('playlistEmpty'));
+    }
+    return;
+  }
+
+  if (!audioState.playlistUrl) {
+    console.log('未配置播放列表清单，使用默认音轨');
+    return;
+  }
+
+  try {
+    console.log('开始加载播放列表:', audioState.playlistUrl);
+    if (!applyTrackList(await loadPlaylist(audioState.playlistUrl))) {
+      updateStatus(t('playlistEmpty'));
+    }
+  } catch (error) {
+    console.warn('播放列表加载失败，使用默认音轨:', error);
+    updateStatus(t('playlistFailed'));
+    events.emit('error', { source: 'playlist', error });
+  }
+}
+
+// 应用解析后的播放列表，没有可用音轨时保持原列表
+function applyTrackList({ tracks, skipped, format, options: playlistOptions }) {
+  skipped.forEach(({ index, entry, reason }) => {
+    console.warn(`跳过无效音轨 #${index + 1}:`, reason, entry);
+  });
+
+  if (tracks.length === 0) {
+    console.warn('播放列表中没有可用音轨，保持原列表');
+    return false;
+  }
+
+  core.queue.setTracks(tracks);
+  if (typeof playlistOptions.gapless === 'boolean') {
+    audioState.gapless = playlistOptions.gapless;
+  }
+  if (typeof playlistOptions.crossfade === 'number' && playlistOptions.crossfade >= 0) {
+    audioState.crossfadeDuration = playlistOptions.crossfade;
+  }
+  console.log(`播放列表加载完成 (${format})，音轨数量:`, tracks.length);
+  precacheForOffline(tracks.map(track => track.file));
+
+  if (skipped.length > 0) {
+    updateStatus(t('playlistSkipped', { count: tracks.length, skipped: skipped.length }));
+  }
+  return true;
+}
+
+// 恢复上次的收听会话（音轨、位置、音量、模型朝向）
+function restoreListeningSession() {
+  if (!sessionState.enabled) return;
+
+  const session = loadSession();
+  if (!session) return;
+
+  if (session.volume !== null && config.volume === null) {
+    audioState.volume = session.volume;
+    updateVolumeKnobVisual();
+  }
+  sessionState.rotation = session.rotation;
+
+  // 配置指定了起始音轨时不恢复上次的音轨
+  if (config.startTrack !== null) return;
+
+  // 播放列表可能已变化，按文件地址重新定位音轨
+  const index = core.queue.findIndex(track => track.file === session.trackFile);
+  if (index < 0) {
+    console.log('上次收听的音轨已不在播放列表中，从头开始');
+    return;
+  }
+
+  const track = core.queue.getTracks()[index];
+  if (session.position > 0 && sessionState.promptOnResume &&
+    !window.confirm(t('resumePrompt', { title: track.title, time: formatTime(session.position) }))) {
+    console.log('用户选择从头开始收听');
+    return;
+  }
+
+  core.queue.setIndex(index);
+  sessionState.resumeTrack = track;
+  sessionState.resumePosition = session.position;
+  console.log('恢复收听会话:', track.title, formatTime(session.position));
+  if (session.position > 0) {
+    updateStatus(t('sessionRestored', { title: track.title, time: formatTime(session.position) }));
+  }
+}
+
+// 配置指定的起始音轨优先于上次的收听会话
+function applyStartTrack() {
+  if (config.startTrack === null) return;
+
+  if (!core.queue.setIndex(config.startTrack)) {
+    console.warn(`配置: 起始音轨 ${config.startTrack} 超出播放列表范围（共 ${core.queue.size()} 首），忽略`);
+    return;
+  }
+  console.log('从配置的起始音轨开始:', core.queue.getCurrent().title);
+}
+
+// 保存当前收听会话
+function saveListeningSession() {
+  if (!sessionState.enabled || !audioState.engine) return;
+
+  const track = core.queue.getCurrent();
+  let position = 0;
+  if (audioState.engine.getCurrentTrack() === track) {
+    position = audioState.engine.getCurrentTime();
+  } else if (sessionState.resumeTrack === track) {
+    position = sessionState.resumePosition;
+  }
+
+  saveSession({
+    trackIndex: core.queue.getIndex(),
+    trackFile: track.file,
+    position,
+    volume: audioState.volume,
+    rotation: modelComponents.container ? modelComponents.container.quaternion.toArray() : sessionState.rotation
+  });
+}
+
+// 播放中定期保存，页面隐藏或关闭时立即保存
+function setupSessionPersistence() {
+  if (!sessionState.enabled) return;
+
+  sessionState.saveTimer = setInterval(() => {
+    if (gameState.playing) {
+      saveListeningSession();
+    }
+  }, sessionState.saveInterval);
+
+  window.addEventListener('pagehide', saveListeningSession);
+  document.addEventListener('visibilitychange', onVisibilityChange);
+}
+
+// 页面隐藏时保存会话
+function onVisibilityChange() {
+  if (document.visibilityState === 'hidden') {
+    saveListeningSession();
+  }
+}
+
 // 初始化音频
 async function initAudio() {
   try {
+    if (!audioState.playlistLoaded) {
+      await loadTrackList();
+    }
+    restoreListeningSession();
+    applyStartTrack();
+
     audioState.playButtonClick = await createAudioPlayer('./audio/button-click.wav');
 
-    // 根据当前音轨索引加载对应的音频文件
-    const currentTrack = audioState.trackList[audioState.currentTrackIndex];
-    audioState.playMusic = await createAudioPlayer(currentTrack.file);
+    if (!isAudioEngineSupported()) {
+      throw new Error('当前环境不支持 Web Audio');
+    }
 
-    console.log('音频系统初始化完成，当前音轨:', currentTrack.name);
+    // 创建音乐引擎并预缓冲当前音轨
+    const currentTrack = core.queue.getCurrent();
+    audioState.engine = createMusicEngine();
+    audioState.engine.preload(currentTrack);
+    setupEffectsChain();
+    audioState.playMusic = playMusic;
+    setupAudioVisuals();
+    setupSessionPersistence();
+    // 恢复上次设置的睡眠定时和定时播放（过期的丢弃）
+    sleepTimer.restore(loadSchedule());
+
+    console.log('音频系统初始化完成，当前音轨:', currentTrack.title);
   } catch (error) {
     console.error('音频初始化失败:', error);
+    // 没有音频也继续加载模型，ready 照常完成，嵌入方通过 error 事件得知
+    events.emit('error', { source: 'audio', error });
     // 确保音频状态不为undefined，提供默认的空函数
     if (!audioState.playButtonClick || typeof audioState.playButtonClick !== 'function') {
       audioState.playButtonClick = () => {
@@ -1168,14 +3892,74 @@ async function initAudio() {
   }
 }
 
+// 注册 Service Worker 预缓存资源，缓存状态和网络变化显示在状态栏
+function setupOfflineSupport() {
+  if (!config.offline) return;
+  if (!isOfflineSupported()) {
+    console.log('当前环境不支持 Service Worker（需要 HTTPS），跳过离线缓存');
+    return;
+  }
+
+  offlineState.worker = registerOfflineSupport(new URL(config.serviceWorkerUrl, currentPath).href, {
+    onStatus: onOfflineStatus
+  });
+  window.addEventListener('online', onNetworkChange);
+  window.addEventListener('offline', onNetworkChange);
+  if (navigator.onLine === false) {
+    onNetworkChange();
+  }
+}
+
+// Service Worker 报告的缓存状态
+function onOfflineStatus(status) {
+  if (apiState.disposed) return;
+  console.log('离线缓存状态:', status);
+  events.emit('cachestatus', status);
+
+  switch (status.state) {
+    case 'ready':
+      updateStatus(t('offlineReady', { count: status.cached }));
+      break;
+    case 'updated':
+      updateStatus(t('offlineUpdated', { version: status.version }));
+      break;
+    case 'cached':
+      if (status.added > 0) {
+        updateStatus(t('offlineCached', { added: status.added, count: status.cached }));
+      }
+      break;
+    default:
+      if (status.failed.length > 0) {
+        console.warn('以下文件未能离线缓存:', status.failed);
+        updateStatus(t('offlineCacheFailed', { failed: status.failed.length }));
+      }
+      break;
+  }
+}
+
+// 网络断开 / 恢复
+function onNetworkChange() {
+  updateStatus(t(navigator.onLine ? 'networkOnline' : 'networkOffline'));
+}
+
+// 请求 Service Worker 缓存播放列表音轨等运行时才知道的资源
+function precacheForOffline(urls) {
+  if (offlineState.worker) {
+    offlineState.worker.precache(urls);
+  }
+}
+
 // 启动应用
 async function startApp() {
+  setupOfflineSupport();
   await initAudio();
 
   // 确保 DOM 完全加载后再查找按钮
   setTimeout(() => {
+    applyLanguage();
+
     // 添加按钮事件监听器
-    const startButton = document.getElementById('startXR');
+    const startButton = findElement('startXR');
     console.log('查找启动按钮:', startButton);
 
     if (startButton) {
@@ -1185,7 +3969,7 @@ async function startApp() {
       console.error('找不到启动按钮，DOM 可能未完全加载');
       // 再次尝试查找
       setTimeout(() => {
-        const retryButton = document.getElementById('startXR');
+        const retryButton = findElement('startXR');
         if (retryButton) {
           console.log('重试成功找到启动按钮');
           setupButtonEvents(retryButton);
@@ -1196,36 +3980,109 @@ async function startApp() {
     }
   }, 100);
 
+  // 先确定绑定配置，配置可以指定模型
+  await resolveModelProfile();
+  const modelUrl = config.modelUrl ? new URL(config.modelUrl, currentPath).href : profileState.profile.model;
+  // 指定了模型时只使用明确配置的备用模型，绑定配置的备用模型对应它自己的模型
+  let fallbackUrl = config.modelUrl ? null : profileState.profile.fallbackModel;
+  if (config.fallbackModelUrl !== null) {
+    fallbackUrl = config.fallbackModelUrl && new URL(config.fallbackModelUrl, currentPath).href;
+  }
+
   // 立即加载模型进行调试
   console.log('开始加载模型进行调试...');
-  console.log('模型URL:', modelUrl);
-  loadModel(modelUrl, (err) => {
+  console.log('模型URL:', modelUrl, '备用模型:', fallbackUrl);
+  loadModel(modelUrl, fallbackUrl, function onModelLoaded(err) {
+    if (apiState.disposed) return;
     if (err) {
       console.error('Lofi FM模型加载失败:', err);
-      updateStatus('模型加载失败: ' + err.message);
+      events.emit('error', { source: 'model', error: err });
+      offerModelRetry(err, () => loadModel(modelUrl, fallbackUrl, onModelLoaded));
     } else {
       console.log('Lofi FM模型加载完成');
-      updateStatus('模型加载完成！');
+      const { profile, missing } = profileState;
+      updateStatus(missing.length > 0
+        ? t('profileMissing', { name: profile.name, items: missing.join(', ') })
+        : t('modelLoaded'));
+      events.emit('modelloaded', {
+        model: modelComponents.container,
+        animations: Object.keys(animationControl.animations),
+        profile: profile.name,
+        missing
+      });
 
       console.log('动画系统初始化完成，可用动画:', Object.keys(animationControl.animations));
 
-      // 检查是否自动启动XR
-      if (xrControl.autoStartXR) {
-        console.log('自动启动XR环境...');
-        updateStatus('自动启动AR会话...');
-
-        // 延迟一秒后自动启动，确保模型完全加载
-        setTimeout(() => {
-          if (navigator.xr) {
-            startXRSession();
+      isXRSupported().then((supported) => {
+        // 不支持WebXR时进入桌面预览
+        if (!supported) {
+          console.warn('WebXR不支持，无法启动AR会话');
+          const startButton = findElement('startXR');
+          if (startButton) {
+            startButton.textContent = t('arUnsupportedButton');
+            startButton.disabled = true;
+          }
+          if (mouseControl.autoPreview) {
+            startDesktopPreview();
           } else {
-            console.warn('WebXR不支持，无法自动启动');
-            updateStatus('WebXR不支持，请手动点击按钮');
+            updateStatus(t('xrUnsupportedPreviewHint'));
           }
-        }, 1000);
-      }
+          return;
+        }
+
+        // 检查是否自动启动XR
+        if (xrControl.autoStartXR) {
+          console.log('自动启动XR环境...');
+          updateStatus(t('xrAutoStarting'));
+
+          // 延迟一秒后自动启动，确保模型完全加载
+          setTimeout(() => {
+            startXRSession();
+          }, 1000);
+        }
+      });
+    }
+  });
+}
+
+// 模型加载失败：状态栏提示点击重试，而不是只留下一行错误
+function offerModelRetry(error, retry) {
+  updateStatus(t('modelRetryPrompt', { message: error.message }));
+  const statusElement = findElement('status');
+  if (!statusElement) return;
+
+  statusElement.style.cursor = 'pointer';
+  statusElement.addEventListener('click', () => {
+    statusElement.style.cursor = '';
+    if (apiState.disposed) return;
+    console.log('重新加载模型');
+    retry();
+  }, { once: true });
+}
+
+// 确定模型绑定配置：创建选项 > 配置文件 > 内置唱片机，无效时警告并使用内置配置
+async function resolveModelProfile() {
+  try {
+    if (config.profile) {
+      profileState.profile = normalizeProfile(config.profile, currentPath);
+    } else if (config.profileUrl) {
+      console.log('开始加载模型绑定配置:', config.profileUrl);
+      profileState.profile = await loadProfile(new URL(config.profileUrl, currentPath).href);
     }
+  } catch (error) {
+    console.warn('模型绑定配置无效，使用内置唱片机配置:', error);
+    updateStatus(t('profileFailed', { message: error.message }));
+    events.emit('error', { source: 'profile', error });
+  }
+
+  const { profile } = profileState;
+  profile.buttons.forEach(definition => buttons.register(definition));
+  core.setAnimations({
+    STYLUS_ON: profile.animations.lower,
+    STYLUS_OFF: profile.animations.lift,
+    STYLUS_PLAYING: profile.animations.playing
   });
+  console.log('使用模型绑定配置:', profile.name);
 }
 
 // 设置按钮事件
@@ -1233,50 +4090,295 @@ function setupButtonEvents(startButton) {
   if (startButton) {
     if (xrControl.autoStartXR) {
       // 自动启动模式：隐藏按钮或显示不同文本
-      startButton.textContent = '自动启动中...';
+      startButton.textContent = t('autoStartingButton');
       startButton.disabled = true;
-      updateStatus('准备就绪，即将自动启动AR体验');
+      updateStatus(t('readyAutoStart'));
     } else {
       // 手动启动模式：正常显示按钮
       startButton.addEventListener('click', () => {
         if (!navigator.xr) {
-          updateStatus('此设备不支持WebXR');
+          updateStatus(t('webxrUnsupported'));
           return;
         }
 
         startButton.disabled = true;
-        startButton.textContent = '正在启动...';
+        startButton.textContent = t('startingButton');
 
-        updateStatus('启动AR会话...');
+        updateStatus(t('xrStarting'));
         startXRSession();
       });
 
-      updateStatus('准备就绪，点击按钮开始体验');
+      updateStatus(t('readyManual'));
     }
   } else {
     console.error('找不到启动按钮');
   }
+
+  // 桌面预览按钮
+  const previewButton = findElement('startPreview');
+  if (previewButton) {
+    previewButton.addEventListener('click', () => {
+      startDesktopPreview();
+    });
+  }
+
+  // 睡眠定时和定时播放
+  setupScheduleControls();
 }
 
-// 添加全局错误处理
-window.addEventListener('unhandledrejection', function (event) {
+// 全局错误处理
+function onUnhandledRejection(event) {
   console.warn('Unhandled promise rejection:', event.reason);
   // 防止错误冒泡到控制台
   event.preventDefault();
-});
+}
+window.addEventListener('unhandledrejection', onUnhandledRejection);
+
+// ==================== 对外接口 ====================
+
+// 派发当前音轨
+function emitTrackChange() {
+  events.emit('trackchange', { track: core.queue.getCurrent(), index: core.queue.getIndex() });
+}
+
+// 播放中定期派发 timeupdate，本曲结束的睡眠定时在音轨快结束时开始淡出
+function startTimeUpdates() {
+  apiState.timeupdateTimer = setInterval(() => {
+    if (gameState.playing && audioState.engine) {
+      const currentTime = audioState.engine.getCurrentTime();
+      const duration = audioState.engine.getDuration();
+      events.emit('timeupdate', { currentTime, duration });
+      if (duration > 0 && isFinite(duration)) {
+        sleepTimer.checkTrackEnd(duration - currentTime);
+      }
+    }
+  }, apiState.timeupdateInterval);
+}
+
+// 跳转到当前音轨的指定位置（秒）
+async function seekTo(position) {
+  const engine = audioState.engine;
+  const track = core.queue.getCurrent();
+  if (engine && engine.getCurrentTrack() === track) {
+    return engine.seek(position);
+  }
+  // 当前音轨尚未开始：记为待恢复位置，开始播放时生效
+  sessionState.resumeTrack = track;
+  sessionState.resumePosition = Math.max(0, position);
+  return true;
+}
+
+// 替换播放列表：清单地址或音轨数组
+async function replacePlaylist(source) {
+  const result = Array.isArray(source)
+    ? { ...createPlaylist(source, currentPath), format: 'array', options: {} }
+    : await loadPlaylist(new URL(source, currentPath).href);
+
+  if (!applyTrackList(result)) {
+    throw new Error('播放列表中没有可用音轨');
+  }
+  if (!Array.isArray(source)) {
+    audioState.playlistUrl = new URL(source, currentPath).href;
+  }
+
+  const engine = audioState.engine;
+  if (engine) {
+    engine.setGapless(audioState.gapless);
+    engine.setCrossfadeDuration(audioState.crossfadeDuration);
+    if (gameState.playing) {
+      audioState.playMusic(); // 交叉淡入到新列表的第一首
+    } else {
+      engine.preload(core.queue.getCurrent());
+      emitTrackChange();
+    }
+  }
+  return core.queue.getTracks();
+}
+
+// 释放播放器
+function disposePlayer() {
+  if (apiState.disposed) return;
+  console.log('释放Lofi FM播放器');
+
+  saveListeningSession();
+  apiState.disposed = true;
+  if (apiState.cancelStart) {
+    apiState.cancelStart();
+    apiState.cancelStart = null;
+  }
+  clearInterval(apiState.timeupdateTimer);
+  clearInterval(sessionState.saveTimer);
+  sleepTimer.dispose();
+  focusTimer.dispose();
+  nowPlaying.dispose();
+  metadataState.covers.forEach(pending => pending.then(cover => cover && cover.dispose()));
+  metadataState.covers.clear();
+  if (focusState.texture) {
+    focusState.texture.dispose();
+  }
+  window.removeEventListener('pagehide', saveListeningSession);
+  document.removeEventListener('visibilitychange', onVisibilityChange);
+  window.removeEventListener('unhandledrejection', onUnhandledRejection);
+  window.removeEventListener('online', onNetworkChange);
+  window.removeEventListener('offline', onNetworkChange);
+  if (offlineState.worker) {
+    offlineState.worker.dispose();
+  }
+
+  stopDesktopPreview();
+  if (xrControl.session) {
+    // 会话结束事件中清理场景资源
+    xrControl.session.end().catch(error => console.warn('结束XR会话失败:', error));
+  } else {
+    cleanup(null, scene);
+  }
+
+  if (audioState.engine) {
+    audioState.engine.dispose();
+    audioState.engine = null;
+  }
+  if (audioState.effects) {
+    audioState.effects.dispose();
+    audioState.effects = null;
+  }
+  core.dispose();
+  events.clear();
+}
+
+// 注册模型按钮，模型已加载时重新绑定
+function registerModelButton(definition, handler) {
+  const entry = buttons.register(definition);
+  if (handler) {
+    buttonActions[entry.action] = handler;
+  }
+  if (modelComponents.container) {
+    bindModelButtons(modelComponents.container);
+  }
+  return entry;
+}
 
-// 等待DOM加载完成后启动应用
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', startApp);
-} else {
-  startApp();
+// 播放器接口
+function createPlayerApi() {
+  return {
+    ready: apiState.ready,
+    play: () => playback.send('play'),
+    pause: () => playback.send('stop'),
+    toggle: () => playback.send('toggle'),
+    next: () => playNextTrack(),
+    previous: () => playPreviousTrack(),
+    seek: (seconds) => seekTo(seconds),
+    setVolume: (volume) => setMusicVolume(volume),
+    getVolume: () => audioState.volume,
+    setMuted: (muted) => setMusicMuted(muted),
+    isMuted: () => audioState.muted,
+    setShuffle: (enabled) => setShuffle(enabled),
+    setRepeat: (mode) => setRepeatMode(mode),
+    setSleepTimer: (minutes) => setSleepTimer(minutes),
+    setWakeTime: (time) => setWakeTime(time),
+    getSchedule: () => {
+      const { sleep, wake } = sleepTimer.getState();
+      return { sleep, wake };
+    },
+    toggleFocus: () => toggleFocusTimer(),
+    skipFocus: () => focusTimer.skip(),
+    stopFocus: () => focusTimer.stop(),
+    getFocusState: () => focusTimer.getState(),
+    registerButton: (definition, handler) => registerModelButton(definition, handler),
+    loadPlaylist: (source) => replacePlaylist(source),
+    getTracks: () => core.queue.getTracks(),
+    getState: () => ({
+      state: playback.getState(),
+      track: core.queue.getCurrent(),
+      trackIndex: core.queue.getIndex(),
+      currentTime: audioState.engine ? audioState.engine.getCurrentTime() : 0,
+      duration: audioState.engine ? audioState.engine.getDuration() : 0,
+      volume: audioState.volume,
+      muted: audioState.muted,
+      shuffle: core.queue.isShuffled(),
+      repeat: core.queue.getRepeat()
+    }),
+    startXR: () => startXRSession(),
+    placeModel: () => restartARPlacement(),
+    resetModel: () => resetModelTransform(),
+    startPreview: () => startDesktopPreview(),
+    on: events.on,
+    off: events.off,
+    once: events.once,
+    dispose: disposePlayer
+  };
 }
+
+// 等待DOM加载完成后启动应用，启动失败时 ready 被拒绝并派发 error 事件
+apiState.ready = new Promise((resolve, reject) => {
+  const start = () => {
+    apiState.cancelStart = null;
+    startApp().then(resolve, (error) => {
+      console.error('Lofi FM启动失败:', error);
+      events.emit('error', { source: 'startup', error });
+      reject(error);
+    });
+  };
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start, { once: true });
+    apiState.cancelStart = () => {
+      document.removeEventListener('DOMContentLoaded', start);
+      reject(new Error('播放器在启动前已释放'));
+    };
+  } else {
+    start();
+  }
+});
+startTimeUpdates();
+
+return createPlayerApi();
 }
 
+/**
+ * Lofi FM 嵌入接口
+ */
+export const LofiFM = {
+  /**
+   * 创建播放器
+   * @param {HTMLElement} container 播放器容器，状态栏、按钮（#status、#startXR 等）和桌面预览画布在其中查找或创建
+   * @param {Object} options 选项，同名URL参数优先（见 config.js 的 CONFIG_SCHEMA），无效值警告后使用默认值
+   * @param {string} options.baseUrl 资源基础地址，默认为当前页面目录
+   * @param {string} options.modelUrl 模型地址，优先于绑定配置中的模型（URL参数 model）
+   * @param {string} options.fallbackModelUrl 模型加载失败时的备用模型，空字符串时不使用（URL参数 fallbackModel）
+   * @param {string} options.profileUrl 模型绑定配置文件地址（URL参数 profile）
+   * @param {Object} options.profile 模型绑定配置对象，优先于 profileUrl（格式见 model-profile.js）
+   * @param {string} options.playlistUrl 播放列表清单地址，为空字符串时不加载清单（URL参数 playlist）
+   * @param {Array<Object>} options.tracks 直接给出的音轨 { file, title, artist, duration }，优先于清单
+   * @param {number} options.startTrack 起始音轨序号，从0开始，优先于上次的收听会话（URL参数 track）
+   * @param {number} options.volume 初始音量 0~1，优先于上次的收听会话（URL参数 volume）
+   * @param {boolean} options.autoStartXR 模型加载后自动启动AR会话（URL参数 autostart）
+   * @param {boolean} options.autoPreview 不支持WebXR时自动进入桌面预览（URL参数 preview）
+   * @param {boolean} options.showRayLine 显示控制器射线（URL参数 ray）
+   * @param {boolean} options.arPlacement AR会话中用 hit-test 把模型放在真实平面上（URL参数 placement）
+   * @param {string} options.language 界面语言 zh / en（URL参数 lang）
+   * @param {number} options.rotationSpeed 桌面预览中拖动旋转模型的速度（URL参数 rotationSpeed）
+   * @param {number} options.assetRetries 模型和音轨下载失败后的重试次数（URL参数 retries）
+   * @param {boolean} options.cacheAssets 把下载的模型和音轨缓存到 IndexedDB（URL参数 cache）
+   * @param {string} options.assetVersion 资源缓存版本，修改后重新下载（URL参数 assetVersion）
+   * @param {boolean} options.offline 注册 Service Worker 预缓存页面、模型和音频，断网后可用（URL参数 offline）
+   * @param {string} options.serviceWorkerUrl Service Worker 脚本地址，相对资源基础地址，其所在目录即缓存范围
+   * @param {boolean} options.useUrlParams 是否读取页面URL参数，嵌入到有自己查询参数的页面时可关闭
+   * @returns {Object} 播放器 { ready, play, pause, toggle, next, previous, seek, setVolume, loadPlaylist, on, off, dispose, ... }
+   */
+  create(container, options = {}) {
+    return init(container, options);
+  }
+};
+
+export default LofiFM;
+
 // ==================== 程序入口 ====================
-try {
-  console.log('开始初始化Lofi FM应用');
-  init();
-} catch (error) {
-  console.error('Lofi FM应用初始化失败:', error);
+// 独立页面用 data-lofi-fm 标记容器，自动创建播放器；嵌入方自行调用 LofiFM.create
+const autoContainer = document.querySelector('[data-lofi-fm]');
+if (autoContainer) {
+  try {
+    console.log('开始初始化Lofi FM应用');
+    LofiFM.create(autoContainer);
+  } catch (error) {
+    console.error('Lofi FM应用初始化失败:', error);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * Lofi FM 界面文案
+ * 状态栏和页面上用户可见的文字，控制台日志不在此列
+ */
+
+export const DEFAULT_LANGUAGE = 'zh';
+
+export const MESSAGES = {
+  zh: {
+    // 页面
+    pageDescription: '沉浸式3D音乐体验，在虚拟现实中享受轻松的Lofi音乐',
+    startXR: '启动 AR 体验',
+    startPreview: '桌面预览',
+    toggleRay: '切换射线显示',
+    toggleSpeed: '切换转速 33⅓ / 45',
+    testAudio: '测试音频播放',
+    featuresTitle: '✨ 特色功能',
+    feature1: '3D 唱片机模型交互',
+    feature2: '真实的黑胶唱片旋转效果',
+    feature3: '沉浸式 AR 音乐体验',
+    feature4: '高品质 Lofi 音乐播放',
+    feature5: '桌面预览：鼠标/触摸交互，空格播放/暂停，←/→ 切歌，↑/↓ 音量，M 静音，S 随机，R 循环，F 专注计时，+/- 缩放，0 复位模型',
+
+    // 启动
+    arUnsupportedButton: '此设备不支持 AR',
+    autoStartingButton: '自动启动中...',
+    startingButton: '正在启动...',
+    readyAutoStart: '准备就绪，即将自动启动AR体验',
+    readyManual: '准备就绪，点击按钮开始体验',
+    webxrUnsupported: '此设备不支持WebXR',
+    xrUnsupported: 'WebXR不支持，请使用支持WebXR的设备和浏览器',
+    xrUnsupportedPreviewHint: 'WebXR不支持，可点击"桌面预览"查看模型',
+    xrAutoStarting: '自动启动AR会话...',
+    xrStarting: '正在启动AR会话...',
+    xrStarted: 'AR会话已启动，正在加载模型...',
+    xrFailed: 'AR会话启动失败: {message}',
+    previewHelp: '桌面预览：空格 播放/暂停，←/→ 切歌，↑/↓ 音量，M 静音，S 随机，R 循环，F 专注计时，+/- 缩放，0 复位模型',
+    rayOn: '射线显示: 开启',
+    rayOff: '射线显示: 关闭',
+
+    // 模型
+    modelLoading: '正在加载3D模型... {percent}%',
+    modelLoaded: '3D模型加载完成！',
+    modelLoadingBytes: '正在加载3D模型... 已下载 {size}',
+    modelRetrying: '模型加载失败，正在重试 ({attempt}/{retries})...',
+    modelFallback: '模型加载失败，改用备用模型...',
+    modelLoadFailed: '模型加载失败: {message}',
+    modelRetryPrompt: '模型加载失败: {message}，点击此处重试',
+    profileFailed: '模型绑定配置无效，使用内置唱片机配置: {message}',
+    profileMissing: '模型已加载，绑定配置 {name} 缺少: {items}',
+
+    // AR放置
+    arPlacementSearching: '请缓慢移动设备，寻找可以放置唱片机的平面...',
+    arPlacementReady: '选择（扳机 / 捏合 / 点击屏幕）把唱片机放在准星处',
+    arPlaced: '唱片机已放置',
+    arPlacementUnavailable: '当前设备不支持平面检测，唱片机放在固定位置',
+    modelScale: '唱片机大小: {percent}%',
+    modelReset: '唱片机已恢复初始位置和大小',
+
+    // 离线缓存
+    offlineReady: '离线缓存已就绪（{count} 个文件），断网后也能使用',
+    offlineUpdated: '离线缓存已更新到 {version}',
+    offlineCached: '已缓存 {added} 个新文件供离线使用（共 {count} 个）',
+    offlineCacheFailed: '{failed} 个文件未能离线缓存，断网后不可用',
+    networkOffline: '网络已断开，使用离线缓存',
+    networkOnline: '网络已恢复',
+
+    // 播放列表与会话
+    playlistEmpty: '播放列表为空，使用默认音轨',
+    playlistFailed: '播放列表加载失败，使用默认音轨',
+    playlistSkipped: '播放列表已加载 {count} 首，跳过 {skipped} 首无效音轨',
+    sessionRestored: '已恢复上次收听: {title} {time}',
+    resumePrompt: '从上次的位置继续播放《{title}》({time}) 吗？',
+
+    // 睡眠定时与定时播放
+    sleepTimerLabel: '睡眠定时',
+    sleepOff: '关闭',
+    sleep15: '15 分钟',
+    sleep30: '30 分钟',
+    sleep60: '60 分钟',
+    sleepTrack: '本曲结束',
+    sleepMinutes: '{minutes} 分钟',
+    wakeTimeLabel: '定时播放',
+    sleepSet: '睡眠定时: {minutes} 分钟后停止',
+    sleepEndOfTrack: '睡眠定时: 本曲结束后停止',
+    sleepCancelled: '睡眠定时已取消',
+    sleepFading: '睡眠定时即将结束，音乐渐弱...',
+    sleepStopped: '睡眠定时结束，晚安',
+    wakeSet: '将在 {time} 开始播放',
+    wakeCancelled: '定时播放已取消',
+    wakeUp: '到点了，开始播放',
+    focusIdle: '时钟',
+    focusWork: '专注',
+    focusShortBreak: '短休息',
+    focusLongBreak: '长休息',
+    focusPausedLabel: '已暂停',
+    focusSessions: '今日完成 {count}',
+    focusStarted: '专注开始: {minutes} 分钟',
+    focusPaused: '专注计时已暂停',
+    focusResumed: '专注计时继续',
+    focusBreakStart: '专注完成，休息 {minutes} 分钟',
+    focusLongBreakStart: '今天已完成 {count} 个专注，长休息 {minutes} 分钟',
+    focusWorkStart: '休息结束，继续专注 {minutes} 分钟',
+    focusStopped: '专注计时已结束',
+
+    // 播放
+    trackPlaying: '正在播放: {title}',
+    trackFailed: '音轨播放失败: {title}',
+    playlistEnded: '播放列表已结束',
+    audioNotReady: '音频系统未初始化',
+    testAudioPlaying: '测试音频播放中...',
+    testAudioStopped: '测试音频已停止',
+    volume: '音量: {percent}%',
+    muted: '已静音',
+    shuffleOn: '随机播放: 开启',
+    shuffleOff: '随机播放: 关闭',
+    repeatOff: '循环: 关闭',
+    repeatAll: '循环: 列表',
+    repeatOne: '循环: 单曲',
+    turntableSpeed: '转速: {label} RPM',
+    tonearmLifted: '唱臂已抬起',
+    needleDrop: '落针: {time}'
+  },
+
+  en: {
+    pageDescription: 'An immersive 3D music experience: relax with lofi music in mixed reality',
+    startXR: 'Start AR',
+    startPreview: 'Desktop preview',
+    toggleRay: 'Toggle ray',
+    toggleSpeed: 'Switch speed 33⅓ / 45',
+    testAudio: 'Test audio',
+    featuresTitle: '✨ Features',
+    feature1: 'Interactive 3D record player',
+    feature2: 'Realistic spinning vinyl',
+    feature3: 'Immersive AR listening',
+    feature4: 'High quality lofi music',
+    feature5: 'Desktop preview: mouse/touch, Space play/pause, ←/→ tracks, ↑/↓ volume, M mute, S shuffle, R repeat, F focus timer, +/- zoom, 0 reset model',
+
+    arUnsupportedButton: 'AR not supported',
+    autoStartingButton: 'Starting automatically...',
+    startingButton: 'Starting...',
+    readyAutoStart: 'Ready, AR will start automatically',
+    readyManual: 'Ready, press the button to start',
+    webxrUnsupported: 'This device does not support WebXR',
+    xrUnsupported: 'WebXR is not supported, please use a WebXR capable device and browser',
+    xrUnsupportedPreviewHint: 'WebXR is not supported, use "Desktop preview" to view the model',
+    xrAutoStarting: 'Starting AR session automatically...',
+    xrStarting: 'Starting AR session...',
+    xrStarted: 'AR session started, loading model...',
+    xrFailed: 'Failed to start AR session: {message}',
+    previewHelp: 'Desktop preview: Space play/pause, ←/→ tracks, ↑/↓ volume, M mute, S shuffle, R repeat, F focus timer, +/- zoom, 0 reset model',
+    rayOn: 'Ray: on',
+    rayOff: 'Ray: off',
+
+    modelLoading: 'Loading 3D model... {percent}%',
+    modelLoaded: '3D model loaded!',
+    modelLoadingBytes: 'Loading 3D model... {size} downloaded',
+    modelRetrying: 'Failed to load model, retrying ({attempt}/{retries})...',
+    modelFallback: 'Failed to load model, using the fallback model...',
+    modelLoadFailed: 'Failed to load model: {message}',
+    modelRetryPrompt: 'Failed to load model: {message}. Click here to retry',
+    profileFailed: 'Invalid model profile, using the built-in record player profile: {message}',
+    profileMissing: 'Model loaded, profile {name} is missing: {items}',
+
+    arPlacementSearching: 'Move your device slowly to find a surface for the record player...',
+    arPlacementReady: 'Select (trigger / pinch / tap) to place the record player at the reticle',
+    arPlaced: 'Record player placed',
+    arPlacementUnavailable: 'Surface detection is not supported, the record player is at a fixed position',
+    modelScale: 'Record player size: {percent}%',
+    modelReset: 'Record player reset to its original position and size',
+
+    offlineReady: 'Offline cache ready ({count} files), works without a network',
+    offlineUpdated: 'Offline cache updated to {version}',
+    offlineCached: 'Cached {added} new files for offline use ({count} in total)',
+    offlineCacheFailed: '{failed} files could not be cached and are unavailable offline',
+    networkOffline: 'Network offline, using the offline cache',
+    networkOnline: 'Back online',
+
+    playlistEmpty: 'Playlist is empty, using the default track',
+    playlistFailed: 'Failed to load playlist, using the default track',
+    playlistSkipped: 'Loaded {count} tracks, skipped {skipped} invalid tracks',
+    sessionRestored: 'Resumed: {title} {time}',
+    resumePrompt: 'Resume "{title}" from {time}?',
+
+    sleepTimerLabel: 'Sleep timer',
+    sleepOff: 'Off',
+    sleep15: '15 min',
+    sleep30: '30 min',
+    sleep60: '60 min',
+    sleepTrack: 'End of track',
+    sleepMinutes: '{minutes} min',
+    wakeTimeLabel: 'Play at',
+    sleepSet: 'Sleep timer: stopping in {minutes} min',
+    sleepEndOfTrack: 'Sleep timer: stopping after this track',
+    sleepCancelled: 'Sleep timer cancelled',
+    sleepFading: 'Sleep timer ending, fading out...',
+    sleepStopped: 'Sleep timer ended, good night',
+    wakeSet: 'Playback scheduled for {time}',
+    wakeCancelled: 'Scheduled playback cancelled',
+    wakeUp: 'Scheduled playback starting',
+    focusIdle: 'Clock',
+    focusWork: 'Focus',
+    focusShortBreak: 'Short break',
+    focusLongBreak: 'Long break',
+    focusPausedLabel: 'Paused',
+    focusSessions: 'Today: {count}',
+    focusStarted: 'Focus started: {minutes} min',
+    focusPaused: 'Focus timer paused',
+    focusResumed: 'Focus timer resumed',
+    focusBreakStart: 'Focus done, take a {minutes} min break',
+    focusLongBreakStart: '{count} focus sessions today, long break for {minutes} min',
+    focusWorkStart: 'Break over, focus for {minutes} min',
+    focusStopped: 'Focus timer stopped',
+
+    trackPlaying: 'Now playing: {title}',
+    trackFailed: 'Failed to play: {title}',
+    playlistEnded: 'Playlist finished',
+    audioNotReady: 'Audio is not initialized',
+    testAudioPlaying: 'Playing test audio...',
+    testAudioStopped: 'Test audio stopped',
+    volume: 'Volume: {percent}%',
+    muted: 'Muted',
+    shuffleOn: 'Shuffle: on',
+    shuffleOff: 'Shuffle: off',
+    repeatOff: 'Repeat: off',
+    repeatAll: 'Repeat: all',
+    repeatOne: 'Repeat: one',
+    turntableSpeed: 'Speed: {label} RPM',
+    tonearmLifted: 'Tonearm lifted',
+    needleDrop: 'Needle drop: {time}'
+  }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(MESSAGES);
+
+/**
+ * 创建翻译函数
+ * @param {string} language 语言
+ * @returns {Function} t(key, params)，params 中的值替换文案里的 {name}
+ */
+export function createTranslator(language) {
+  const table = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+
+  return function t(key, params = {}) {
+    const template = table[key] !== undefined ? table[key] : MESSAGES[DEFAULT_LANGUAGE][key];
+    if (template === undefined) {
+      console.warn('缺少文案:', key);
+      return key;
+    }
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  };
+}
@@ -0,0 +1,274 @@
+/**
+ * Lofi FM 模型操作
+ * 单手抓住时模型随控制器的位姿平移和转动（像拿在手里），双手抓住时按两手距离缩放、
+ * 绕两手中点水平扭转；缩放限制在初始大小（AR放置后为真实尺寸）的一定倍数内，松开时接近竖直的模型自动回正，
+ * 快速抓两次恢复初始的位置、朝向和大小。
+ * 计算在模型父节点的坐标系中进行，父节点可以被AR放置移动。
+ */
+
+import * as THREE from 'three';
+
+// 默认设置
+export const MANIPULATION_DEFAULTS = {
+  minScale: 0.25,      // 最小缩放（相对初始大小）
+  maxScale: 4,         // 最大缩放（相对初始大小）
+  snapAngle: THREE.MathUtils.degToRad(25), // 松开时倾斜小于此角度则回正
+  snapSpeed: 12,       // 回正速度（1/秒）
+  tapTime: 300,        // 短于此时长（毫秒）且几乎没有移动的抓取算作轻点
+  tapDistance: 0.02,   // 轻点允许的移动距离（父节点坐标，通常为米）
+  doubleTapTime: 400   // 两次轻点的最大间隔（毫秒），视为重置手势
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+const FORWARD = new THREE.Vector3(0, 0, 1);
+
+/**
+ * 创建模型操作器
+ * @param {Object} options 选项，见 MANIPULATION_DEFAULTS
+ * @returns {Object} 操作器接口 { setTarget, setHome, grab, release, update, reset, isActive, getScale }
+ */
+export function createModelManipulator(options = {}) {
+  const settings = { ...MANIPULATION_DEFAULTS, ...options };
+  const state = {
+    target: null,
+    home: { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: 1 },
+    baseScale: 1,     // 初始大小对应的缩放（setTarget 时记录），缩放限制相对它计算
+    grabs: [],        // 抓住模型的控制器 { id, object, startTime, startPosition, offset }
+    twoHand: null,    // 双手操作开始时的状态
+    snapTo: null,     // 回正目标朝向
+    lastTap: 0
+  };
+
+  const scratch = {
+    matrix: new THREE.Matrix4(),
+    parentInverse: new THREE.Matrix4(),
+    position: new THREE.Vector3(),
+    other: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion(),
+    scale: new THREE.Vector3()
+  };
+
+  /**
+   * 控制器在模型父节点坐标系中的位姿矩阵
+   * @param {THREE.Object3D} object 控制器
+   * @param {THREE.Matrix4} out 输出
+   * @returns {THREE.Matrix4}
+   */
+  function getLocalMatrix(object, out) {
+    object.updateMatrixWorld();
+    out.copy(object.matrixWorld);
+    const parent = state.target.parent;
+    if (parent) {
+      parent.updateWorldMatrix(true, false);
+      out.premultiply(scratch.parentInverse.copy(parent.matrixWorld).invert());
+    }
+    return out;
+  }
+
+  /**
+   * 控制器在模型父节点坐标系中的位置
+   * @param {THREE.Object3D} object 控制器
+   * @param {THREE.Vector3} out 输出
+   * @returns {THREE.Vector3}
+   */
+  function getLocalPosition(object, out) {
+    return out.setFromMatrixPosition(getLocalMatrix(object, scratch.matrix));
+  }
+
+  /**
+   * 模型当前的变换矩阵
+   * @param {THREE.Matrix4} out 输出
+   * @returns {THREE.Matrix4}
+   */
+  function getTargetMatrix(out) {
+    const target = state.target;
+    return out.compose(target.position, target.quaternion, target.scale);
+  }
+
+  /**
+   * 两手在水平面内连线的方向角
+   * @param {THREE.Vector3} a 第一只手
+   * @param {THREE.Vector3} b 第二只手
+   * @returns {number} 弧度
+   */
+  function getHandsYaw(a, b) {
+    return Math.atan2(b.x - a.x, b.z - a.z);
+  }
+
+  /**
+   * 抓住的控制器数量变化后重新开始：一只手记录模型相对控制器的偏移，两只手记录初始距离、中点和方向
+   * 每次都从模型当前的变换开始，切换单双手时模型不会跳动
+   */
+  function beginGrab() {
+    state.twoHand = null;
+    if (state.grabs.length === 1) {
+      const grab = state.grabs[0];
+      grab.offset = getLocalMatrix(grab.object, new THREE.Matrix4()).invert()
+        .multiply(getTargetMatrix(scratch.matrix));
+    } else if (state.grabs.length >= 2) {
+      const a = getLocalPosition(state.grabs[0].object, new THREE.Vector3());
+      const b = getLocalPosition(state.grabs[1].object, new THREE.Vector3());
+      state.twoHand = {
+        distance: Math.max(a.distanceTo(b), 1e-4),
+        midpoint: a.clone().add(b).multiplyScalar(0.5),
+        yaw: getHandsYaw(a, b),
+        position: state.target.position.clone(),
+        quaternion: state.target.quaternion.clone(),
+        scale: state.target.scale.x
+      };
+    }
+  }
+
+  /**
+   * 设置操作的模型，当前变换作为初始状态（重置时恢复）
+   * @param {THREE.Object3D|null} target 模型
+   */
+  function setTarget(target) {
+    state.target = target;
+    state.grabs = [];
+    state.twoHand = null;
+    state.snapTo = null;
+    if (target) {
+      state.baseScale = target.scale.x;
+      setHome();
+    }
+  }
+
+  /**
+   * 把模型当前的变换记为初始状态，可以给出新位置（例如AR放置后）
+   * @param {THREE.Vector3} position 初始位置，不给出时使用当前位置
+   */
+  function setHome(position) {
+    const target = state.target;
+    if (!target) return;
+    state.home.position.copy(position || target.position);
+    state.home.quaternion.copy(target.quaternion);
+    state.home.scale = target.scale.x;
+  }
+
+  /**
+   * 恢复初始的位置、朝向和大小
+   */
+  function reset() {
+    const target = state.target;
+    if (!target) return;
+    target.position.copy(state.home.position);
+    target.quaternion.copy(state.home.quaternion);
+    target.scale.setScalar(state.home.scale);
+    state.snapTo = null;
+    beginGrab();
+  }
+
+  /**
+   * 控制器抓住模型
+   * @param {string} id 控制器标识
+   * @param {THREE.Object3D} object 控制器（位姿跟随手）
+   * @param {number} now 当前时间（毫秒）
+   * @returns {string|null} grab 开始操作，reset 识别为重置手势（不开始操作），没有模型时为null
+   */
+  function grab(id, object, now = Date.now()) {
+    if (!state.target) return null;
+
+    if (state.grabs.length === 0 && now - state.lastTap < settings.doubleTapTime) {
+      state.lastTap = 0;
+      reset();
+      return 'reset';
+    }
+
+    state.grabs = state.grabs.filter(item => item.id !== id);
+    state.grabs.push({
+      id,
+      object,
+      startTime: now,
+      startPosition: getLocalPosition(object, new THREE.Vector3()),
+      offset: null
+    });
+    state.snapTo = null;
+    beginGrab();
+    return 'grab';
+  }
+
+  /**
+   * 控制器松开模型，最后一只手松开时检查是否回正
+   * @param {string} id 控制器标识
+   * @param {number} now 当前时间（毫秒）
+   * @returns {boolean} 是否结束了操作（没有手再抓住模型）
+   */
+  function release(id, now = Date.now()) {
+    const released = state.grabs.find(item => item.id === id);
+    if (!released) return false;
+
+    state.grabs = state.grabs.filter(item => item !== released);
+    if (state.grabs.length > 0) {
+      beginGrab();
+      return false;
+    }
+
+    state.twoHand = null;
+    const moved = getLocalPosition(released.object, scratch.other).distanceTo(released.startPosition);
+    state.lastTap = now - released.startTime < settings.tapTime && moved < settings.tapDistance ? now : 0;
+    startSnap();
+    return true;
+  }
+
+  /**
+   * 倾斜小于回正角度时，以只保留水平朝向的姿态为回正目标
+   */
+  function startSnap() {
+    const quaternion = state.target.quaternion;
+    const up = scratch.other.copy(UP).applyQuaternion(quaternion);
+    const tilt = up.angleTo(UP);
+    if (tilt < 1e-3 || tilt > settings.snapAngle) return;
+
+    const forward = scratch.position.copy(FORWARD).applyQuaternion(quaternion);
+    state.snapTo = new THREE.Quaternion().setFromAxisAngle(UP, Math.atan2(forward.x, forward.z));
+  }
+
+  /**
+   * 每帧更新：跟随抓住的控制器，或继续回正
+   * @param {number} delta 帧间隔（秒）
+   */
+  function update(delta) {
+    const target = state.target;
+    if (!target) return;
+
+    if (state.grabs.length === 1) {
+      const { object, offset } = state.grabs[0];
+      getLocalMatrix(object, scratch.matrix).multiply(offset)
+        .decompose(target.position, target.quaternion, scratch.scale);
+    } else if (state.twoHand) {
+      const start = state.twoHand;
+      const a = getLocalPosition(state.grabs[0].object, scratch.position);
+      const b = getLocalPosition(state.grabs[1].object, scratch.other);
+
+      const scale = THREE.MathUtils.clamp(start.scale * a.distanceTo(b) / start.distance,
+        state.baseScale * settings.minScale, state.baseScale * settings.maxScale);
+      const ratio = scale / start.scale;
+      const twist = scratch.quaternion.setFromAxisAngle(UP, getHandsYaw(a, b) - start.yaw);
+      const midpoint = a.add(b).multiplyScalar(0.5);
+
+      // 模型相对两手中点的偏移随缩放伸缩、随扭转转动
+      target.position.copy(start.position).sub(start.midpoint)
+        .multiplyScalar(ratio).applyQuaternion(twist).add(midpoint);
+      target.quaternion.copy(twist).multiply(start.quaternion);
+      target.scale.setScalar(scale);
+    } else if (state.snapTo) {
+      target.quaternion.slerp(state.snapTo, 1 - Math.exp(-delta * settings.snapSpeed));
+      if (target.quaternion.angleTo(state.snapTo) < 1e-3) {
+        target.quaternion.copy(state.snapTo);
+        state.snapTo = null;
+      }
+    }
+  }
+
+  return {
+    setTarget,
+    setHome,
+    grab,
+    release,
+    update,
+    reset,
+    isActive: () => state.grabs.length > 0,
+    getScale: () => (state.target ? state.target.scale.x / state.baseScale : 1)
+  };
+}
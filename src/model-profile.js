@@ -0,0 +1,195 @@
+/**
+ * Lofi FM 模型绑定配置
+ * 描述一个模型中哪些节点是唱盘、唱臂、音量旋钮和按钮，哪些动画是唱针落下 / 抬起 / 播放中，
+ * 换用磁带机、收音机等其他模型时只需提供一份 JSON 绑定配置，不用改代码。
+ *
+ * 节点规则: { "name": "精确名称" } 或 { "includes": ["关键字", ...] }（不区分大小写），
+ * 先序遍历第一个匹配的节点生效；"optional": true 的部件缺失时不报告。
+ */
+
+// 内置唱片机模型的绑定配置
+export const DEFAULT_PROFILE = {
+  name: 'record-player',
+  model: 'model/record_player_ani.glb',
+  fallbackModel: 'model/record_player.glb', // 带动画的模型加载失败时使用（没有动画，播放序列立即完成）
+  size: 0.45, // 真实尺寸：模型最长边（米），AR放置时按此缩放
+  nodes: {
+    platter: { includes: ['vinyl'] },                          // 旋转的唱盘（黑胶唱片）
+    tonearm: { includes: ['stylus'], optional: true },         // 唱臂，第一个匹配的是最外层节点
+    volumeKnob: { includes: ['volume', 'knob'], optional: true } // 音量旋钮，没有时自动生成
+  },
+  animations: {
+    lower: 'stylus_On',           // 唱针落下
+    lift: 'stylus_Off',           // 唱针抬起
+    playing: 'stylus_playing',    // 播放中循环（唱针抖动）
+    buttonDown: 'button_down'     // 播放中保持按下的播放按钮
+  },
+  // 追加或替换 button-registry.js 中的按钮定义
+  buttons: [
+    { action: 'previous', names: ['previous', 'prev', 'last_song'] }
+  ]
+};
+
+export const PROFILE_NODES = Object.keys(DEFAULT_PROFILE.nodes);
+export const PROFILE_ANIMATIONS = Object.keys(DEFAULT_PROFILE.animations);
+
+/**
+ * 校验节点规则
+ * @param {*} rule 节点规则
+ * @returns {string|null} 错误信息
+ */
+function validateNodeRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return '应为对象';
+  if (rule.name !== undefined && (typeof rule.name !== 'string' || !rule.name)) return 'name 应为非空字符串';
+  if (rule.includes !== undefined && (!Array.isArray(rule.includes) || rule.includes.length === 0 ||
+    !rule.includes.every(key => typeof key === 'string' && key))) {
+    return 'includes 应为非空字符串数组';
+  }
+  if (rule.name === undefined && rule.includes === undefined) return '需要 name 或 includes';
+  return null;
+}
+
+/**
+ * 校验并补全绑定配置，未给出的部件和动画使用内置唱片机的设置
+ * @param {Object} profile 绑定配置
+ * @param {string} baseUrl 解析模型相对路径的基础地址（绑定配置文件的地址）
+ * @returns {Object} 完整的绑定配置
+ * @throws {Error} 结构无效时
+ */
+export function normalizeProfile(profile, baseUrl) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('绑定配置应为对象');
+  }
+
+  const errors = [];
+  const nodes = { ...DEFAULT_PROFILE.nodes };
+  const animations = { ...DEFAULT_PROFILE.animations };
+
+  Object.entries(profile.nodes || {}).forEach(([key, rule]) => {
+    if (!PROFILE_NODES.includes(key)) {
+      errors.push(`未知的部件 ${key}（可选: ${PROFILE_NODES.join(' / ')}）`);
+      return;
+    }
+    // null 表示模型没有此部件
+    if (rule === null) {
+      nodes[key] = null;
+      return;
+    }
+    const error = validateNodeRule(rule);
+    if (error) {
+      errors.push(`部件 ${key}: ${error}`);
+    } else {
+      nodes[key] = rule;
+    }
+  });
+
+  Object.entries(profile.animations || {}).forEach(([key, name]) => {
+    if (!PROFILE_ANIMATIONS.includes(key)) {
+      errors.push(`未知的动画 ${key}（可选: ${PROFILE_ANIMATIONS.join(' / ')}）`);
+    } else if (name !== null && (typeof name !== 'string' || !name)) {
+      errors.push(`动画 ${key}: 应为非空字符串或 null`);
+    } else {
+      animations[key] = name;
+    }
+  });
+
+  const buttons = profile.buttons || [];
+  if (!Array.isArray(buttons)) {
+    errors.push('buttons 应为数组');
+  } else {
+    buttons.forEach((button, index) => {
+      if (!button || typeof button.action !== 'string' || !Array.isArray(button.names) || button.names.length === 0) {
+        errors.push(`按钮 ${index}: 需要 action 和 names`);
+      }
+    });
+  }
+
+  ['model', 'fallbackModel'].forEach(key => {
+    if (profile[key] !== undefined && (typeof profile[key] !== 'string' || !profile[key])) {
+      errors.push(`${key} 应为非空字符串`);
+    }
+  });
+
+  if (profile.size !== undefined && (typeof profile.size !== 'number' || !(profile.size > 0))) {
+    errors.push('size 应为正数（米）');
+  }
+
+  if (errors.length > 0) {
+    throw new Error('绑定配置无效: ' + errors.join('；'));
+  }
+
+  return {
+    name: typeof profile.name === 'string' && profile.name ? profile.name : 'custom',
+    model: profile.model ? new URL(profile.model, baseUrl).href : null,
+    fallbackModel: profile.fallbackModel ? new URL(profile.fallbackModel, baseUrl).href : null,
+    size: profile.size !== undefined ? profile.size : DEFAULT_PROFILE.size,
+    nodes,
+    animations,
+    buttons: Array.isArray(buttons) ? buttons : []
+  };
+}
+
+/**
+ * 加载绑定配置文件
+ * @param {string} url 配置文件地址
+ * @returns {Promise<Object>} 完整的绑定配置，模型地址相对配置文件解析
+ */
+export async function loadProfile(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`绑定配置请求失败: ${response.status} ${response.statusText}`);
+  }
+
+  const profile = await response.json();
+  return normalizeProfile(profile, response.url || url);
+}
+
+/**
+ * 判断节点名称是否匹配规则
+ * @param {string} name 节点名称
+ * @param {Object} rule 节点规则
+ * @returns {boolean}
+ */
+function matchesRule(name, rule) {
+  if (!name) return false;
+  if (rule.name !== undefined) return name === rule.name;
+  const lower = name.toLowerCase();
+  return rule.includes.some(key => lower.includes(key.toLowerCase()));
+}
+
+/**
+ * 按绑定配置在模型中查找部件，并检查动画是否存在
+ * @param {Object} model 模型根节点（需要 traverse 方法）
+ * @param {Array<string>} clipNames 模型中的动画名称
+ * @param {Object} profile 完整的绑定配置
+ * @param {Function} exclude 返回 true 的节点不作为部件（例如已注册为按钮的节点）
+ * @returns {{nodes: Object, missing: Array<string>}} 找到的部件（缺失为null）和缺失项说明
+ */
+export function bindProfile(model, clipNames, profile, exclude = () => false) {
+  const nodes = {};
+  const missing = [];
+
+  PROFILE_NODES.forEach(key => {
+    nodes[key] = null;
+    const rule = profile.nodes[key];
+    if (!rule) return;
+
+    model.traverse((node) => {
+      if (!nodes[key] && matchesRule(node.name, rule) && !exclude(node)) {
+        nodes[key] = node;
+      }
+    });
+    if (!nodes[key] && !rule.optional) {
+      missing.push(`节点 ${key}（${rule.name || rule.includes.join(' / ')}）`);
+    }
+  });
+
+  PROFILE_ANIMATIONS.forEach(key => {
+    const name = profile.animations[key];
+    if (name && !clipNames.includes(name)) {
+      missing.push(`动画 ${key}（${name}）`);
+    }
+  });
+
+  return { nodes, missing };
+}
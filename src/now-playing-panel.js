@@ -0,0 +1,200 @@
+/**
+ * Lofi FM 正在播放面板
+ * 沉浸式AR中看不到页面上的状态栏，面板在场景中显示音轨标题、艺术家和专辑、已播放 / 剩余时间和进度条，
+ * 以及原本只显示在状态栏中的提示（几秒后消失）。
+ * 面板始终保持竖直并转向观看者；没有播放也没有提示时淡出隐藏。
+ * 文字绘制在画布纹理上，内容变化时才重绘。
+ */
+
+import * as THREE from 'three';
+
+// 默认设置
+export const NOW_PLAYING_DEFAULTS = {
+  canvasWidth: 512,    // 画布宽度（像素），面板宽度为1，由调用方缩放
+  canvasHeight: 224,   // 画布高度（像素）
+  messageTime: 3000,   // 提示显示时长（毫秒）
+  fadeSpeed: 8         // 显示 / 隐藏的过渡速度（1/秒）
+};
+
+/**
+ * 格式化播放时间
+ * @param {number} seconds 秒
+ * @returns {string} m:ss
+ */
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 截断超出宽度的文字，末尾加省略号
+ * @param {CanvasRenderingContext2D} context 绘图上下文（已设置字体）
+ * @param {string} text 文字
+ * @param {number} maxWidth 最大宽度（像素）
+ * @returns {string}
+ */
+function fitText(context, text, maxWidth) {
+  if (context.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && context.measureText(text.slice(0, end) + '…').width > maxWidth) {
+    end--;
+  }
+  return text.slice(0, end) + '…';
+}
+
+/**
+ * 创建正在播放面板
+ * @param {Object} options 选项，见 NOW_PLAYING_DEFAULTS
+ * @returns {Object} 面板接口 { object, setTrack, setProgress, setPlaying, showMessage, update, dispose }
+ */
+export function createNowPlayingPanel(options = {}) {
+  const settings = { ...NOW_PLAYING_DEFAULTS, ...options };
+  const state = {
+    track: null,
+    currentTime: 0,
+    duration: 0,
+    playing: false,
+    message: '',
+    messageUntil: 0,   // 提示消失的时间戳（毫秒）
+    opacity: 0,
+    lastText: ''       // 上次绘制的内容，变化时才重绘
+  };
+
+  const canvas = document.createElement('canvas');
+  canvas.width = settings.canvasWidth;
+  canvas.height = settings.canvasHeight;
+  const texture = new THREE.CanvasTexture(canvas);
+
+  // 不受场景光照影响，半透明叠在唱片机上方
+  const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: 0, depthWrite: false });
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, canvas.height / canvas.width), material);
+  mesh.name = 'now_playing_panel';
+  mesh.visible = false;
+  mesh.raycast = () => {}; // 不挡住射线，抓取和按钮不受影响
+
+  const scratch = {
+    viewer: new THREE.Vector3(),
+    position: new THREE.Vector3()
+  };
+
+  /**
+   * 重绘面板
+   * @param {number} now 当前时间戳（毫秒）
+   */
+  function draw(now) {
+    const track = state.track;
+    const hasMessage = now < state.messageUntil;
+    const hasDuration = state.duration > 0 && isFinite(state.duration);
+    const { width, height } = canvas;
+    const barWidth = width - 48;
+    const progress = hasDuration ? Math.min(1, state.currentTime / state.duration) : 0;
+
+    const title = track ? track.title || '' : '';
+    const artist = track ? [track.artist, track.album].filter(Boolean).join(' · ') : '';
+    const elapsed = formatTime(state.currentTime);
+    const remaining = hasDuration ? '-' + formatTime(state.duration - state.currentTime) : '';
+    const message = hasMessage ? state.message : '';
+
+    const text = [title, artist, elapsed, remaining, Math.round(progress * barWidth), message].join('|');
+    if (text === state.lastText) return;
+    state.lastText = text;
+
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = 'rgba(24, 20, 36, 0.85)';
+    context.fillRect(0, 0, width, height);
+
+    context.textAlign = 'left';
+    context.textBaseline = 'top';
+    context.fillStyle = '#ffffff';
+    context.font = 'bold 36px sans-serif';
+    context.fillText(fitText(context, title, barWidth), 24, 18);
+
+    context.fillStyle = '#b0bec5';
+    context.font = '26px sans-serif';
+    context.fillText(fitText(context, artist, barWidth), 24, 64);
+
+    // 进度条和时间
+    context.fillStyle = 'rgba(255, 255, 255, 0.2)';
+    context.fillRect(24, 112, barWidth, 6);
+    context.fillStyle = '#ff8a65';
+    context.fillRect(24, 112, barWidth * progress, 6);
+
+    context.fillStyle = '#cfd8dc';
+    context.font = '24px monospace';
+    context.fillText(elapsed, 24, 128);
+    context.textAlign = 'right';
+    context.fillText(remaining, width - 24, 128);
+
+    // 提示条
+    if (message) {
+      context.fillStyle = 'rgba(255, 138, 101, 0.9)';
+      context.fillRect(0, height - 52, width, 52);
+      context.fillStyle = '#ffffff';
+      context.font = '26px sans-serif';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(fitText(context, message, width - 32), width / 2, height - 26);
+    }
+
+    texture.needsUpdate = true;
+  }
+
+  /**
+   * 转向观看者，只绕竖直轴转动
+   * @param {THREE.Camera} camera 观看者
+   */
+  function faceViewer(camera) {
+    camera.getWorldPosition(scratch.viewer);
+    mesh.getWorldPosition(scratch.position);
+    scratch.viewer.y = scratch.position.y;
+    if (scratch.viewer.distanceToSquared(scratch.position) > 1e-6) {
+      mesh.lookAt(scratch.viewer);
+    }
+  }
+
+  /**
+   * 每帧更新：淡入淡出、转向观看者、重绘变化的内容
+   * @param {number} delta 帧间隔（秒）
+   * @param {THREE.Camera} camera 观看者
+   * @param {number} now 当前时间戳（毫秒）
+   */
+  function update(delta, camera, now = Date.now()) {
+    const shown = state.playing || now < state.messageUntil;
+    const target = shown ? 1 : 0;
+    state.opacity += (target - state.opacity) * (1 - Math.exp(-delta * settings.fadeSpeed));
+    if (Math.abs(target - state.opacity) < 0.01) {
+      state.opacity = target;
+    }
+
+    material.opacity = state.opacity;
+    mesh.visible = state.opacity > 0;
+    if (!mesh.visible) return;
+
+    if (camera) {
+      faceViewer(camera);
+    }
+    draw(now);
+  }
+
+  return {
+    object: mesh,
+    update,
+    setTrack: (track) => { state.track = track; },
+    setProgress: (currentTime, duration) => {
+      state.currentTime = currentTime;
+      state.duration = duration;
+    },
+    setPlaying: (playing) => { state.playing = !!playing; },
+    // 显示提示，几秒后消失；没有播放时面板也显示到提示消失
+    showMessage: (message, now = Date.now()) => {
+      state.message = message;
+      state.messageUntil = now + settings.messageTime;
+    },
+    dispose: () => {
+      mesh.geometry.dispose();
+      material.dispose();
+      texture.dispose();
+    }
+  };
+}
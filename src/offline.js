@@ -0,0 +1,71 @@
+/**
+ * Lofi FM 离线支持
+ * 注册 Service Worker（sw.js）预缓存页面、模型和音频，没有网络时从缓存提供。
+ * Service Worker 安装、更新和补充缓存后发来缓存状态，页面把实际使用的模型和音轨地址发给它补充缓存。
+ */
+
+/**
+ * 当前环境是否支持 Service Worker（需要 HTTPS 或 localhost）
+ * @returns {boolean}
+ */
+export function isOfflineSupported() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+    typeof window !== 'undefined' && window.isSecureContext !== false;
+}
+
+/**
+ * 注册 Service Worker
+ * @param {string} url Service Worker 脚本地址，其所在目录即缓存范围
+ * @param {Object} options 选项
+ * @param {Function} options.onStatus 缓存状态回调 ({ state, version, cached, added, failed })，
+ *   state 为 ready（首次安装完成）/ updated（新版本已接管）/ cached（补充缓存完成）/ error（部分地址缓存失败）
+ * @returns {Object} { ready, precache(urls), dispose() }，ready 在注册完成后为 true，失败时为 false
+ */
+export function registerOfflineSupport(url, { onStatus = () => {} } = {}) {
+  const container = navigator.serviceWorker;
+
+  /**
+   * 接收 Service Worker 的缓存状态
+   * @param {MessageEvent} event 消息
+   */
+  function onMessage(event) {
+    const data = event.data || {};
+    if (data.type === 'cache-status') {
+      onStatus(data);
+    }
+  }
+  container.addEventListener('message', onMessage);
+
+  const ready = container.register(url).then((registration) => {
+    console.log('Service Worker 注册成功，缓存范围:', registration.scope);
+    return true;
+  }).catch((error) => {
+    console.warn('Service Worker 注册失败，离线缓存不可用:', error);
+    onStatus({ state: 'error', version: null, cached: 0, added: 0, failed: [], error });
+    return false;
+  });
+
+  /**
+   * 请求补充缓存一组地址（已缓存的跳过），Service Worker 激活后发送
+   * @param {Array<string>} urls 资源地址
+   */
+  function precache(urls) {
+    // Service Worker 只处理同源请求，跨域地址（例如网络电台）不缓存
+    const list = urls.filter(item => item && new URL(item, window.location.href).origin === window.location.origin);
+    if (list.length === 0) return;
+    ready.then((registered) => {
+      if (!registered) return null;
+      return container.ready.then((registration) => {
+        if (registration.active) {
+          registration.active.postMessage({ type: 'precache', urls: list });
+        }
+      });
+    }).catch(error => console.warn('请求补充缓存失败:', error));
+  }
+
+  return {
+    ready,
+    precache,
+    dispose: () => container.removeEventListener('message', onMessage)
+  };
+}
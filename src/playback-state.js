@@ -0,0 +1,154 @@
+/**
+ * Lofi FM 播放状态机
+ * idle → lowering → playing → lifting → idle，另有 paused（唱臂被抓起）和 error 状态
+ *
+ * 状态机只负责状态转换，动画、音乐等副作用由订阅者在状态变化时执行；
+ * 动画完成由 AnimationMixer 的 finished 事件以 lowered / lifted 事件送入。
+ */
+
+export const PLAYBACK_STATES = {
+  IDLE: 'idle',         // 唱针在支架上，音乐停止
+  LOWERING: 'lowering', // 唱针正在落下
+  PLAYING: 'playing',   // 唱针在唱片上，音乐播放中
+  PAUSED: 'paused',     // 唱臂被抓起，音乐暂停，放下后继续
+  LIFTING: 'lifting',   // 唱针正在抬起
+  ERROR: 'error'        // 播放失败
+};
+
+const { IDLE, LOWERING, PLAYING, PAUSED, LIFTING, ERROR } = PLAYBACK_STATES;
+
+/**
+ * 转换表：每个状态对每个事件都有明确结果，null 表示忽略该事件
+ *
+ * 事件:
+ *   toggle  播放按钮（落下 / 抬起，过渡中按下则反向）
+ *   play    开始播放
+ *   stop    停止播放
+ *   pause   抓起唱臂
+ *   resume  放下唱臂
+ *   lowered 唱针落下动画完成
+ *   lifted  唱针抬起动画完成
+ *   fail    播放失败
+ *   end     XR会话结束或播放器销毁：不等动画，直接回到 idle
+ */
+const TRANSITIONS = {
+  [IDLE]: {
+    toggle: LOWERING, play: LOWERING, stop: null, pause: null, resume: null,
+    lowered: null, lifted: null, fail: ERROR, end: null
+  },
+  [LOWERING]: {
+    toggle: LIFTING, play: null, stop: LIFTING, pause: null, resume: null,
+    lowered: PLAYING, lifted: null, fail: ERROR, end: IDLE
+  },
+  [PLAYING]: {
+    toggle: LIFTING, play: null, stop: LIFTING, pause: PAUSED, resume: null,
+    lowered: null, lifted: null, fail: ERROR, end: IDLE
+  },
+  [PAUSED]: {
+    toggle: LIFTING, play: PLAYING, stop: LIFTING, pause: null, resume: PLAYING,
+    lowered: null, lifted: null, fail: ERROR, end: IDLE
+  },
+  [LIFTING]: {
+    toggle: LOWERING, play: LOWERING, stop: null, pause: null, resume: null,
+    lowered: null, lifted: IDLE, fail: ERROR, end: IDLE
+  },
+  [ERROR]: {
+    toggle: LOWERING, play: LOWERING, stop: IDLE, pause: null, resume: null,
+    lowered: null, lifted: null, fail: null, end: IDLE
+  }
+};
+
+export const PLAYBACK_EVENTS = Object.keys(TRANSITIONS[IDLE]);
+
+/**
+ * 创建播放状态机
+ * @param {Object} options 选项
+ * @param {string} options.initial 初始状态
+ * @returns {Object} 状态机接口
+ */
+export function createPlaybackMachine({ initial = IDLE } = {}) {
+  if (!TRANSITIONS[initial]) {
+    throw new Error('未知的播放状态: ' + initial);
+  }
+
+  const state = {
+    current: initial,
+    listeners: new Set(),
+    queue: [],        // 订阅者在状态变化期间发送的事件，当前变化通知完后依次处理
+    dispatching: false
+  };
+
+  /**
+   * 执行一次状态转换并通知订阅者
+   * @param {string} event 事件
+   * @param {*} detail 附加数据
+   */
+  function transition(event, detail) {
+    const next = TRANSITIONS[state.current][event];
+    if (!next) {
+      console.log(`播放状态 ${state.current} 忽略事件 ${event}`);
+      return;
+    }
+
+    const previous = state.current;
+    state.current = next;
+    console.log(`播放状态: ${previous} -> ${next} (${event})`);
+
+    state.listeners.forEach(listener => {
+      try {
+        listener(next, previous, event, detail);
+      } catch (error) {
+        console.error('播放状态订阅者出错:', error);
+      }
+    });
+  }
+
+  /**
+   * 发送事件
+   * @param {string} event 事件名称，见 PLAYBACK_EVENTS
+   * @param {*} detail 附加数据（例如错误对象）
+   * @returns {boolean} 事件是否会引起状态变化（在状态变化通知期间发送的事件按入队时的状态判断）
+   */
+  function send(event, detail) {
+    if (!PLAYBACK_EVENTS.includes(event)) {
+      console.warn('未知的播放事件:', event);
+      return false;
+    }
+
+    if (state.dispatching) {
+      state.queue.push({ event, detail });
+      return true;
+    }
+
+    const accepted = !!TRANSITIONS[state.current][event];
+    state.dispatching = true;
+    try {
+      transition(event, detail);
+      while (state.queue.length > 0) {
+        const queued = state.queue.shift();
+        transition(queued.event, queued.detail);
+      }
+    } finally {
+      state.dispatching = false;
+    }
+    return accepted;
+  }
+
+  /**
+   * 订阅状态变化
+   * @param {Function} listener 回调 (state, previous, event, detail)
+   * @returns {Function} 取消订阅函数
+   */
+  function subscribe(listener) {
+    state.listeners.add(listener);
+    return () => state.listeners.delete(listener);
+  }
+
+  return {
+    send,
+    subscribe,
+    getState: () => state.current,
+    is: (name) => state.current === name,
+    can: (event) => !!(TRANSITIONS[state.current] && TRANSITIONS[state.current][event])
+  };
+}
@@ -0,0 +1,387 @@
+/**
+ * Lofi FM 播放器核心
+ * 与渲染引擎无关的播放逻辑：播放状态机、播放队列、唱针动画与音乐的时序。
+ * Three.js 入口（src/jsar-lofi-fm.js）和 JSAR 入口（lib/main.ts）共用，
+ * 入口只提供动画适配器、音频端口和电机 / 唱针钩子，再把按钮和动画完成事件送进来。
+ */
+
+import { createPlaybackMachine, PLAYBACK_STATES } from './playback-state.js';
+
+const { IDLE, LOWERING, PLAYING, PAUSED, LIFTING, ERROR } = PLAYBACK_STATES;
+
+// 核心使用的模型动画（不带模型前缀的名称），其他模型可通过 animations 选项替换
+export const PLAYER_ANIMATIONS = {
+  STYLUS_ON: 'stylus_On',           // 唱针落下
+  STYLUS_OFF: 'stylus_Off',         // 唱针抬起
+  STYLUS_PLAYING: 'stylus_playing'  // 播放中唱针抖动（循环）
+};
+
+// 循环模式：off 播完列表停止，all 列表循环，one 单曲循环
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+/**
+ * 创建播放队列
+ * 音轨按播放顺序（order，随机播放时打乱）排列，index 始终是音轨在 tracks 中的序号
+ * @param {Array<Object>} tracks 初始音轨 { file, title, artist, duration }
+ * @returns {Object} 队列接口
+ */
+export function createTrackQueue(tracks = []) {
+  const state = {
+    tracks: tracks.slice(),
+    order: [],        // 播放顺序，元素为 tracks 中的序号
+    position: 0,      // 当前音轨在 order 中的位置
+    shuffle: false,
+    repeat: 'all'
+  };
+
+  /**
+   * 把位置折回到队列范围内（首尾相接）
+   * @param {number} position 位置
+   * @returns {number}
+   */
+  function wrap(position) {
+    const size = state.tracks.length;
+    return size > 0 ? ((position % size) + size) % size : 0;
+  }
+
+  /**
+   * 重建播放顺序，当前音轨保持不变
+   * 随机播放时当前音轨排在第一位，其余打乱
+   * @param {number} index 当前音轨序号
+   */
+  function buildOrder(index) {
+    const indices = state.tracks.map((track, i) => i);
+    if (!state.shuffle) {
+      state.order = indices;
+      state.position = Math.max(0, Math.min(index, indices.length - 1));
+      return;
+    }
+
+    const rest = indices.filter(i => i !== index);
+    for (let i = rest.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+    state.order = index < indices.length ? [index, ...rest] : rest;
+    state.position = 0;
+  }
+
+  /**
+   * 当前音轨序号
+   * @returns {number}
+   */
+  function getIndex() {
+    return state.order.length > 0 ? state.order[state.position] : 0;
+  }
+
+  /**
+   * 当前音轨
+   * @returns {Object|null}
+   */
+  function getCurrent() {
+    return state.tracks[getIndex()] || null;
+  }
+
+  buildOrder(0);
+
+  return {
+    getTracks: () => state.tracks.slice(),
+    size: () => state.tracks.length,
+    getIndex,
+    getCurrent,
+    indexOf: (track) => state.tracks.indexOf(track),
+    findIndex: (predicate) => state.tracks.findIndex(predicate),
+    isShuffled: () => state.shuffle,
+    getRepeat: () => state.repeat,
+
+    /**
+     * 替换音轨
+     * @param {Array<Object>} tracks 音轨
+     * @param {number} index 当前音轨序号
+     */
+    setTracks(tracks, index = 0) {
+      state.tracks = tracks.slice();
+      buildOrder(Math.max(0, Math.min(index, state.tracks.length - 1)));
+    },
+
+    /**
+     * 设置当前音轨
+     * @param {number} index 序号
+     * @returns {boolean} 序号是否有效
+     */
+    setIndex(index) {
+      if (!Number.isInteger(index) || index < 0 || index >= state.tracks.length) return false;
+      state.position = state.order.indexOf(index);
+      return true;
+    },
+
+    /**
+     * 查看按播放顺序相对当前音轨的音轨，不移动
+     * @param {number} offset 偏移，1 为下一首
+     * @returns {Object|null}
+     */
+    peek(offset = 1) {
+      return state.tracks[state.order[wrap(state.position + offset)]] || null;
+    },
+
+    /**
+     * 当前音轨播完后自动播放的音轨（按循环模式）
+     * @returns {Object|null} 列表播完且不循环时为null
+     */
+    upNext() {
+      if (state.tracks.length === 0) return null;
+      if (state.repeat === 'one') return getCurrent();
+      if (state.repeat === 'off' && state.position >= state.order.length - 1) return null;
+      return state.tracks[state.order[wrap(state.position + 1)]];
+    },
+
+    /**
+     * 按播放顺序移动当前音轨（手动切换总是首尾相接）
+     * @param {number} offset 偏移，1 为下一首、-1 为上一首
+     * @returns {Object|null} 新的当前音轨
+     */
+    step(offset) {
+      state.position = wrap(state.position + offset);
+      return getCurrent();
+    },
+
+    /**
+     * 开关随机播放，当前音轨不变
+     * @param {boolean} enabled 是否随机
+     */
+    setShuffle(enabled) {
+      const index = getIndex();
+      state.shuffle = !!enabled;
+      buildOrder(index);
+    },
+
+    /**
+     * 设置循环模式
+     * @param {string} mode 见 REPEAT_MODES
+     * @returns {boolean} 模式是否有效
+     */
+    setRepeat(mode) {
+      if (!REPEAT_MODES.includes(mode)) return false;
+      state.repeat = mode;
+      return true;
+    }
+  };
+}
+
+/**
+ * 创建播放器核心
+ * @param {Object} options 选项
+ * @param {Object} options.animator 动画适配器 { has(name), play(name, { loop, startProgress }), stop(names), setPaused(name, paused), getProgress(name) }
+ * @param {Object} options.audio 音频端口 { isReady(), isPlaying(), play(track), pause(), stop(), preload(track)? }
+ * @param {Array<Object>} options.tracks 初始音轨
+ * @param {Object} options.animations 动画名称，键同 PLAYER_ANIMATIONS，null 表示模型没有此动画
+ * @param {Object} options.hooks 入口的副作用 { setMotor(on), setStylusOnVinyl(onVinyl) }
+ * @returns {Object} 核心接口 { playback, queue, toggle, next, previous, animationFinished, setAnimations, isPlaying, end, dispose }
+ */
+export function createPlayerCore({ animator, audio, tracks = [], animations = {}, hooks = {} }) {
+  const playback = createPlaybackMachine();
+  const queue = createTrackQueue(tracks);
+  const clips = { ...PLAYER_ANIMATIONS, ...animations };
+  const setMotor = hooks.setMotor || (() => {});
+  const setStylusOnVinyl = hooks.setStylusOnVinyl || (() => {});
+
+  /**
+   * 进入 lowering：电机先启动，唱盘在唱针落下期间加速
+   * @param {string} previous 原状态
+   */
+  function enterLowering(previous) {
+    // 抬起过程中再次按下：从抬起的对应位置反向落下
+    const progress = previous === LIFTING ? 1 - animator.getProgress(clips.STYLUS_OFF) : 0;
+    animator.stop([clips.STYLUS_OFF]);
+    setMotor(true);
+
+    if (!animator.has(clips.STYLUS_ON)) {
+      console.log('警告: 唱针落下动画不存在，使用简化播放序列');
+      playback.send('lowered');
+      return;
+    }
+    animator.play(clips.STYLUS_ON, { startProgress: progress });
+  }
+
+  /**
+   * 进入 playing：唱针落在唱片上，开始或继续播放音乐
+   * @param {string} previous 原状态
+   */
+  function enterPlaying(previous) {
+    setStylusOnVinyl(true);
+
+    if (previous === PAUSED) {
+      animator.setPaused(clips.STYLUS_PLAYING, false);
+    } else if (animator.has(clips.STYLUS_PLAYING)) {
+      // 循环播放唱针抖动动画
+      animator.play(clips.STYLUS_PLAYING, { loop: true });
+    }
+
+    if (!audio.isReady()) {
+      playback.send('fail', new Error('音频系统未初始化'));
+      return;
+    }
+    if (!audio.isPlaying()) {
+      audio.play(queue.getCurrent());
+    }
+    console.log('音乐开始播放');
+  }
+
+  /**
+   * 进入 paused：唱臂被抓起，音乐暂停，唱针动画停在原处
+   */
+  function enterPaused() {
+    audio.pause();
+    setStylusOnVinyl(false);
+    animator.setPaused(clips.STYLUS_PLAYING, true);
+  }
+
+  /**
+   * 进入 lifting：电机停止，暂停音乐，抬起唱针
+   * @param {string} previous 原状态
+   */
+  function enterLifting(previous) {
+    // 落下过程中再次按下：从落下的对应位置反向抬起
+    const progress = previous === LOWERING ? 1 - animator.getProgress(clips.STYLUS_ON) : 0;
+
+    setMotor(false);
+    setStylusOnVinyl(false);
+    animator.stop([clips.STYLUS_ON, clips.STYLUS_PLAYING]);
+    audio.pause();
+
+    if (!animator.has(clips.STYLUS_OFF)) {
+      console.log('警告: 唱针抬起动画不存在，序列停止完成');
+      playback.send('lifted');
+      return;
+    }
+    animator.play(clips.STYLUS_OFF, { startProgress: progress });
+  }
+
+  /**
+   * 进入 error：停止一切，等待重试（播放按钮）
+   * @param {Error} error 错误
+   */
+  function enterError(error) {
+    console.error('播放出错:', error);
+    setMotor(false);
+    setStylusOnVinyl(false);
+    animator.stop([clips.STYLUS_ON, clips.STYLUS_PLAYING, clips.STYLUS_OFF]);
+    audio.stop();
+  }
+
+  /**
+   * 进入 idle：唱针已抬起；会话结束（end）时没有抬起过程，在这里停止电机和音乐（保留播放位置）
+   * @param {string} event 触发事件
+   */
+  function enterIdle(event) {
+    if (event === 'end') {
+      setMotor(false);
+      setStylusOnVinyl(false);
+      animator.stop([clips.STYLUS_PLAYING]);
+      audio.pause();
+    }
+    animator.stop([clips.STYLUS_ON, clips.STYLUS_OFF]);
+    console.log('音乐序列停止完成');
+  }
+
+  /**
+   * 播放状态变化：执行新状态的进入动作（动画、电机、音乐）
+   * @param {string} state 新状态
+   * @param {string} previous 原状态
+   * @param {string} event 触发事件
+   * @param {*} detail 附加数据
+   */
+  function onStateChange(state, previous, event, detail) {
+    switch (state) {
+      case LOWERING:
+        enterLowering(previous);
+        break;
+      case PLAYING:
+        enterPlaying(previous);
+        break;
+      case PAUSED:
+        enterPaused();
+        break;
+      case LIFTING:
+        enterLifting(previous);
+        break;
+      case ERROR:
+        enterError(detail);
+        break;
+      case IDLE:
+        enterIdle(event);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 唱针在唱片上（playing / paused）
+   * @returns {boolean}
+   */
+  function isPlaying() {
+    return playback.is(PLAYING) || playback.is(PAUSED);
+  }
+
+  /**
+   * 切换音轨：播放中直接播放新音轨，否则丢弃上一首的暂停位置并预缓冲
+   * 唱臂被抓起（paused）时同样如此，放回唱臂后 enterPlaying 从头（或落针位置）播放新音轨
+   * @param {number} offset 偏移，1 为下一首、-1 为上一首
+   * @returns {Object|null} 新的当前音轨，只有一首时为null
+   */
+  function changeTrack(offset) {
+    if (queue.size() <= 1) {
+      console.log('只有一首歌曲，无法切换');
+      return null;
+    }
+
+    const track = queue.step(offset);
+    if (playback.is(PLAYING)) {
+      audio.play(track);
+      return track;
+    }
+
+    audio.stop();
+    if (audio.preload) {
+      audio.preload(track);
+    }
+    return track;
+  }
+
+  /**
+   * 动画完成：唱针落下 / 抬起完成后推进播放状态
+   * @param {string} name 动画名称（不带模型前缀）
+   */
+  function animationFinished(name) {
+    if (name === clips.STYLUS_ON) {
+      playback.send('lowered');
+    } else if (name === clips.STYLUS_OFF) {
+      playback.send('lifted');
+    }
+  }
+
+  /**
+   * 替换动画名称（例如模型加载后按绑定配置设置）
+   * @param {Object} animations 动画名称，键同 PLAYER_ANIMATIONS
+   */
+  function setAnimations(animations) {
+    Object.assign(clips, animations);
+  }
+
+  // 先于入口的订阅者执行，入口看到的已是进入动作之后的状态
+  const unsubscribe = playback.subscribe(onStateChange);
+
+  return {
+    playback,
+    queue,
+    toggle: () => playback.send('toggle'),
+    next: () => changeTrack(1),
+    previous: () => changeTrack(-1),
+    animationFinished,
+    setAnimations,
+    isPlaying,
+    end: () => playback.send('end'),
+    dispose: unsubscribe
+  };
+}
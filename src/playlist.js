@@ -0,0 +1,259 @@
+/**
+ * Lofi FM 播放列表加载模块
+ * 支持 JSON / M3U / PLS 三种清单格式
+ */
+
+// ==================== 格式识别 ====================
+
+/**
+ * 根据URL扩展名和内容判断清单格式
+ * @param {string} url 清单地址
+ * @param {string} text 清单内容
+ * @returns {string} 'json' | 'm3u' | 'pls'
+ */
+function detectPlaylistFormat(url, text) {
+  const path = url.split(/[?#]/)[0].toLowerCase();
+  if (path.endsWith('.json')) return 'json';
+  if (path.endsWith('.m3u') || path.endsWith('.m3u8')) return 'm3u';
+  if (path.endsWith('.pls')) return 'pls';
+
+  // 扩展名无法判断时根据内容嗅探
+  const head = text.trimStart();
+  if (head.startsWith('{') || head.startsWith('[{') || head.startsWith('[]')) return 'json';
+  if (/^\[playlist\]/i.test(head)) return 'pls';
+  return 'm3u';
+}
+
+// ==================== 清单解析 ====================
+
+/**
+ * 解析JSON清单
+ * 支持数组形式，或带 tracks 字段的对象形式（可附带 gapless / crossfade 播放选项）
+ * @param {string} text 清单内容
+ * @returns {{entries: Array<Object>, options: Object}} 原始条目数组和播放选项
+ */
+function parseJsonPlaylist(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return { entries: data, options: {} };
+  if (data && Array.isArray(data.tracks)) {
+    return {
+      entries: data.tracks,
+      options: {
+        gapless: data.gapless,
+        crossfade: data.crossfade
+      }
+    };
+  }
+  throw new Error('JSON清单缺少 tracks 数组');
+}
+
+/**
+ * 解析M3U / M3U8清单
+ * @param {string} text 清单内容
+ * @returns {Array<Object>} 原始条目数组
+ */
+function parseM3UPlaylist(text) {
+  const entries = [];
+  let pendingInfo = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      // 格式: #EXTINF:时长,艺术家 - 标题
+      const info = line.slice('#EXTINF:'.length);
+      const commaIndex = info.indexOf(',');
+      const durationText = commaIndex >= 0 ? info.slice(0, commaIndex) : info;
+      const label = commaIndex >= 0 ? info.slice(commaIndex + 1).trim() : '';
+      const duration = parseFloat(durationText);
+      const separatorIndex = label.indexOf(' - ');
+
+      pendingInfo = {
+        duration: duration >= 0 ? duration : undefined,
+        artist: separatorIndex >= 0 ? label.slice(0, separatorIndex).trim() : undefined,
+        title: separatorIndex >= 0 ? label.slice(separatorIndex + 3).trim() : (label || undefined)
+      };
+      return;
+    }
+
+    // 其余以 # 开头的行为注释或扩展指令
+    if (line.startsWith('#')) return;
+
+    entries.push(Object.assign({ file: line }, pendingInfo));
+    pendingInfo = null;
+  });
+
+  return entries;
+}
+
+/**
+ * 解析PLS清单
+ * @param {string} text 清单内容
+ * @returns {Array<Object>} 原始条目数组
+ */
+function parsePlsPlaylist(text) {
+  const byIndex = {};
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const match = rawLine.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!match) return;
+
+    const key = match[1].toLowerCase();
+    const index = parseInt(match[2], 10);
+    const value = match[3].trim();
+    const entry = byIndex[index] || (byIndex[index] = {});
+
+    if (key === 'file') {
+      entry.file = value;
+    } else if (key === 'title') {
+      entry.title = value;
+    } else {
+      // Length=-1 表示未知时长（常见于网络电台流）
+      const length = parseFloat(value);
+      if (length >= 0) entry.duration = length;
+    }
+  });
+
+  return Object.keys(byIndex)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(index => byIndex[index]);
+}
+
+// ==================== 条目校验 ====================
+
+/**
+ * 从文件路径推断标题
+ * @param {string} file 文件路径
+ * @returns {string} 标题，文件名中的 % 转义无效时使用原始文件名
+ */
+function titleFromFile(file) {
+  const raw = file.split(/[?#]/)[0].split('/').pop() || file;
+  let name = raw;
+  try {
+    name = decodeURIComponent(raw);
+  } catch (e) {
+    // 无效的 % 转义（例如 b%zz.mp3）
+  }
+  return name.replace(/\.[^.]+$/, '') || file;
+}
+
+/**
+ * 检查文件路径中的 % 转义是否有效
+ * @param {string} file 文件路径
+ * @returns {boolean}
+ */
+function hasValidEscapes(file) {
+  try {
+    decodeURI(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 校验并规范化单个条目
+ * @param {Object} entry 原始条目
+ * @param {string} baseUrl 用于解析相对路径的清单地址
+ * @returns {{track: Object|null, reason: string|null}} 规范化结果或跳过原因
+ */
+function normalizeTrack(entry, baseUrl) {
+  if (!entry || typeof entry !== 'object') {
+    return { track: null, reason: '条目不是对象' };
+  }
+  if (typeof entry.file !== 'string' || !entry.file.trim()) {
+    return { track: null, reason: '缺少 file 字段' };
+  }
+  if (entry.title !== undefined && typeof entry.title !== 'string') {
+    return { track: null, reason: 'title 必须是字符串' };
+  }
+  if (entry.artist !== undefined && typeof entry.artist !== 'string') {
+    return { track: null, reason: 'artist 必须是字符串' };
+  }
+  if (entry.duration !== undefined &&
+    (typeof entry.duration !== 'number' || !isFinite(entry.duration) || entry.duration < 0)) {
+    return { track: null, reason: 'duration 必须是非负数（秒）' };
+  }
+
+  if (!hasValidEscapes(entry.file.trim())) {
+    return { track: null, reason: '文件地址包含无效的 % 转义: ' + entry.file };
+  }
+
+  let file;
+  try {
+    file = new URL(entry.file.trim(), baseUrl).href;
+  } catch (e) {
+    return { track: null, reason: '无效的文件地址: ' + entry.file };
+  }
+
+  return {
+    track: {
+      title: entry.title || titleFromFile(entry.file.trim()),
+      artist: entry.artist || '',
+      file,
+      duration: entry.duration
+    },
+    reason: null
+  };
+}
+
+// ==================== 对外接口 ====================
+
+/**
+ * 解析清单文本为音轨列表
+ * @param {string} text 清单内容
+ * @param {string} url 清单地址（用于格式识别和相对路径解析）
+ * @returns {{tracks: Array<Object>, skipped: Array<Object>, format: string, options: Object}} 解析结果
+ */
+export function parsePlaylist(text, url) {
+  const format = detectPlaylistFormat(url, text);
+  let entries;
+  let options = {};
+  if (format === 'json') {
+    ({ entries, options } = parseJsonPlaylist(text));
+  } else if (format === 'pls') {
+    entries = parsePlsPlaylist(text);
+  } else {
+    entries = parseM3UPlaylist(text);
+  }
+
+  return { ...createPlaylist(entries, url), format, options };
+}
+
+/**
+ * 校验并规范化音轨条目数组（例如通过API直接传入的音轨）
+ * @param {Array<Object>} entries 原始条目 { file, title, artist, duration }
+ * @param {string} baseUrl 用于解析相对路径的基础地址
+ * @returns {{tracks: Array<Object>, skipped: Array<Object>}} 规范化结果
+ */
+export function createPlaylist(entries, baseUrl) {
+  const tracks = [];
+  const skipped = [];
+  entries.forEach((entry, index) => {
+    const { track, reason } = normalizeTrack(entry, baseUrl);
+    if (track) {
+      tracks.push(track);
+    } else {
+      skipped.push({ index, entry, reason });
+    }
+  });
+
+  return { tracks, skipped };
+}
+
+/**
+ * 加载播放列表清单
+ * @param {string} url 清单地址
+ * @returns {Promise<{tracks: Array<Object>, skipped: Array<Object>, format: string, options: Object}>} 解析结果
+ */
+export async function loadPlaylist(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`播放列表请求失败: ${response.status} ${response.statusText}`);
+  }
+
+  const text = await response.text();
+  return parsePlaylist(text, response.url || url);
+}
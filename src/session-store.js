@@ -0,0 +1,206 @@
+/**
+ * Lofi FM 收听会话持久化
+ * 把当前音轨、播放位置、音量和模型朝向保存到 localStorage，重新打开页面时恢复；
+ * 睡眠定时和定时播放单独保存，页面重新加载后继续生效；专注计时保存当天完成的次数
+ */
+
+const STORAGE_KEY = 'lofi-fm-session';
+const SESSION_VERSION = 1;
+
+// 超过此时长的会话视为过期，不再恢复（毫秒）
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * 获取 localStorage，隐私模式或被禁用时返回null
+ * @returns {Storage|null}
+ */
+function getStorage() {
+  try {
+    return window.localStorage || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 判断是否为有限数字
+ * @param {*} value 值
+ * @returns {boolean}
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * 读取保存的会话
+ * @returns {Object|null} 会话 { trackIndex, trackFile, position, volume, rotation, savedAt }，不存在或无效时为null
+ */
+export function loadSession() {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    const data = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (!data || data.version !== SESSION_VERSION) return null;
+    if (!isFiniteNumber(data.savedAt) || Date.now() - data.savedAt > SESSION_MAX_AGE) return null;
+
+    return {
+      trackIndex: Number.isInteger(data.trackIndex) && data.trackIndex >= 0 ? data.trackIndex : 0,
+      trackFile: typeof data.trackFile === 'string' ? data.trackFile : '',
+      position: isFiniteNumber(data.position) && data.position > 0 ? data.position : 0,
+      volume: isFiniteNumber(data.volume) ? Math.max(0, Math.min(1, data.volume)) : null,
+      rotation: Array.isArray(data.rotation) && data.rotation.length === 4 && data.rotation.every(isFiniteNumber)
+        ? data.rotation
+        : null,
+      savedAt: data.savedAt
+    };
+  } catch (error) {
+    console.warn('读取收听会话失败:', error);
+    return null;
+  }
+}
+
+/**
+ * 保存会话
+ * @param {Object} session 会话
+ * @param {number} session.trackIndex 音轨序号
+ * @param {string} session.trackFile 音轨文件地址（播放列表变化时用于校验）
+ * @param {number} session.position 播放位置（秒）
+ * @param {number} session.volume 音量 0~1
+ * @param {Array<number>} session.rotation 模型朝向四元数 [x, y, z, w]
+ * @returns {boolean} 是否保存成功
+ */
+export function saveSession(session) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({
+      version: SESSION_VERSION,
+      trackIndex: session.trackIndex,
+      trackFile: session.trackFile,
+      position: session.position,
+      volume: session.volume,
+      rotation: session.rotation,
+      savedAt: Date.now()
+    }));
+    return true;
+  } catch (error) {
+    // 配额已满等情况下放弃保存，不影响播放
+    console.warn('保存收听会话失败:', error);
+    return false;
+  }
+}
+
+/**
+ * 清除保存的会话
+ */
+export function clearSession() {
+  const storage = getStorage();
+  if (storage) {
+    try {
+      storage.removeItem(STORAGE_KEY);
+    } catch (e) {
+      // 忽略
+    }
+  }
+}
+
+// 睡眠定时和定时播放
+const SCHEDULE_KEY = 'lofi-fm-schedule';
+
+/**
+ * 读取保存的睡眠定时和定时播放（是否过期由定时器判断）
+ * @returns {Object|null} { sleep, wake }，格式见 sleep-timer.js 的 getState，不存在或无效时为null
+ */
+export function loadSchedule() {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    const data = JSON.parse(storage.getItem(SCHEDULE_KEY));
+    if (!data || data.version !== SESSION_VERSION) return null;
+
+    const sleep = data.sleep && (data.sleep.mode === 'track' ||
+      (isFiniteNumber(data.sleep.endsAt) && isFiniteNumber(data.sleep.minutes)))
+      ? data.sleep
+      : null;
+    const wake = data.wake && typeof data.wake.time === 'string' && isFiniteNumber(data.wake.at)
+      ? data.wake
+      : null;
+    return { sleep, wake };
+  } catch (error) {
+    console.warn('读取定时失败:', error);
+    return null;
+  }
+}
+
+/**
+ * 保存睡眠定时和定时播放，两者都没有时清除
+ * @param {Object} schedule 定时 { sleep, wake }
+ * @returns {boolean} 是否保存成功
+ */
+export function saveSchedule({ sleep, wake }) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    if (!sleep && !wake) {
+      storage.removeItem(SCHEDULE_KEY);
+    } else {
+      storage.setItem(SCHEDULE_KEY, JSON.stringify({ version: SESSION_VERSION, sleep, wake }));
+    }
+    return true;
+  } catch (error) {
+    console.warn('保存定时失败:', error);
+    return false;
+  }
+}
+
+// 专注计时：当天完成的次数
+const FOCUS_KEY = 'lofi-fm-focus';
+
+/**
+ * 本地日期，例如 2024-05-01
+ * @param {Date} date 日期
+ * @returns {string}
+ */
+function getLocalDate(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 读取今天完成的专注次数，保存的是之前某天的记录时为0
+ * @returns {number}
+ */
+export function loadFocusSessions() {
+  const storage = getStorage();
+  if (!storage) return 0;
+
+  try {
+    const data = JSON.parse(storage.getItem(FOCUS_KEY));
+    if (!data || data.date !== getLocalDate() || !Number.isInteger(data.sessions) || data.sessions < 0) return 0;
+    return data.sessions;
+  } catch (error) {
+    console.warn('读取专注次数失败:', error);
+    return 0;
+  }
+}
+
+/**
+ * 保存今天完成的专注次数
+ * @param {number} sessions 次数
+ * @returns {boolean} 是否保存成功
+ */
+export function saveFocusSessions(sessions) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(FOCUS_KEY, JSON.stringify({ date: getLocalDate(), sessions }));
+    return true;
+  } catch (error) {
+    console.warn('保存专注次数失败:', error);
+    return false;
+  }
+}
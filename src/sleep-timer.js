@@ -0,0 +1,296 @@
+/**
+ * Lofi FM 睡眠定时与定时播放
+ * 睡眠定时（15 / 30 / 60 分钟或本曲结束）到时前淡出音乐，到时抬起唱针；定时播放（例如 07:30）到点落下唱针并淡入。
+ * 只负责计时，淡入淡出、唱针和音乐由入口在回调中执行；
+ * 到点时间以绝对时间戳给出，入口保存后重新打开页面可以恢复。
+ */
+
+// 界面提供的睡眠定时选项（分钟）
+export const SLEEP_PRESETS = [15, 30, 60];
+// 睡眠定时：当前音轨播完时停止
+export const SLEEP_END_OF_TRACK = 'track';
+
+// setTimeout 能表示的最大延迟（毫秒），更远的到点时间分段等待
+const MAX_TIMEOUT = 0x7fffffff;
+
+/**
+ * 解析定时播放时间
+ * @param {string} value 时间 "HH:MM"（24小时制）
+ * @returns {string|null} 规范化的 "HH:MM"，无效时为null
+ */
+export function parseWakeTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(typeof value === 'string' ? value.trim() : '');
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return String(hours).padStart(2, '0') + ':' + match[2];
+}
+
+/**
+ * 定时播放时间下一次到点的时间戳（本地时间，今天已过则为明天）
+ * @param {string} time 规范化的 "HH:MM"
+ * @param {number} now 当前时间戳（毫秒）
+ * @returns {number}
+ */
+export function getNextWakeTime(time, now = Date.now()) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(now);
+  date.setHours(hours, minutes, 0, 0);
+  if (date.getTime() <= now) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date.getTime();
+}
+
+/**
+ * 创建睡眠定时器
+ * @param {Object} options 选项
+ * @param {number} options.fadeOut 睡眠前淡出的时长（秒）
+ * @param {Function} options.onFadeOut 开始淡出 (duration)，duration 为到时前剩余的秒数
+ * @param {Function} options.onSleep 睡眠定时到时
+ * @param {Function} options.onWake 定时播放到点
+ * @param {Function} options.onChange 定时变化（设置、取消、到时） (state)，见 getState
+ * @returns {Object} 定时器接口 { setSleep, cancelSleep, setWake, cancelWake, restore, checkTrackEnd, trackEnded, isEndOfTrack, getState, dispose }
+ */
+export function createSleepTimer({
+  fadeOut = 30,
+  onFadeOut = () => {},
+  onSleep = () => {},
+  onWake = () => {},
+  onChange = () => {}
+} = {}) {
+  const state = {
+    sleep: null,   // { mode: 'minutes', minutes, endsAt } 或 { mode: 'track' }
+    wake: null,    // { time: 'HH:MM', at }
+    fading: false, // 睡眠前的淡出已开始
+    timers: { fade: null, sleep: null, wake: null }
+  };
+
+  /**
+   * 在指定时间戳执行，超过 setTimeout 上限时分段等待
+   * @param {string} name 计时器名称
+   * @param {number} at 时间戳（毫秒）
+   * @param {Function} callback 回调
+   */
+  function runAt(name, at, callback) {
+    clearTimeout(state.timers[name]);
+    const delay = Math.max(0, at - Date.now());
+    state.timers[name] = setTimeout(() => {
+      if (Date.now() < at) {
+        runAt(name, at, callback);
+        return;
+      }
+      state.timers[name] = null;
+      callback();
+    }, Math.min(delay, MAX_TIMEOUT));
+  }
+
+  /**
+   * 取消计时器
+   * @param {Array<string>} names 计时器名称
+   */
+  function clearTimers(names) {
+    names.forEach(name => {
+      clearTimeout(state.timers[name]);
+      state.timers[name] = null;
+    });
+  }
+
+  /**
+   * 当前定时
+   * @returns {{sleep: Object|null, wake: Object|null, fading: boolean}}
+   */
+  function getState() {
+    return {
+      sleep: state.sleep ? { ...state.sleep } : null,
+      wake: state.wake ? { ...state.wake } : null,
+      fading: state.fading
+    };
+  }
+
+  /**
+   * 通知定时变化
+   */
+  function notify() {
+    onChange(getState());
+  }
+
+  /**
+   * 开始淡出（每次睡眠定时只执行一次）
+   * @param {number} duration 淡出时长（秒）
+   */
+  function startFadeOut(duration) {
+    if (state.fading) return;
+    state.fading = true;
+    onFadeOut(Math.max(0, duration));
+    notify();
+  }
+
+  /**
+   * 睡眠定时到时
+   */
+  function fireSleep() {
+    clearTimers(['fade', 'sleep']);
+    state.sleep = null;
+    state.fading = false;
+    onSleep();
+    notify();
+  }
+
+  /**
+   * 按分钟计时的睡眠定时：到时前 fadeOut 秒开始淡出
+   */
+  function scheduleSleep() {
+    const { endsAt } = state.sleep;
+    const fadeAt = endsAt - fadeOut * 1000;
+    if (fadeAt <= Date.now()) {
+      startFadeOut((endsAt - Date.now()) / 1000);
+    } else {
+      runAt('fade', fadeAt, () => startFadeOut(fadeOut));
+    }
+    runAt('sleep', endsAt, fireSleep);
+  }
+
+  /**
+   * 定时播放到点（只响一次）
+   */
+  function fireWake() {
+    state.wake = null;
+    onWake();
+    notify();
+  }
+
+  /**
+   * 设置睡眠定时，替换之前的定时
+   * @param {number|string} value 分钟数，或 SLEEP_END_OF_TRACK（本曲结束）
+   * @param {number} now 当前时间戳（毫秒）
+   * @returns {boolean} 值是否有效
+   */
+  function setSleep(value, now = Date.now()) {
+    if (value !== SLEEP_END_OF_TRACK && !(typeof value === 'number' && value > 0 && isFinite(value))) {
+      return false;
+    }
+
+    clearTimers(['fade', 'sleep']);
+    state.fading = false;
+    if (value === SLEEP_END_OF_TRACK) {
+      state.sleep = { mode: SLEEP_END_OF_TRACK };
+    } else {
+      state.sleep = { mode: 'minutes', minutes: value, endsAt: now + value * 60000 };
+      scheduleSleep();
+    }
+    notify();
+    return true;
+  }
+
+  /**
+   * 取消睡眠定时
+   * @returns {boolean} 是否在淡出中取消（入口需要恢复音量）
+   */
+  function cancelSleep() {
+    const wasFading = state.fading;
+    if (!state.sleep) return false;
+    clearTimers(['fade', 'sleep']);
+    state.sleep = null;
+    state.fading = false;
+    notify();
+    return wasFading;
+  }
+
+  /**
+   * 设置定时播放，替换之前的定时
+   * @param {string} time 时间 "HH:MM"
+   * @param {number} now 当前时间戳（毫秒）
+   * @returns {boolean} 时间是否有效
+   */
+  function setWake(time, now = Date.now()) {
+    const normalized = parseWakeTime(time);
+    if (!normalized) return false;
+
+    state.wake = { time: normalized, at: getNextWakeTime(normalized, now) };
+    runAt('wake', state.wake.at, fireWake);
+    notify();
+    return true;
+  }
+
+  /**
+   * 取消定时播放
+   */
+  function cancelWake() {
+    if (!state.wake) return;
+    clearTimers(['wake']);
+    state.wake = null;
+    notify();
+  }
+
+  /**
+   * 恢复保存的定时（页面重新打开时），已过期的定时丢弃
+   * @param {Object} saved 保存的定时 { sleep, wake }，格式同 getState
+   * @param {number} now 当前时间戳（毫秒）
+   */
+  function restore(saved, now = Date.now()) {
+    if (!saved) return;
+
+    const { sleep, wake } = saved;
+    if (sleep && sleep.mode === SLEEP_END_OF_TRACK) {
+      state.sleep = { mode: SLEEP_END_OF_TRACK };
+    } else if (sleep && sleep.endsAt > now) {
+      state.sleep = { mode: 'minutes', minutes: sleep.minutes, endsAt: sleep.endsAt };
+      scheduleSleep();
+    } else if (sleep) {
+      console.log('睡眠定时已过期，不再恢复');
+    }
+
+    if (wake && wake.at > now && parseWakeTime(wake.time)) {
+      state.wake = { time: parseWakeTime(wake.time), at: wake.at };
+      runAt('wake', wake.at, fireWake);
+    } else if (wake) {
+      console.log('定时播放时间已过，不再恢复:', wake.time);
+    }
+
+    if (state.sleep || state.wake) {
+      notify();
+    }
+  }
+
+  /**
+   * 本曲结束模式：当前音轨剩余时间不足淡出时长时开始淡出（播放中定期调用）
+   * @param {number} remaining 当前音轨剩余时间（秒）
+   */
+  function checkTrackEnd(remaining) {
+    if (state.sleep && state.sleep.mode === SLEEP_END_OF_TRACK && remaining <= fadeOut) {
+      startFadeOut(remaining);
+    }
+  }
+
+  /**
+   * 本曲结束模式：当前音轨播完
+   * @returns {boolean} 是否由睡眠定时处理（触发了 onSleep）
+   */
+  function trackEnded() {
+    if (!state.sleep || state.sleep.mode !== SLEEP_END_OF_TRACK) return false;
+    fireSleep();
+    return true;
+  }
+
+  /**
+   * 停止所有计时（不清除定时，重新打开页面时仍可恢复）
+   */
+  function dispose() {
+    clearTimers(['fade', 'sleep', 'wake']);
+  }
+
+  return {
+    setSleep,
+    cancelSleep,
+    setWake,
+    cancelWake,
+    restore,
+    checkTrackEnd,
+    trackEnded,
+    isEndOfTrack: () => !!state.sleep && state.sleep.mode === SLEEP_END_OF_TRACK,
+    getState,
+    dispose
+  };
+}
@@ -0,0 +1,234 @@
+/**
+ * Lofi FM Service Worker
+ * 预缓存页面、脚本、模型、按钮音效和播放列表音轨，没有网络时从缓存提供（展台等离线环境）。
+ *
+ * 缓存策略:
+ * - 模型、音频和 CDN 上的 three.js 模块: 缓存优先（内容随版本变化），范围请求从缓存中截取
+ * - 页面、脚本和清单: 先返回缓存，同时在后台从网络更新
+ * 修改 CACHE_VERSION 后安装新版本，旧版本的缓存在激活时删除。
+ */
+
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'lofi-fm-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// 安装时预缓存的本地文件（相对 Service Worker 所在目录），缺少任何一个都视为安装失败
+const PRECACHE_URLS = [
+  'jsar-lofi-fm.html',
+  'jsar-lofi-fm.js',
+  'ar-placement.js',
+  'asset-loader.js',
+  'audio-analysis.js',
+  'audio-effects.js',
+  'audio-engine.js',
+  'audio-metadata.js',
+  'button-registry.js',
+  'config.js',
+  'event-bus.js',
+  'focus-timer.js',
+  'messages.js',
+  'model-manipulator.js',
+  'model-profile.js',
+  'now-playing-panel.js',
+  'offline.js',
+  'playback-state.js',
+  'player-core.js',
+  'playlist.js',
+  'session-store.js',
+  'sleep-timer.js',
+  'three-adapter.js',
+  'model/record_player_ani.glb',
+  'audio/button-click.wav',
+  'audio/playlist.json',
+  'audio/lofi.mp3'
+];
+
+// 页面 import map 中的 three.js 模块，尽量预缓存，失败不影响安装（首次在线访问时运行时缓存）
+const CDN_BASE = 'https://ar.rokidcdn.com/web-assets/yodaos-jsar/dist/';
+const CDN_URLS = [
+  CDN_BASE + 'three-dev/build/three.module.js',
+  CDN_BASE + 'three/examples/jsm/loaders/GLTFLoader.js',
+  CDN_BASE + 'three/examples/jsm/controls/OrbitControls.js',
+  CDN_BASE + 'three/examples/jsm/utils/BufferGeometryUtils.js'
+];
+
+// 缓存优先的资源类型
+const STATIC_EXTENSIONS = /\.(glb|gltf|bin|png|jpe?g|ktx2|mp3|ogg|wav|m4a|aac|flac|opus)$/i;
+
+/**
+ * 向所有页面广播缓存状态
+ * @param {Object} status 状态 { state, version, cached, failed, added }
+ */
+async function broadcast(status) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: 'cache-status', version: CACHE_VERSION, ...status }));
+}
+
+/**
+ * 缓存一组地址，已缓存的跳过
+ * @param {Cache} cache 缓存
+ * @param {Array<string>} urls 地址
+ * @returns {Promise<{added: number, failed: Array<string>}>}
+ */
+async function cacheUrls(cache, urls) {
+  const failed = [];
+  let added = 0;
+  await Promise.all(urls.map(async (url) => {
+    if (await cache.match(url)) return;
+    try {
+      await cache.add(url);
+      added++;
+    } catch (error) {
+      failed.push(url);
+    }
+  }));
+  return { added, failed };
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE_URLS);
+    const { failed } = await cacheUrls(cache, CDN_URLS);
+    if (failed.length > 0) {
+      console.warn('Service Worker: three.js 模块预缓存失败，首次在线访问时再缓存:', failed);
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    const stale = names.filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME);
+    await Promise.all(stale.map(name => caches.delete(name)));
+    await self.clients.claim();
+
+    const cache = await caches.open(CACHE_NAME);
+    const cached = (await cache.keys()).length;
+    await broadcast({ state: stale.length > 0 ? 'updated' : 'ready', cached, failed: [] });
+  })());
+});
+
+/**
+ * 从缓存的完整响应中截取范围请求的部分（音频跳转播放时浏览器发出范围请求）
+ * @param {Response} cached 缓存的完整响应
+ * @param {string} range Range 请求头，如 bytes=100-199、bytes=100-、bytes=-500
+ * @returns {Promise<Response>} 206 响应；范围无效时为 416，无法解析时返回完整响应
+ */
+async function rangeResponse(cached, range) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return cached;
+
+  const body = await cached.arrayBuffer();
+  const size = body.byteLength;
+  let start;
+  let end;
+  if (match[1] === '') {
+    // 末尾若干字节
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+
+  const headers = new Headers(cached.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers
+  });
+}
+
+/**
+ * 缓存优先，未缓存时从网络获取并缓存
+ * 范围请求从缓存的完整响应中截取；未缓存时直接交给网络
+ * @param {FetchEvent} event 请求事件
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(event) {
+  const request = event.request;
+  const range = request.headers.get('Range');
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreVary: true });
+  if (cached) {
+    return range ? rangeResponse(cached, range) : cached;
+  }
+
+  const response = await fetch(request);
+  // 范围请求的 206 响应不能缓存；服务器忽略范围返回 200 时是完整内容，可以缓存
+  if (response.status === 200) {
+    event.waitUntil(cache.put(request, response.clone()).catch(() => {}));
+  }
+  return response;
+}
+
+/**
+ * 先返回缓存，同时在后台从网络更新；没有缓存时等待网络
+ * @param {FetchEvent} event 请求事件
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const network = fetch(request).then(async (response) => {
+    if (response.status === 200) {
+      await cache.put(request, response.clone()).catch(() => {});
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network.catch(async (error) => {
+    // 离线打开带参数的页面地址时退回到缓存的页面
+    if (request.mode === 'navigate') {
+      const page = await cache.match('jsar-lofi-fm.html');
+      if (page) return page;
+    }
+    throw error;
+  });
+}
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  if (!sameOrigin && !request.url.startsWith(CDN_BASE)) return;
+
+  if (!sameOrigin || STATIC_EXTENSIONS.test(url.pathname)) {
+    event.respondWith(cacheFirst(event));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+// 页面发来实际使用的模型和播放列表音轨地址，补充缓存
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+  if (data.type !== 'precache' || !Array.isArray(data.urls)) return;
+
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    const { added, failed } = await cacheUrls(cache, data.urls);
+    const cached = (await cache.keys()).length;
+    await broadcast({ state: failed.length > 0 ? 'error' : 'cached', cached, added, failed });
+  })());
+});
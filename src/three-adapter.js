@@ -0,0 +1,79 @@
+/**
+ * Lofi FM Three.js 适配器
+ * 把 AnimationMixer 的动作包装成播放器核心（player-core.js）使用的动画接口
+ */
+
+import * as THREE from 'three';
+
+/**
+ * 创建动画适配器
+ * 模型加载后才有动画，所以每次调用时从 animationControl 中读取
+ * @param {Object} animationControl 动画控制器 { mixer, animations: { 名称: { action, duration } } }
+ * @returns {Object} 动画接口 { has, play, stop, setPaused, getProgress }
+ */
+export function createThreeAnimator(animationControl) {
+  /**
+   * 播放动画
+   * @param {string} name 动画名称
+   * @param {Object} options 选项
+   * @param {boolean} options.loop 是否循环
+   * @param {number} options.startProgress 起始进度 0~1（反向过渡时从对应位置开始）
+   */
+  function play(name, { loop = false, startProgress = 0 } = {}) {
+    const anim = animationControl.animations[name];
+    if (!anim) {
+      console.warn('动画不存在:', name, '可用动画:', Object.keys(animationControl.animations));
+      return;
+    }
+    anim.action.reset();
+    anim.action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce);
+    anim.action.clampWhenFinished = !loop;
+    anim.action.time = Math.max(0, Math.min(1, startProgress)) * anim.duration;
+    anim.action.play();
+    console.log('播放动画:', name, '循环:', loop);
+  }
+
+  /**
+   * 停止一组动画，不存在的动画直接跳过
+   * @param {Array<string>} names 动画名称
+   */
+  function stop(names) {
+    names.forEach(name => {
+      const anim = animationControl.animations[name];
+      if (anim) {
+        anim.action.stop();
+      }
+    });
+  }
+
+  /**
+   * 暂停或继续动画，停在当前帧
+   * @param {string} name 动画名称
+   * @param {boolean} paused 是否暂停
+   */
+  function setPaused(name, paused) {
+    const anim = animationControl.animations[name];
+    if (anim) {
+      anim.action.paused = paused;
+    }
+  }
+
+  /**
+   * 获取动画当前进度
+   * @param {string} name 动画名称
+   * @returns {number} 0~1，动画不存在或未在播放时为0
+   */
+  function getProgress(name) {
+    const anim = animationControl.animations[name];
+    if (!anim || !anim.action.isRunning() || !anim.duration) return 0;
+    return Math.min(1, anim.action.time / anim.duration);
+  }
+
+  return {
+    has: (name) => !!animationControl.animations[name],
+    play,
+    stop,
+    setPaused,
+    getProgress
+  };
+}